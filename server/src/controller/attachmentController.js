@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const { findScopedTask } = require("../utils/taskScope");
+const { publishTasks } = require("../utils/taskEvents");
+const { attachmentPath, removeStoredFiles } = require("../utils/uploads");
+const { handleError } = require("../utils/errors");
+
+const findAttachment = (task, attachmentId) =>
+  mongoose.isValidObjectId(attachmentId) ? task.attachments.id(attachmentId) : null;
+
+// POST /api/tasks/:id/attachments - multipart "files", stored by the uploadFiles middleware
+const addAttachments = async (req, res) => {
+  const files = req.files || [];
+  try {
+    const task = await findScopedTask(req);
+    if (!task) {
+      await removeStoredFiles(files.map((file) => file.filename));
+      return res.status(404).json({ message: "Task not found" });
+    }
+    if (files.length === 0) {
+      return res.status(400).json({ message: "Choose at least one file to upload" });
+    }
+
+    task.attachments.push(
+      ...files.map((file) => ({
+        filename: file.filename,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedBy: req.user.userId,
+      }))
+    );
+    await task.save();
+    publishTasks(task._id);
+    await task.populate("attachments.uploadedBy", "fullName email");
+
+    res.status(201).json(task.attachments);
+  } catch (error) {
+    await removeStoredFiles(files.map((file) => file.filename));
+    handleError(res, error);
+  }
+};
+
+// GET /api/tasks/:id/attachments/:attachmentId - downloads under the original file name
+const downloadAttachment = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    const attachment = task && findAttachment(task, req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+    res.set("X-Content-Type-Options", "nosniff");
+    res.type(attachment.mimeType);
+    res.download(attachmentPath(attachment.filename), attachment.originalName, (error) => {
+      if (error && !res.headersSent) res.status(404).json({ message: "Attachment file is missing" });
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// DELETE /api/tasks/:id/attachments/:attachmentId - uploader, task owner or admin
+const deleteAttachment = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    const attachment = task && findAttachment(task, req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+    const allowed =
+      req.user.role === "admin" || task.owner.equals(req.user.userId) || attachment.uploadedBy.equals(req.user.userId);
+    if (!allowed) {
+      return res.status(403).json({ message: "Only the uploader, task owner or an admin can remove this file" });
+    }
+
+    attachment.deleteOne();
+    await task.save();
+    publishTasks(task._id);
+    await removeStoredFiles([attachment.filename]);
+
+    res.json({ message: "Attachment deleted successfully" });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { addAttachments, downloadAttachment, deleteAttachment };
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const AuthEvent = require("../models/AuthEvent");
+const User = require("../models/User");
+const { recordAuthEvent } = require("../utils/audit");
+
+const SORTABLE_FIELDS = ["createdAt", "email", "role", "type"];
+const SESSION_START_TYPES = ["register", "login"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Builds the Mongo filter from ?type=&role=&search=&from=&to=
+const buildFilter = ({ type, role, search, from, to }) => {
+  const filter = {};
+
+  if (type && type !== "all") filter.type = type;
+  if (role && role !== "all") filter.role = role;
+  if (search && search.trim()) {
+    const pattern = new RegExp(escapeRegex(search.trim()), "i");
+    filter.$or = [{ email: pattern }, { ip: pattern }, { jti: pattern }];
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// Attaches `logoutAt` to login/register entries whose session has since ended
+const attachLogoutTimes = async (logs) => {
+  const sids = logs.filter((log) => SESSION_START_TYPES.includes(log.type) && log.sid).map((log) => log.sid);
+  if (sids.length === 0) return logs;
+
+  const endings = await AuthEvent.find({
+    type: { $in: ["logout", "logout-all", "password-reset"] },
+    $or: [{ sid: { $in: sids } }, { "details.endedSessions": { $in: sids } }],
+  }).sort({ createdAt: 1 });
+
+  const logoutAt = {};
+  endings.forEach((event) => {
+    [event.sid, ...((event.details && event.details.endedSessions) || [])].forEach((sid) => {
+      if (sid && !logoutAt[sid]) logoutAt[sid] = event.createdAt;
+    });
+  });
+
+  return logs.map((log) => ({ ...log, logoutAt: (log.sid && logoutAt[log.sid]) || null }));
+};
+
+// GET /admin/logs?page=1&limit=20&type=login&role=user&search=jane&sort=createdAt&order=desc
+const getAuthLogs = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const sortField = SORTABLE_FIELDS.includes(req.query.sort) ? req.query.sort : "createdAt";
+    const sortOrder = req.query.order === "asc" ? 1 : -1;
+
+    const filter = buildFilter(req.query);
+    if (filter.createdAt && Object.values(filter.createdAt).some((date) => Number.isNaN(date.getTime()))) {
+      return res.status(400).json({ message: "from and to must be dates" });
+    }
+    const [entries, total] = await Promise.all([
+      AuthEvent.find(filter)
+        .sort({ [sortField]: sortOrder, _id: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuthEvent.countDocuments(filter),
+    ]);
+
+    const logs = await attachLogoutTimes(entries.map((entry) => entry.toJSON()));
+
+    res.json({ logs, total, page, pages: Math.max(Math.ceil(total / limit), 1) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// DELETE /admin/logs/:id - the deletion itself is written to the audit log
+const deleteAuthLog = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Log entry not found" });
+    }
+
+    const entry = await AuthEvent.findByIdAndDelete(req.params.id);
+    if (!entry) return res.status(404).json({ message: "Log entry not found" });
+
+    const admin = (await User.findById(req.user.userId)) || { _id: req.user.userId, email: "", role: req.user.role };
+    await recordAuthEvent(req, "log-deleted", admin, {
+      jti: req.user.jti,
+      sid: req.user.sid,
+      details: {
+        deletedLog: { id: entry._id, type: entry.type, email: entry.email, createdAt: entry.createdAt },
+      },
+    });
+
+    res.json({ message: "Log entry deleted successfully" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = { getAuthLogs, deleteAuthLog };
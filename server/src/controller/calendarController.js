@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+const CalendarEvent = require("../models/CalendarEvent");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const Workflow = require("../models/Workflow");
+const { APP_URL } = require("../utils/mailer");
+const { buildCalendar } = require("../utils/ical");
+const { handleError } = require("../utils/errors");
+
+const EVENT_FIELDS = ["title", "start", "end", "allDay", "notes"];
+
+// Feed URLs point at this server; SERVER_URL overrides it when it sits behind a proxy
+const feedUrl = (req, token) =>
+  `${(process.env.SERVER_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "")}/api/calendar/feed/${token}.ics`;
+
+const pickEventFields = (body) =>
+  EVENT_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+/**
+ * GET /api/calendar/events?start=<date>&end=<date>
+ * The user's own events overlapping the range, earliest first.
+ */
+const getEvents = async (req, res) => {
+  try {
+    const start = new Date(req.query.start);
+    const end = new Date(req.query.end);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+      return res.status(400).json({ message: "start and end must be dates, with start first" });
+    }
+
+    const events = await CalendarEvent.find({ owner: req.user.userId, start: { $lt: end }, end: { $gt: start } }).sort({
+      start: 1,
+    });
+    res.json(events);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// POST /api/calendar/events  Body: { title, start, end, allDay, notes }
+const createEvent = async (req, res) => {
+  try {
+    const event = await CalendarEvent.create({ ...pickEventFields(req.body), owner: req.user.userId });
+    res.status(201).json(event);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// PATCH /api/calendar/events/:id  Body: any of { title, start, end, allDay, notes }
+const updateEvent = async (req, res) => {
+  try {
+    const event = await CalendarEvent.findOne({ _id: req.params.id, owner: req.user.userId });
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    event.set(pickEventFields(req.body));
+    await event.save();
+    res.json(event);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// DELETE /api/calendar/events/:id
+const deleteEvent = async (req, res) => {
+  try {
+    const event = await CalendarEvent.findOneAndDelete({ _id: req.params.id, owner: req.user.userId });
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    res.json({ message: "Event deleted successfully" });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const issueFeedToken = async (userId) => {
+  const token = crypto.randomBytes(24).toString("hex");
+  await User.updateOne({ _id: userId }, { calendarFeedToken: token });
+  return token;
+};
+
+// GET /api/calendar/feed - the user's .ics subscription URL, created on first use
+const getFeedUrl = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("+calendarFeedToken");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const token = user.calendarFeedToken || (await issueFeedToken(user._id));
+    res.json({ url: feedUrl(req, token) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// POST /api/calendar/feed/regenerate - replaces the URL; calendars subscribed to the old one stop updating
+const regenerateFeedUrl = async (req, res) => {
+  try {
+    res.json({ url: feedUrl(req, await issueFeedToken(req.user.userId)) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * GET /api/calendar/feed/:token.ics - public; the token in the URL is the credential.
+ * Deadlines of the tasks the user owns or is assigned to and their personal
+ * events. UIDs come from the record ids, so calendar apps update or drop the
+ * same entries when tasks and events change or go away.
+ */
+const getFeed = async (req, res) => {
+  try {
+    const user = req.params.token ? await User.findOne({ calendarFeedToken: req.params.token }) : null;
+    if (!user) return res.status(404).json({ message: "Calendar feed not found" });
+
+    const [tasks, events, workflow] = await Promise.all([
+      Task.find({ $or: [{ owner: user._id }, { assignees: user._id }], deadline: { $ne: null } }),
+      CalendarEvent.find({ owner: user._id }),
+      Workflow.getCurrent(),
+    ]);
+    const doneStates = workflow.states.filter((state) => state.done).map((state) => state.name);
+    const host = new URL(APP_URL).hostname;
+
+    const calendar = buildCalendar(`TaskFlow · ${user.fullName}`, [
+      ...tasks.map((task) => ({
+        uid: `task-${task.id}@${host}`,
+        summary: `${doneStates.includes(task.status) ? "✓ " : ""}${task.title}`,
+        description: [`Status: ${task.status} · Priority: ${task.priority}`, task.description].filter(Boolean).join("\n\n"),
+        url: `${APP_URL}/user/calendar`,
+        start: task.deadline,
+        allDay: true,
+        updatedAt: task.updatedAt,
+      })),
+      ...events.map((event) => ({
+        uid: `event-${event.id}@${host}`,
+        summary: event.title,
+        description: event.notes,
+        start: event.start,
+        end: event.end,
+        allDay: event.allDay,
+        updatedAt: event.updatedAt,
+      })),
+    ]);
+
+    res.set({ "Content-Type": "text/calendar; charset=utf-8", "Cache-Control": "no-cache" });
+    res.send(calendar);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { getEvents, createEvent, updateEvent, deleteEvent, getFeedUrl, regenerateFeedUrl, getFeed };
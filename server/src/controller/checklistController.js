@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+const Workflow = require("../models/Workflow");
+const { findScopedTask } = require("../utils/taskScope");
+const { publishTasks } = require("../utils/taskEvents");
+const { handleError } = require("../utils/errors");
+
+const findItem = (task, itemId) => (mongoose.isValidObjectId(itemId) ? task.checklist.id(itemId) : null);
+
+// An item may only be assigned to someone who can see the task: its owner or an assignee
+const checkItemAssignee = (task, assignee) => {
+  if (assignee === null) return null;
+  if (!mongoose.isValidObjectId(assignee)) return "assignee must be a user id";
+  const members = [task.owner, ...task.assignees];
+  return members.some((member) => member.equals(assignee))
+    ? null
+    : "Checklist items can only be assigned to the task owner or its assignees";
+};
+
+// Saves a checklist change along with the progress rolled up from it
+const saveChecklist = async (task) => {
+  task.rollUpProgress(await Workflow.getCurrent());
+  await task.save();
+};
+
+// Every checklist endpoint answers with the list and the progress rolled up from it
+const sendChecklist = async (res, task, status = 200) => {
+  await task.populate("checklist.assignee", "fullName email");
+  res.status(status).json({ checklist: task.checklist, progress: task.progress });
+};
+
+// POST /api/tasks/:id/checklist - Body: { title, assignee }
+const addChecklistItem = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    const title = (req.body.title || "").trim();
+    if (!title) return res.status(400).json({ message: "Checklist item title is required" });
+
+    const assignee = req.body.assignee || null;
+    const assigneeError = checkItemAssignee(task, assignee);
+    if (assigneeError) return res.status(400).json({ message: assigneeError });
+
+    task.checklist.push({ title, assignee });
+    await saveChecklist(task);
+    publishTasks(task._id);
+
+    await sendChecklist(res, task, 201);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// PATCH /api/tasks/:id/checklist - Body: { order: [itemId, ...] } listing every item once
+const reorderChecklist = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    const { order } = req.body;
+    const items = Array.isArray(order) ? order.map((itemId) => findItem(task, itemId)) : [];
+    if (
+      items.length !== task.checklist.length ||
+      items.some((item) => !item) ||
+      new Set(order.map(String)).size !== order.length
+    ) {
+      return res.status(400).json({ message: "order must list every checklist item exactly once" });
+    }
+
+    task.checklist = items.map((item) => item.toObject());
+    await saveChecklist(task);
+    publishTasks(task._id);
+
+    await sendChecklist(res, task);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// PATCH /api/tasks/:id/checklist/:itemId - Body: { title, done, assignee }
+const updateChecklistItem = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    const item = task && findItem(task, req.params.itemId);
+    if (!item) return res.status(404).json({ message: "Checklist item not found" });
+
+    const { title, done, assignee } = req.body;
+    if (title !== undefined) {
+      if (!String(title).trim()) return res.status(400).json({ message: "Checklist item title is required" });
+      item.title = String(title).trim();
+    }
+    if (done !== undefined) item.done = Boolean(done);
+    if (assignee !== undefined) {
+      const assigneeError = checkItemAssignee(task, assignee);
+      if (assigneeError) return res.status(400).json({ message: assigneeError });
+      item.assignee = assignee;
+    }
+    await saveChecklist(task);
+    publishTasks(task._id);
+
+    await sendChecklist(res, task);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// DELETE /api/tasks/:id/checklist/:itemId
+const deleteChecklistItem = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    const item = task && findItem(task, req.params.itemId);
+    if (!item) return res.status(404).json({ message: "Checklist item not found" });
+
+    item.deleteOne();
+    await saveChecklist(task);
+    publishTasks(task._id);
+
+    await sendChecklist(res, task);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { addChecklistItem, reorderChecklist, updateChecklistItem, deleteChecklistItem };
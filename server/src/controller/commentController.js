@@ -0,0 +1,136 @@
+const mongoose = require("mongoose");
+const Comment = require("../models/Comment");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const { findScopedTask, usersWhoCanSee } = require("../utils/taskScope");
+const { publishTasks } = require("../utils/taskEvents");
+const { notify, taskPeople } = require("../utils/notifications");
+const { handleError } = require("../utils/errors");
+
+// Mentions are written as @ followed by the user's email, e.g. "@jane@example.com"
+const MENTION_PATTERN = /@([^\s@]+@[^\s@]+\.[^\s@]+)/g;
+
+// Resolves the @email mentions in a comment body to registered user ids
+const resolveMentions = async (body) => {
+  const emails = [...body.matchAll(MENTION_PATTERN)].map((match) => match[1].replace(/[.,;:!?)]+$/, "").toLowerCase());
+  if (emails.length === 0) return [];
+
+  const users = await User.find({ email: { $in: [...new Set(emails)] } }).collation({ locale: "en", strength: 2 });
+  return users.map((user) => user._id);
+};
+
+const populateComment = (target) =>
+  target.populate([
+    { path: "author", select: "fullName email" },
+    { path: "mentions", select: "fullName email" },
+  ]);
+
+// Loads a comment on a task the user can see; sends the 404 itself and returns null when missing
+const findComment = async (req, res) => {
+  const task = await findScopedTask(req);
+  const comment = task && mongoose.isValidObjectId(req.params.commentId)
+    ? await Comment.findOne({ _id: req.params.commentId, task: task._id })
+    : null;
+
+  if (!comment) res.status(404).json({ message: "Comment not found" });
+  return comment;
+};
+
+// GET /api/tasks/:id/comments - flat list, oldest first; clients group replies by `parent`
+const getComments = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    const comments = await populateComment(Comment.find({ task: task._id }).sort({ createdAt: 1 }));
+    res.json(comments);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// POST /api/tasks/:id/comments  Body: { body, parent? }
+const addComment = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    const body = (req.body.body || "").trim();
+    if (!body) return res.status(400).json({ message: "Comment cannot be empty" });
+
+    let parent = null;
+    if (req.body.parent) {
+      const parentComment = mongoose.isValidObjectId(req.body.parent)
+        ? await Comment.findOne({ _id: req.body.parent, task: task._id })
+        : null;
+      if (!parentComment) return res.status(400).json({ message: "Parent comment not found" });
+
+      // Threads are one level deep: replying to a reply joins its thread
+      parent = parentComment.parent || parentComment._id;
+    }
+
+    const comment = await Comment.create({
+      task: task._id,
+      author: req.user.userId,
+      parent,
+      body,
+      mentions: await resolveMentions(body),
+    });
+    await Task.updateOne({ _id: task._id }, { $inc: { commentCount: 1 } });
+    publishTasks(task._id);
+
+    // People on the task hear about the comment; anyone @mentioned gets a mention instead,
+    // as long as they can open the task
+    const mentioned = await usersWhoCanSee(task, comment.mentions);
+    notify(mentioned, "mentioned", task, req.user.userId, body);
+    notify(taskPeople(task).filter((id) => !mentioned.includes(id)), "commented", task, req.user.userId, body);
+
+    res.status(201).json(await populateComment(comment));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// PATCH /api/tasks/:id/comments/:commentId  Body: { body } - author only
+const updateComment = async (req, res) => {
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) return;
+    if (!comment.author.equals(req.user.userId)) {
+      return res.status(403).json({ message: "Only the author can edit this comment" });
+    }
+
+    const body = (req.body.body || "").trim();
+    if (!body) return res.status(400).json({ message: "Comment cannot be empty" });
+
+    comment.body = body;
+    comment.mentions = await resolveMentions(body);
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.json(await populateComment(comment));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// DELETE /api/tasks/:id/comments/:commentId - author only; removes the comment's replies too
+const deleteComment = async (req, res) => {
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) return;
+    if (!comment.author.equals(req.user.userId)) {
+      return res.status(403).json({ message: "Only the author can delete this comment" });
+    }
+
+    const { deletedCount } = await Comment.deleteMany({ $or: [{ _id: comment._id }, { parent: comment._id }] });
+    await Task.updateOne({ _id: comment.task }, { $inc: { commentCount: -deletedCount } });
+    publishTasks(comment.task);
+
+    res.json({ message: "Comment deleted successfully", deleted: deletedCount });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { getComments, addComment, updateComment, deleteComment };
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const { findScopedTask } = require("../utils/taskScope");
+const { isUpstream } = require("../utils/dependencies");
+const { publishTasks } = require("../utils/taskEvents");
+const { handleError } = require("../utils/errors");
+
+const sendBlockers = async (res, task, status = 200) => {
+  await task.populate("blockedBy", "title status");
+  res.status(status).json({ blockedBy: task.blockedBy });
+};
+
+// POST /api/tasks/:id/dependencies - Body: { blockerId }; the blocker must be done before this task
+const addDependency = async (req, res) => {
+  try {
+    const { blockerId } = req.body;
+    if (!mongoose.isValidObjectId(blockerId)) {
+      return res.status(400).json({ message: "blockerId must be a task id" });
+    }
+
+    const task = await findScopedTask(req);
+    const blocker = task && (await findScopedTask(req, blockerId));
+    if (!blocker) return res.status(404).json({ message: "Task not found" });
+
+    if (task._id.equals(blocker._id)) {
+      return res.status(400).json({ message: "A task cannot block itself" });
+    }
+    if (task.blockedBy.some((id) => id.equals(blocker._id))) {
+      return res.status(400).json({ message: `Already blocked by "${blocker.title}"` });
+    }
+    if (await isUpstream(task._id, blocker._id)) {
+      return res.status(409).json({ message: `"${blocker.title}" already depends on this task` });
+    }
+
+    task.blockedBy.push(blocker._id);
+    await task.save();
+    publishTasks(task._id);
+
+    await sendBlockers(res, task, 201);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// DELETE /api/tasks/:id/dependencies/:blockerId
+const removeDependency = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    const { blockerId } = req.params;
+    if (!task.blockedBy.some((id) => String(id) === blockerId)) {
+      return res.status(404).json({ message: "Dependency not found" });
+    }
+
+    task.blockedBy.pull(blockerId);
+    await task.save();
+    publishTasks(task._id);
+
+    await sendBlockers(res, task);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { addDependency, removeDependency };
@@ -39,21 +39,14 @@
 
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
-const nodemailer = require("nodemailer");
 const User = require("../models/User"); 
+const RevokedToken = require("../models/RevokedToken");
+const { recordAuthEvent } = require("../utils/audit");
+const { APP_URL, sendMail } = require("../utils/mailer");
 require("dotenv").config();
 
 const SECRET_KEY = process.env.JWT_SECRET;
 
-// Nodemailer setup
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
-
 // 📌 **Forgot Password Controller**
 // const forgotPassword = async (req, res) => {
 //   try {
@@ -121,9 +114,8 @@ const forgotPassword = async (req, res) => {
       user.resetTokenExpires = Date.now() + 15 * 60 * 1000; // 15 minutes expiry
       await user.save();
   
-      const resetLink = `http://localhost:5173/reset-password?token=${token}`;
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
+      const resetLink = `${APP_URL}/reset-password?token=${token}`;
+      await sendMail({
         to: user.email,
         subject: "Reset Your Password",
         text: `Click the link to reset your password: ${resetLink}`,
@@ -140,7 +132,7 @@ const forgotPassword = async (req, res) => {
     try {
       const { token, password } = req.body;
   
-      const user = await User.findOne({ resetToken: token, resetTokenExpires: { $gt: Date.now() } });
+      const user = await User.findOne({ resetToken: token, resetTokenExpires: { $gt: Date.now() } }).select("+refreshTokens");
   
       if (!user) return res.status(400).json({ message: "Invalid or expired token." });
   
@@ -149,7 +141,14 @@ const forgotPassword = async (req, res) => {
   
       user.resetToken = null;
       user.resetTokenExpires = null;
+      // Sign out every device that knew the old password, including access tokens already issued
+      const endedSessions = user.refreshTokens.map((entry) => entry.sid);
+      await RevokedToken.insertMany(
+        user.refreshTokens.map((entry) => ({ sid: entry.sid, user: user._id, expiresAt: entry.expiresAt }))
+      );
+      user.refreshTokens = [];
       await user.save();
+      await recordAuthEvent(req, "password-reset", user, { details: { endedSessions } });
   
       res.json({ message: "Password reset successful!" });
     } catch (error) {
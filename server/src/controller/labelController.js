@@ -0,0 +1,66 @@
+const Label = require("../models/Label");
+const Task = require("../models/Task");
+const TaskSeries = require("../models/TaskSeries");
+const { handleError } = require("../utils/errors");
+
+// Label names are unique, so a duplicate key is a name clash
+const handleLabelError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(409).json({ message: "A label with that name already exists" });
+  }
+  handleError(res, error);
+};
+
+const getLabels = async (req, res) => {
+  try {
+    const labels = await Label.find().collation({ locale: "en", strength: 2 }).sort({ name: 1 });
+    res.json(labels);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// POST /api/labels - any user can add a label, e.g. from the task form
+const createLabel = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+    const label = await Label.create({ name, color, createdBy: req.user.userId });
+    res.status(201).json(label);
+  } catch (error) {
+    handleLabelError(res, error);
+  }
+};
+
+// PATCH /api/labels/:id (admin) - Body: { name, color }
+const updateLabel = async (req, res) => {
+  try {
+    const label = await Label.findById(req.params.id);
+    if (!label) return res.status(404).json({ message: "Label not found" });
+
+    const { name, color } = req.body;
+    if (name !== undefined) label.name = name;
+    if (color !== undefined) label.color = color;
+    await label.save();
+
+    res.json(label);
+  } catch (error) {
+    handleLabelError(res, error);
+  }
+};
+
+// DELETE /api/labels/:id (admin) - also takes the label off every task
+const deleteLabel = async (req, res) => {
+  try {
+    const label = await Label.findByIdAndDelete(req.params.id);
+    if (!label) return res.status(404).json({ message: "Label not found" });
+
+    await Task.updateMany({ labels: label._id }, { $pull: { labels: label._id } });
+    await TaskSeries.updateMany({ labels: label._id }, { $pull: { labels: label._id } });
+
+    res.json({ message: "Label deleted successfully" });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { getLabels, createLabel, updateLabel, deleteLabel };
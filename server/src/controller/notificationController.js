@@ -0,0 +1,72 @@
+const Notification = require("../models/Notification");
+const { handleError } = require("../utils/errors");
+
+// Records kept only to stop reminders repeating are not part of the user's notifications
+const VISIBLE = { inApp: { $ne: false } };
+
+const unreadCount = (userId) => Notification.countDocuments({ user: userId, read: false, ...VISIBLE });
+
+// GET /api/notifications?page=1&limit=20&unread=true - newest first
+const getNotifications = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = { user: req.user.userId, ...VISIBLE };
+    if (req.query.unread === "true") filter.read = false;
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate([
+          { path: "actor", select: "fullName email" },
+          { path: "task", select: "title" },
+        ]),
+      Notification.countDocuments(filter),
+      unreadCount(req.user.userId),
+    ]);
+
+    res.json({ notifications, total, unread, page, pages: Math.max(Math.ceil(total / limit), 1) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// GET /api/notifications/unread-count
+const getUnreadCount = async (req, res) => {
+  try {
+    res.json({ unread: await unreadCount(req.user.userId) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// PATCH /api/notifications/:id/read  Body: { read } - defaults to marking it read
+const markRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.userId, ...VISIBLE },
+      { read: req.body.read !== false },
+      { new: true }
+    );
+    if (!notification) return res.status(404).json({ message: "Notification not found" });
+
+    res.json({ notification, unread: await unreadCount(req.user.userId) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// PATCH /api/notifications/read-all
+const markAllRead = async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany({ user: req.user.userId, read: false, ...VISIBLE }, { read: true });
+    res.json({ updated: modifiedCount, unread: 0 });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { getNotifications, getUnreadCount, markRead, markAllRead };
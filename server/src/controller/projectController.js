@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const { projectScope } = require("../utils/projectScope");
+const { handleError } = require("../utils/errors");
+
+const populateMembers = (target) => target.populate({ path: "members", select: "fullName email" });
+
+// De-duplicates members; returns an error message unless every id is a registered user
+const checkMembers = async (members) => {
+  if (!Array.isArray(members) || !members.every((id) => mongoose.isValidObjectId(id))) {
+    return { error: "members must be a list of user ids" };
+  }
+  const ids = [...new Set(members.map(String))];
+  const found = await User.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? { members: ids } : { error: "Unknown member" };
+};
+
+// GET /api/projects - projects the user can see, archived ones included
+const getProjects = async (req, res) => {
+  try {
+    await Project.getDefault();
+    const projects = await populateMembers(
+      Project.find(projectScope(req)).collation({ locale: "en", strength: 2 }).sort({ isDefault: -1, name: 1 })
+    );
+    res.json(projects);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// POST /api/projects (admin) - Body: { name, description, members }
+const createProject = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const { members = [], error } = req.body.members === undefined ? {} : await checkMembers(req.body.members);
+    if (error) return res.status(400).json({ message: error });
+
+    const project = await Project.create({ name, description, members, owner: req.user.userId });
+    res.status(201).json(await populateMembers(project));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// PATCH /api/projects/:id (admin) - Body: { name, description, members, archived }
+const updateProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) return res.status(404).json({ message: "Project not found" });
+
+    const { name, description, archived } = req.body;
+    if (archived && project.isDefault) {
+      return res.status(400).json({ message: "The default project can't be archived" });
+    }
+    if (req.body.members !== undefined) {
+      const { members, error } = await checkMembers(req.body.members);
+      if (error) return res.status(400).json({ message: error });
+      project.members = members;
+    }
+    if (name !== undefined) project.name = name;
+    if (description !== undefined) project.description = description;
+    if (archived !== undefined) project.archived = Boolean(archived);
+    await project.save();
+
+    res.json(await populateMembers(project));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { getProjects, createProject, updateProject };
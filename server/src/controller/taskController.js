@@ -0,0 +1,584 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const Workflow = require("../models/Workflow");
+const User = require("../models/User");
+const Comment = require("../models/Comment");
+const TaskSeries = require("../models/TaskSeries");
+const TimeEntry = require("../models/TimeEntry");
+const Label = require("../models/Label");
+const Project = require("../models/Project");
+const { taskScope, supervisedScope, canSupervise, findScopedTask } = require("../utils/taskScope");
+const { findScopedProject } = require("../utils/projectScope");
+const { removeStoredFiles } = require("../utils/uploads");
+const { parseRecurrence, occurrencesBetween, spawnNextOccurrence } = require("../utils/recurrence");
+const { populateTask, publishTasks, publishTaskDeleted } = require("../utils/taskEvents");
+const { notify, taskPeople } = require("../utils/notifications");
+const { handleError } = require("../utils/errors");
+
+// Fields a client may set; the owner always comes from the verified token
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "deadline",
+  "progress",
+  "status",
+  "position",
+  "assignees",
+  "labels",
+  "project",
+];
+
+const pickEditable = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// Only the owner, an admin or the owner's team lead may reassign or delete a task
+const canManage = (req, task) => task.owner.equals(req.user.userId) || canSupervise(req, task);
+
+// De-duplicates fields.assignees; returns an error message unless every id is a registered user
+const checkAssignees = async (fields) => {
+  const { assignees } = fields;
+  if (!Array.isArray(assignees) || !assignees.every((id) => mongoose.isValidObjectId(id))) {
+    return "assignees must be a list of user ids";
+  }
+  fields.assignees = [...new Set(assignees.map(String))];
+  const found = await User.countDocuments({ _id: { $in: fields.assignees } });
+  return found === fields.assignees.length ? null : "Unknown assignee";
+};
+
+// De-duplicates fields.labels; returns an error message unless every id is an existing label
+const checkLabels = async (fields) => {
+  const { labels } = fields;
+  if (!Array.isArray(labels) || !labels.every((id) => mongoose.isValidObjectId(id))) {
+    return "labels must be a list of label ids";
+  }
+  fields.labels = [...new Set(labels.map(String))];
+  const found = await Label.countDocuments({ _id: { $in: fields.labels } });
+  return found === fields.labels.length ? null : "Unknown label";
+};
+
+// Returns an error message unless the user may file tasks in the project
+const checkProject = async (req, projectId) =>
+  (await findScopedProject(req, projectId)) ? null : "Unknown or archived project";
+
+// GET /api/tasks?project=<id> - listings can be narrowed to one project
+const projectFilter = (req) => (req.query.project ? { project: req.query.project } : {});
+
+const findState = (workflow, status) => workflow.states.find((state) => state.name === status);
+
+// Finishing a task goes through review, so only admins and the owner's team lead may
+// move it into a done state directly
+const DONE_BY_REVIEW = "Submit the task for review to complete it";
+const isDoneState = (workflow, status) => Boolean((findState(workflow, status) || {}).done);
+
+// Review status after a task moves to `status`: completing it settles a pending review,
+// and reopening an approved task means it has to be reviewed again
+const reviewStatusAfterMove = (workflow, task, status) => {
+  if (isDoneState(workflow, status)) return task.reviewStatus === "pending" ? "none" : task.reviewStatus;
+  return task.reviewStatus === "approved" ? "none" : task.reviewStatus;
+};
+
+// A task can't be completed while any task blocking it is still open
+const findOpenBlockers = async (workflow, blockedBy, settledIds = []) => {
+  if (blockedBy.length === 0) return [];
+  const blockers = await Task.find({ _id: { $in: blockedBy, $nin: settledIds } }).select("title status");
+  return blockers.filter((blocker) => !isDoneState(workflow, blocker.status));
+};
+
+const blockedMessage = (blockers) =>
+  `Blocked by open tasks: ${blockers.map((blocker) => `"${blocker.title}"`).join(", ")}`;
+
+// Fields a recurring series copies into every new occurrence
+const TEMPLATE_FIELDS = ["title", "description", "priority", "assignees", "labels", "project"];
+
+const pickTemplate = (source) =>
+  TEMPLATE_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+/**
+ * Starts, changes or stops (recurrence === null) the task's repetition.
+ * A new series takes the task as its template. Returns an error message or null.
+ */
+const applyRecurrence = async (task, recurrence) => {
+  const series = task.series && (await TaskSeries.findById(task.series));
+  if (recurrence === null) {
+    if (series) {
+      series.active = false;
+      await series.save();
+    }
+    return null;
+  }
+
+  const { rule, error } = parseRecurrence(recurrence, task.deadline);
+  if (error) return error;
+
+  const target =
+    series ||
+    new TaskSeries({
+      owner: task.owner,
+      ...pickTemplate(task),
+      checklist: task.checklist.map((item) => item.title),
+    });
+  target.set({ ...rule, active: true });
+  await target.save();
+  task.series = target._id;
+  return null;
+};
+
+/**
+ * Returns an error message when moving tasks into new states would push any
+ * owner's column past its WIP limit, otherwise null.
+ *
+ * @param {Object} workflow - Current Workflow document
+ * @param {Array} moves - [{ id, owner, status }] for tasks changing state
+ */
+const checkWipLimits = async (workflow, moves) => {
+  const groups = new Map();
+  moves.forEach((move) => {
+    const key = `${move.owner}:${move.status}`;
+    groups.set(key, { owner: move.owner, status: move.status, count: ((groups.get(key) || {}).count || 0) + 1 });
+  });
+
+  const movedIds = moves.map((move) => move.id);
+  for (const { owner, status, count } of groups.values()) {
+    const { wipLimit } = findState(workflow, status);
+    if (!wipLimit) continue;
+
+    const existing = await Task.countDocuments({ owner, status, _id: { $nin: movedIds } });
+    if (existing + count > wipLimit) {
+      return `"${status}" is at its WIP limit of ${wipLimit}`;
+    }
+  }
+  return null;
+};
+
+const getTasks = async (req, res) => {
+  try {
+    const tasks = await populateTask(Task.find({ ...taskScope(req), ...projectFilter(req) }).sort({ createdAt: 1 }));
+    res.json(tasks);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const getTask = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    res.json(await populateTask(task));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const createTask = async (req, res) => {
+  try {
+    const fields = pickEditable(req.body);
+    // Checked before the task is built so it gets the de-duplicated ids
+    if (fields.assignees !== undefined) {
+      const assigneeError = await checkAssignees(fields);
+      if (assigneeError) return res.status(400).json({ message: assigneeError });
+    }
+    if (fields.labels !== undefined) {
+      const labelError = await checkLabels(fields);
+      if (labelError) return res.status(400).json({ message: labelError });
+    }
+    const workflow = await Workflow.getCurrent();
+    const task = new Task({ ...fields, owner: req.user.userId });
+
+    if (fields.status === undefined) {
+      task.status = workflow.states[0].name;
+    } else if (!findState(workflow, task.status)) {
+      return res.status(400).json({ message: `Unknown status "${task.status}"` });
+    } else if (isDoneState(workflow, task.status) && req.user.role !== "admin") {
+      return res.status(403).json({ message: DONE_BY_REVIEW });
+    }
+    const wipError = await checkWipLimits(workflow, [{ id: task._id, owner: task.owner, status: task.status }]);
+    if (wipError) return res.status(409).json({ message: wipError });
+
+    if (fields.project === undefined) {
+      task.project = (await Project.getDefault())._id;
+    } else {
+      const projectError = await checkProject(req, fields.project);
+      if (projectError) return res.status(400).json({ message: projectError });
+    }
+
+    if (fields.position === undefined) {
+      task.position = await Task.nextPosition(task.owner, task.status);
+    }
+
+    if (req.body.recurrence) {
+      await task.validate();
+      const recurrenceError = await applyRecurrence(task, req.body.recurrence);
+      if (recurrenceError) return res.status(400).json({ message: recurrenceError });
+    }
+
+    task.rollUpProgress(workflow);
+    await task.save();
+    publishTasks(task._id, "created");
+    notify(task.assignees, "assigned", task, req.user.userId);
+    res.status(201).json(await populateTask(task));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * PATCH /api/tasks/:id
+ * For a recurring task, `scope: "future"` also applies title, description,
+ * priority, assignee, label and project changes to the series and its later occurrences;
+ * the default "occurrence" scope changes only this task. A `recurrence`
+ * rule (or null to stop repeating) always applies to the whole series.
+ */
+const updateTask = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    const fields = pickEditable(req.body);
+    if (fields.assignees !== undefined) {
+      if (!canManage(req, task)) {
+        return res.status(403).json({ message: "Only the task owner, their team lead or an admin can reassign it" });
+      }
+      const assigneeError = await checkAssignees(fields);
+      if (assigneeError) return res.status(400).json({ message: assigneeError });
+    }
+    if (fields.labels !== undefined) {
+      const labelError = await checkLabels(fields);
+      if (labelError) return res.status(400).json({ message: labelError });
+    }
+    if (fields.project !== undefined && String(fields.project) !== String(task.project)) {
+      if (!canManage(req, task)) {
+        return res.status(403).json({ message: "Only the task owner, their team lead or an admin can move it to another project" });
+      }
+      const projectError = await checkProject(req, fields.project);
+      if (projectError) return res.status(400).json({ message: projectError });
+    }
+    const previousAssignees = task.assignees.map(String);
+    task.set(fields);
+
+    const workflow = await Workflow.getCurrent();
+    let completed = false;
+    if (task.isModified("status")) {
+      if (!findState(workflow, task.status)) {
+        return res.status(400).json({ message: `Unknown status "${task.status}"` });
+      }
+      if (isDoneState(workflow, task.status) && !canSupervise(req, task)) {
+        return res.status(403).json({ message: DONE_BY_REVIEW });
+      }
+      if (isDoneState(workflow, task.status)) {
+        const blockers = await findOpenBlockers(workflow, task.blockedBy);
+        if (blockers.length > 0) return res.status(409).json({ message: blockedMessage(blockers) });
+        completed = true;
+      }
+      task.reviewStatus = reviewStatusAfterMove(workflow, task, task.status);
+      const wipError = await checkWipLimits(workflow, [{ id: task._id, owner: task.owner, status: task.status }]);
+      if (wipError) return res.status(409).json({ message: wipError });
+
+      // A task moved to another column without an explicit slot goes to the bottom
+      if (fields.position === undefined) {
+        task.position = await Task.nextPosition(task.owner, task.status);
+      }
+    }
+
+    if (req.body.recurrence !== undefined) {
+      if (!canManage(req, task)) {
+        return res.status(403).json({ message: "Only the task owner, their team lead or an admin can change how it repeats" });
+      }
+      await task.validate();
+      const recurrenceError = await applyRecurrence(task, req.body.recurrence);
+      if (recurrenceError) return res.status(400).json({ message: recurrenceError });
+    }
+    task.rollUpProgress(workflow);
+    await task.save();
+
+    const changed = [task._id];
+    // Who could see the tasks before, so people taken off them drop the cards
+    const before = [{ _id: task._id, owner: task.owner, assignees: previousAssignees }];
+    const template = pickTemplate(fields);
+    if (req.body.scope === "future" && task.series && Object.keys(template).length > 0) {
+      const later = { series: task.series, _id: { $ne: task._id }, deadline: { $gt: task.deadline } };
+      await TaskSeries.updateOne({ _id: task.series }, { $set: template });
+      const laterTasks = await Task.find(later).select("owner assignees");
+      changed.push(...laterTasks.map((other) => other._id));
+      before.push(...laterTasks);
+      await Task.updateMany(later, { $set: template });
+    }
+    if (completed) await spawnNextOccurrence(task);
+    publishTasks(changed, "updated", before);
+    notify(task.assignees.filter((id) => !previousAssignees.includes(String(id))), "assigned", task, req.user.userId);
+
+    res.json(await populateTask(task));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * DELETE /api/tasks/:id
+ * Deleting one occurrence of a recurring task moves the series on to its next
+ * occurrence; `?scope=future` ends the series instead.
+ */
+const deleteTask = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    if (!canManage(req, task)) {
+      return res.status(403).json({ message: "Only the task owner, their team lead or an admin can delete it" });
+    }
+
+    if (task.series && req.query.scope === "future") {
+      await TaskSeries.updateOne({ _id: task.series }, { active: false });
+    } else if (task.series) {
+      await spawnNextOccurrence(task);
+    }
+
+    await task.deleteOne();
+    await Comment.deleteMany({ task: task._id });
+    await TimeEntry.deleteMany({ task: task._id });
+    const unblocked = await Task.find({ blockedBy: task._id }).distinct("_id");
+    await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } });
+    await removeStoredFiles(task.attachments.map((attachment) => attachment.filename));
+    publishTaskDeleted(task);
+    publishTasks(unblocked);
+
+    res.json({ message: "Task deleted successfully" });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * PATCH /api/tasks/board
+ * Body: { columns: { "<status>": [taskId, ...] } }
+ * Each listed column is saved in the given order: every task takes that
+ * column's status and its index as position. Only the columns touched by a
+ * drag need to be sent.
+ */
+const updateBoard = async (req, res) => {
+  try {
+    const { columns } = req.body;
+    if (!columns || typeof columns !== "object" || Array.isArray(columns)) {
+      return res.status(400).json({ message: "columns must map each status to an ordered list of task ids" });
+    }
+
+    const workflow = await Workflow.getCurrent();
+    const updates = [];
+    for (const [status, ids] of Object.entries(columns)) {
+      if (!findState(workflow, status)) {
+        return res.status(400).json({ message: `Unknown status "${status}"` });
+      }
+      if (!Array.isArray(ids) || !ids.every((id) => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: `Invalid task ids for "${status}"` });
+      }
+      ids.forEach((id, position) => updates.push({ id, status, position }));
+    }
+
+    const ids = updates.map((update) => update.id);
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ message: "A task can only appear once on the board" });
+    }
+
+    const found = await Task.find({ _id: { $in: ids }, ...taskScope(req) }).select("owner status reviewStatus checklist progress blockedBy series deadline");
+    if (found.length !== ids.length) return res.status(404).json({ message: "Task not found" });
+
+    const targets = new Map(updates.map((update) => [update.id, update.status]));
+    const moves = found
+      .filter((task) => task.status !== targets.get(task.id))
+      .map((task) => ({ id: task._id, owner: task.owner, status: targets.get(task.id) }));
+    if (moves.some((move) => isDoneState(workflow, move.status) && !canSupervise(req, move))) {
+      return res.status(403).json({ message: DONE_BY_REVIEW });
+    }
+    // Blockers completed by this same update don't count as open
+    const completing = found.filter(
+      (task) => task.status !== targets.get(task.id) && isDoneState(workflow, targets.get(task.id))
+    );
+    for (const task of completing) {
+      const blockers = await findOpenBlockers(workflow, task.blockedBy, completing.map((other) => other._id));
+      if (blockers.length > 0) return res.status(409).json({ message: blockedMessage(blockers) });
+    }
+    const wipError = await checkWipLimits(workflow, moves);
+    if (wipError) return res.status(409).json({ message: wipError });
+
+    if (updates.length > 0) {
+      const byId = new Map(found.map((task) => [task.id, task]));
+      await Task.bulkWrite(
+        updates.map(({ id, status, position }) => {
+          const task = byId.get(id);
+          const reviewStatus = reviewStatusAfterMove(workflow, task, status);
+          task.status = status;
+          const progress = task.rollUpProgress(workflow);
+          return { updateOne: { filter: { _id: id }, update: { $set: { status, position, progress, reviewStatus } } } };
+        })
+      );
+    }
+
+    for (const task of completing) {
+      await spawnNextOccurrence(task);
+    }
+    publishTasks(ids);
+
+    const tasks = await populateTask(Task.find({ _id: { $in: ids } }));
+    res.json(tasks);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * GET /api/tasks/occurrences?start=<date>&end=<date>&project=<id>
+ * Upcoming occurrences of recurring tasks that don't exist yet, for the
+ * calendar: [{ task, title, date }] where `task` is the latest occurrence.
+ */
+const getOccurrences = async (req, res) => {
+  try {
+    const start = new Date(req.query.start);
+    const end = new Date(req.query.end);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+      return res.status(400).json({ message: "start and end must be dates, with start first" });
+    }
+
+    const latest = await Task.find({ ...taskScope(req), ...projectFilter(req), series: { $ne: null }, nextSpawned: false })
+      .populate("series")
+      .select("title deadline series");
+
+    const occurrences = latest
+      .filter((task) => task.series && task.series.active && task.deadline)
+      .flatMap((task) =>
+        occurrencesBetween(task.series, task.deadline, start, end).map((date) => ({
+          task: task.id,
+          title: task.series.title,
+          date,
+        }))
+      );
+    res.json(occurrences);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// GET /api/tasks/review-queue?project=<id> - tasks waiting for the requester's decision, oldest first
+const getReviewQueue = async (req, res) => {
+  try {
+    const tasks = await populateTask(
+      Task.find({ reviewStatus: "pending", ...supervisedScope(req), ...projectFilter(req) }).sort({ updatedAt: 1 })
+    );
+    res.json(tasks);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// POST /api/tasks/:id/submit - owner or assignee asks for the task to be verified
+const submitForReview = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    const workflow = await Workflow.getCurrent();
+    if (isDoneState(workflow, task.status)) {
+      return res.status(400).json({ message: "Task is already completed" });
+    }
+    if (task.reviewStatus === "pending") {
+      return res.status(400).json({ message: "Task is already waiting for review" });
+    }
+    const blockers = await findOpenBlockers(workflow, task.blockedBy);
+    if (blockers.length > 0) return res.status(409).json({ message: blockedMessage(blockers) });
+
+    task.reviewStatus = "pending";
+    task.history.push({
+      action: "submitted",
+      by: req.user.userId,
+      comment: (req.body.comment || "").trim(),
+      fromStatus: task.status,
+    });
+    await task.save();
+    publishTasks(task._id);
+
+    res.json(await populateTask(task));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * POST /api/tasks/:id/review (admin or the owner's team lead)
+ * Body: { decision: "approve" | "reject", comment }
+ * Approving moves the task to the first done state; rejecting needs a comment
+ * and sends it back to the status it was submitted from.
+ */
+const reviewTask = async (req, res) => {
+  try {
+    const { decision } = req.body;
+    const comment = (req.body.comment || "").trim();
+    if (!["approve", "reject"].includes(decision)) {
+      return res.status(400).json({ message: 'decision must be "approve" or "reject"' });
+    }
+    if (decision === "reject" && !comment) {
+      return res.status(400).json({ message: "A reason is required to reject a task" });
+    }
+
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+    if (!canSupervise(req, task)) {
+      return res.status(403).json({ message: "Only an admin or the owner's team lead can review this task" });
+    }
+
+    const workflow = await Workflow.getCurrent();
+    if (decision === "reject" && task.reviewStatus !== "pending") {
+      return res.status(400).json({ message: "Only tasks waiting for review can be rejected" });
+    }
+    if (decision === "approve" && isDoneState(workflow, task.status)) {
+      return res.status(400).json({ message: "Task is already completed" });
+    }
+    if (decision === "approve") {
+      const blockers = await findOpenBlockers(workflow, task.blockedBy);
+      if (blockers.length > 0) return res.status(409).json({ message: blockedMessage(blockers) });
+    }
+
+    const submission = [...task.history].reverse().find((entry) => entry.action === "submitted");
+    const fallbackState = workflow.states.find((state) => !state.done) || workflow.states[0];
+    const submittedFrom = submission && findState(workflow, submission.fromStatus) ? submission.fromStatus : fallbackState.name;
+    const status = decision === "approve" ? workflow.states.find((state) => state.done).name : submittedFrom;
+
+    if (status !== task.status) {
+      const wipError = await checkWipLimits(workflow, [{ id: task._id, owner: task.owner, status }]);
+      if (wipError) return res.status(409).json({ message: wipError });
+
+      task.status = status;
+      task.position = await Task.nextPosition(task.owner, status);
+    }
+
+    task.reviewStatus = decision === "approve" ? "approved" : "rejected";
+    task.history.push({ action: decision === "approve" ? "approved" : "rejected", by: req.user.userId, comment });
+    task.rollUpProgress(workflow);
+    await task.save();
+    if (decision === "approve") await spawnNextOccurrence(task);
+    publishTasks(task._id);
+    notify(taskPeople(task), task.reviewStatus, task, req.user.userId, comment);
+
+    res.json(await populateTask(task));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = {
+  getTasks,
+  getTask,
+  createTask,
+  updateTask,
+  deleteTask,
+  updateBoard,
+  getOccurrences,
+  getReviewQueue,
+  submitForReview,
+  reviewTask,
+};
@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const Team = require("../models/Team");
+const User = require("../models/User");
+const { handleError } = require("../utils/errors");
+
+const populateTeam = (target) =>
+  target.populate([
+    { path: "members", select: "fullName email" },
+    { path: "leads", select: "fullName email" },
+  ]);
+
+// De-duplicates a list of user ids; returns { ids } or { error } unless every id is a registered user
+const checkUsers = async (list, field) => {
+  if (!Array.isArray(list) || !list.every((id) => mongoose.isValidObjectId(id))) {
+    return { error: `${field} must be a list of user ids` };
+  }
+  const ids = [...new Set(list.map(String))];
+  const found = await User.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? { ids } : { error: `Unknown user in ${field}` };
+};
+
+// Applies { name, description, members, leads } from the body; returns an error message or null
+const applyTeamFields = async (team, body) => {
+  const { name, description } = body;
+  if (name !== undefined) team.name = name;
+  if (description !== undefined) team.description = description;
+
+  for (const field of ["members", "leads"]) {
+    if (body[field] === undefined) continue;
+    const { ids, error } = await checkUsers(body[field], field);
+    if (error) return error;
+    team[field] = ids;
+  }
+  // A lead is always part of the team they lead
+  const memberIds = team.members.map(String);
+  team.members.push(...team.leads.filter((lead) => !memberIds.includes(String(lead))));
+  return null;
+};
+
+// GET /api/teams - admins see every team, everyone else the teams they are in
+const getTeams = async (req, res) => {
+  try {
+    const filter = req.user.role === "admin" ? {} : { members: req.user.userId };
+    const teams = await populateTeam(Team.find(filter).collation({ locale: "en", strength: 2 }).sort({ name: 1 }));
+    res.json(teams);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// POST /api/teams (admin) - Body: { name, description, members, leads }
+const createTeam = async (req, res) => {
+  try {
+    const team = new Team();
+    const fieldError = await applyTeamFields(team, req.body);
+    if (fieldError) return res.status(400).json({ message: fieldError });
+
+    await team.save();
+    res.status(201).json(await populateTeam(team));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// PATCH /api/teams/:id (admin) - Body: { name, description, members, leads }
+const updateTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team) return res.status(404).json({ message: "Team not found" });
+
+    const fieldError = await applyTeamFields(team, req.body);
+    if (fieldError) return res.status(400).json({ message: fieldError });
+
+    await team.save();
+    res.json(await populateTeam(team));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// DELETE /api/teams/:id (admin) - members keep their tasks, leads lose their team powers
+const deleteTeam = async (req, res) => {
+  try {
+    const team = await Team.findByIdAndDelete(req.params.id);
+    if (!team) return res.status(404).json({ message: "Team not found" });
+
+    res.json({ message: "Team deleted successfully" });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { getTeams, createTeam, updateTeam, deleteTeam };
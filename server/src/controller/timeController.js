@@ -0,0 +1,187 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const TimeEntry = require("../models/TimeEntry");
+const { findScopedTask } = require("../utils/taskScope");
+const { publishTasks } = require("../utils/taskEvents");
+const { handleError } = require("../utils/errors");
+
+const MAX_MANUAL_MINUTES = 24 * 60;
+
+const populateEntry = (target) =>
+  target.populate([
+    { path: "user", select: "fullName email" },
+    { path: "task", select: "title" },
+  ]);
+
+// Ends a running entry and adds its time to the task's total
+const stopEntry = async (entry) => {
+  entry.endedAt = new Date();
+  entry.seconds = Math.round((entry.endedAt - entry.startedAt) / 1000);
+  await entry.save();
+  await Task.updateOne({ _id: entry.task }, { $inc: { trackedSeconds: entry.seconds } });
+  publishTasks(entry.task);
+  return entry;
+};
+
+// GET /api/time/running - the current user's running timer, or null
+const getRunningTimer = async (req, res) => {
+  try {
+    const entry = await populateEntry(TimeEntry.findOne({ user: req.user.userId, endedAt: null }));
+    res.json(entry);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * POST /api/tasks/:id/time/start
+ * Starting a timer stops the one already running on another task; the
+ * response is { timer, stopped } with the stopped entry or null.
+ */
+const startTimer = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    const running = await TimeEntry.findOne({ user: req.user.userId, endedAt: null });
+    if (running && running.task.equals(task._id)) {
+      return res.status(400).json({ message: "A timer is already running on this task" });
+    }
+    const stopped = running ? await populateEntry(await stopEntry(running)) : null;
+
+    const timer = await TimeEntry.create({ task: task._id, user: req.user.userId, startedAt: new Date() });
+    res.status(201).json({ timer: await populateEntry(timer), stopped });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// POST /api/time/stop - stops the current user's running timer
+const stopTimer = async (req, res) => {
+  try {
+    const running = await TimeEntry.findOne({ user: req.user.userId, endedAt: null });
+    if (!running) return res.status(404).json({ message: "No timer is running" });
+
+    res.json(await populateEntry(await stopEntry(running)));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// GET /api/tasks/:id/time - every entry on the task, newest first
+const getTimeEntries = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    const entries = await populateEntry(TimeEntry.find({ task: task._id }).sort({ startedAt: -1 }));
+    res.json(entries);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// POST /api/tasks/:id/time - Body: { minutes, date, note } for time logged by hand
+const addTimeEntry = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found" });
+
+    const minutes = Number(req.body.minutes);
+    if (!Number.isFinite(minutes) || minutes < 1 || minutes > MAX_MANUAL_MINUTES) {
+      return res.status(400).json({ message: `minutes must be between 1 and ${MAX_MANUAL_MINUTES}` });
+    }
+    const startedAt = req.body.date ? new Date(req.body.date) : new Date();
+    if (Number.isNaN(startedAt.getTime())) return res.status(400).json({ message: "date must be a date" });
+
+    const seconds = Math.round(minutes * 60);
+    const entry = await TimeEntry.create({
+      task: task._id,
+      user: req.user.userId,
+      startedAt,
+      endedAt: new Date(startedAt.getTime() + seconds * 1000),
+      seconds,
+      note: req.body.note || "",
+      manual: true,
+    });
+    await Task.updateOne({ _id: task._id }, { $inc: { trackedSeconds: seconds } });
+    publishTasks(task._id);
+
+    res.status(201).json(await populateEntry(entry));
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// DELETE /api/tasks/:id/time/:entryId - the entry's author or an admin
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    const entry = task && mongoose.isValidObjectId(req.params.entryId)
+      ? await TimeEntry.findOne({ _id: req.params.entryId, task: task._id })
+      : null;
+    if (!entry) return res.status(404).json({ message: "Time entry not found" });
+
+    if (req.user.role !== "admin" && !entry.user.equals(req.user.userId)) {
+      return res.status(403).json({ message: "You can only delete your own time entries" });
+    }
+
+    await entry.deleteOne();
+    if (entry.seconds > 0) {
+      await Task.updateOne({ _id: task._id }, { $inc: { trackedSeconds: -entry.seconds } });
+      publishTasks(task._id);
+    }
+
+    res.json({ message: "Time entry deleted successfully" });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * GET /api/time/report?from=<date>&to=<date> (admin)
+ * Finished time per user and task, for entries started within the range:
+ * [{ user, task, seconds, entries }] sorted by user then most time.
+ */
+const getTimeReport = async (req, res) => {
+  try {
+    const startedAt = {};
+    if (req.query.from) startedAt.$gte = new Date(req.query.from);
+    if (req.query.to) startedAt.$lte = new Date(req.query.to);
+    if (Object.values(startedAt).some((date) => Number.isNaN(date.getTime()))) {
+      return res.status(400).json({ message: "from and to must be dates" });
+    }
+
+    const match = { endedAt: { $ne: null } };
+    if (Object.keys(startedAt).length > 0) match.startedAt = startedAt;
+
+    const totals = await TimeEntry.aggregate([
+      { $match: match },
+      { $group: { _id: { user: "$user", task: "$task" }, seconds: { $sum: "$seconds" }, entries: { $sum: 1 } } },
+    ]);
+
+    const rows = await TimeEntry.populate(
+      totals.map(({ _id, seconds, entries }) => ({ user: _id.user, task: _id.task, seconds, entries })),
+      [
+        { path: "user", select: "fullName email", model: "User" },
+        { path: "task", select: "title", model: "Task" },
+      ]
+    );
+
+    const name = (row) => (row.user ? row.user.fullName || row.user.email : "");
+    rows.sort((a, b) => name(a).localeCompare(name(b)) || b.seconds - a.seconds);
+    res.json(rows);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = {
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  getTimeEntries,
+  addTimeEntry,
+  deleteTimeEntry,
+  getTimeReport,
+};
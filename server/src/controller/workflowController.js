@@ -0,0 +1,88 @@
+const Workflow = require("../models/Workflow");
+const Task = require("../models/Task");
+const { handleError } = require("../utils/errors");
+
+const getWorkflow = async (req, res) => {
+  try {
+    res.json(await Workflow.getCurrent());
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * PUT /api/workflow
+ * Body: { states: [{ _id?, name, wipLimit?, done? }] } in board order.
+ * Existing states are matched by _id, so renaming one moves its tasks along.
+ * A state that still holds tasks cannot be removed.
+ */
+const updateWorkflow = async (req, res) => {
+  try {
+    const { states } = req.body;
+    if (!Array.isArray(states)) {
+      return res.status(400).json({ message: "states must be an ordered list of workflow states" });
+    }
+
+    const workflow = await Workflow.getCurrent();
+    const previous = new Map(workflow.states.map((state) => [state.id, state.name]));
+    const wasDone = new Map(workflow.states.map((state) => [state.id, state.done]));
+    const keptIds = new Set(states.map((state) => state._id).filter(Boolean));
+
+    const removed = [...previous].filter(([id]) => !keptIds.has(id)).map(([, name]) => name);
+    if (removed.length > 0) {
+      const inUse = await Task.countDocuments({ status: { $in: removed } });
+      if (inUse > 0) {
+        return res.status(409).json({
+          message: `Move the ${inUse} task(s) out of ${removed.join(", ")} before removing it`,
+        });
+      }
+    }
+
+    workflow.states = states.map(({ _id, name, wipLimit, done }) => ({
+      ...(previous.has(_id) && { _id }),
+      name,
+      wipLimit: wipLimit || null,
+      done: Boolean(done),
+    }));
+    await workflow.validate();
+
+    const renames = workflow.states
+      .filter((state) => previous.has(state.id) && previous.get(state.id) !== state.name)
+      .map((state) => ({ from: previous.get(state.id), to: state.name }));
+
+    // Collect the affected task ids first so swapping two names doesn't merge their tasks
+    const moves = await Promise.all(
+      renames.map(async ({ from, to }) => ({ ids: await Task.find({ status: from }).distinct("_id"), to }))
+    );
+
+    await workflow.save();
+    if (moves.length > 0) {
+      await Task.bulkWrite(
+        moves.map(({ ids, to }) => ({
+          updateMany: { filter: { _id: { $in: ids } }, update: { $set: { status: to } } },
+        }))
+      );
+    }
+
+    // Tasks in a state that became done or stopped being done get their progress rolled up again
+    const toggled = workflow.states.filter((state) => previous.has(state.id) && wasDone.get(state.id) !== state.done);
+    if (toggled.length > 0) {
+      const tasks = await Task.find({ status: { $in: toggled.map((state) => state.name) } }).select("status checklist progress");
+      const changed = tasks.filter((task) => {
+        task.rollUpProgress(workflow);
+        return task.isModified("progress");
+      });
+      if (changed.length > 0) {
+        await Task.bulkWrite(
+          changed.map((task) => ({ updateOne: { filter: { _id: task._id }, update: { $set: { progress: task.progress } } } }))
+        );
+      }
+    }
+
+    res.json(workflow);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { getWorkflow, updateWorkflow };
@@ -2,11 +2,28 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const User = require("./models/User");
 const bodyParser = require("body-parser");
 const authRoutes = require('./routes/authRoutes');
 const forgotPassRoutes = require("./routes/forgetPasswordRoute");
+const taskRoutes = require("./routes/taskRoutes");
+const workflowRoutes = require("./routes/workflowRoutes");
+const userRoutes = require("./routes/userRoutes");
+const timeRoutes = require("./routes/timeRoutes");
+const labelRoutes = require("./routes/labelRoutes");
+const projectRoutes = require("./routes/projectRoutes");
+const teamRoutes = require("./routes/teamRoutes");
+const eventRoutes = require("./routes/eventRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const calendarRoutes = require("./routes/calendarRoutes");
+const { startRecurrenceSweep } = require("./utils/recurrence");
+const { startDueReminderSweep } = require("./utils/notifications");
+const { startDigestScheduler } = require("./utils/digest");
+const { assignDefaultProject } = require("./utils/projectScope");
 const app = express();
+// Behind a proxy (e.g. Render, Nginx) set TRUST_PROXY so req.ip is the real client address
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 app.use(express.json());
 app.use(cors());
 app.use(bodyParser.json());
@@ -14,6 +31,16 @@ app.use(bodyParser.json());
 // Routes
 app.use('/api/auth', authRoutes);
 app.use("/api", forgotPassRoutes);
+app.use("/api/tasks", taskRoutes);
+app.use("/api/workflow", workflowRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/time", timeRoutes);
+app.use("/api/labels", labelRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/teams", teamRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/calendar", calendarRoutes);
 const PORT = process.env.PORT || 5000;
 
 const mongoURI = process.env.MONGO_URI;
@@ -25,7 +52,15 @@ app.listen(PORT,()=>{
     console.log("server started");
 })
 mongoose.connect(mongoURI)
-    .then(() => console.log(" Connected to MongoDB!"))
+    .then(() => {
+        console.log(" Connected to MongoDB!");
+        // Occurrences copy their series' project, so older series need one before the sweep runs
+        return assignDefaultProject().then(() => {
+            startRecurrenceSweep();
+            startDueReminderSweep();
+            startDigestScheduler();
+        });
+    })
     .catch(err => console.error(" Database connection failed:", err));
 
 app.get("/",(req,res)=>{
@@ -33,42 +68,3 @@ app.get("/",(req,res)=>{
 })
 const adminRoutes = require("./routes/admindash");
 app.use("/admin", adminRoutes);
-
-app.delete("/admin/users/:email", async (req, res) => {
-    try {
-      const { email } = req.params;
-  
-      const result = await User.deleteOne({ email });
-  
-      if (result.deletedCount === 0) {
-        return res.status(404).json({ error: "User not found" });
-      }
-  
-      res.status(200).json({ message: "User deleted successfully" });
-    } catch (error) {
-    
-      res.status(500).json({ error: "Failed to delete user" });
-    }
-  });
-
-  app.use((req, res, next) => {
-    console.log(`Incoming request: ${req.method} ${req.url}`);
-    next();
-  });
-  app.put("/admin/users/:email", async (req, res) => {
-    const { email } = req.params;
-    const { fullName, role } = req.body;
-    
-    console.log("Received Update:", { fullName, role });
-  
-    const user = await User.findOneAndUpdate(
-      { email },
-      { fullName, role },
-      { new: true } // Ensure it returns updated data
-    );
-  
-    if (!user) return res.status(404).json({ message: "User not found" });
-  
-    res.json(user);
-  });
-  
\ No newline at end of file
@@ -1,18 +1,39 @@
 const jwt = require('jsonwebtoken');
+const RevokedToken = require('../models/RevokedToken');
+const Team = require('../models/Team');
 require('dotenv').config();
 
+// Accepts the standard "Bearer <token>" form as well as a bare token
+const getToken = (req) => {
+    const header = req.header("Authorization");
+    if (!header) return null;
+
+    return header.startsWith("Bearer ") ? header.slice(7).trim() : header;
+};
+
 // General Authentication Middleware
-const protect = (req, res, next) => {
-    const token = req.header("Authorization");
+const protect = async (req, res, next) => {
+    const token = getToken(req);
     if (!token) return res.status(401).json({ message: "Unauthorized access" });
 
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({ message: "Invalid token" });
+    }
+
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
+        if (await RevokedToken.isRevoked(decoded)) {
+            return res.status(401).json({ message: "Token has been revoked" });
+        }
     } catch (error) {
-        res.status(401).json({ message: "Invalid token" });
+        console.error(error);
+        return res.status(500).json({ message: "Server error" });
     }
+
+    req.user = decoded;
+    next();
 };
 
 // Admin Authorization Middleware
@@ -21,4 +42,31 @@ const adminOnly = (req, res, next) => {
     next();
 };
 
-module.exports = { protect, adminOnly };
\ No newline at end of file
+// Team Middleware: records the users whose tasks a team lead supervises as req.user.teamMemberIds
+const loadLedTeams = async (req, res, next) => {
+    try {
+        req.user.teamMemberIds = req.user.role === "admin" ? [] : await Team.memberIdsLedBy(req.user.userId);
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Server error" });
+    }
+    next();
+};
+
+// Admin or Team Lead Authorization Middleware; runs after loadLedTeams
+const adminOrTeamLead = (req, res, next) => {
+    if (req.user.role !== "admin" && req.user.teamMemberIds.length === 0) {
+        return res.status(403).json({ message: "Access denied" });
+    }
+    next();
+};
+
+// EventSource can't send headers, so event streams pass the access token as ?token=
+const tokenFromQuery = (req, res, next) => {
+    if (!req.header("Authorization") && typeof req.query.token === "string") {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
+module.exports = { protect, adminOnly, loadLedTeams, adminOrTeamLead, tokenFromQuery };
\ No newline at end of file
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Audit trail of authentication activity. Email and role are copied onto the
+// entry so it stays readable after the account is edited or deleted.
+const AuthEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ["register", "login", "logout", "logout-all", "password-reset", "log-deleted"],
+        required: true,
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    email: { type: String, default: "" },
+    role: { type: String, default: "" },
+    jti: { type: String, default: null },
+    sid: { type: String, default: null, index: true },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    details: { type: mongoose.Schema.Types.Mixed, default: undefined },
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+AuthEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuthEvent', AuthEventSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A personal entry on the owner's calendar; only the owner sees it. All-day events
+// are stored like task deadlines, as midnight UTC of their first day, with `end`
+// at midnight UTC after their last day.
+const CalendarEventSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    start: { type: Date, required: true },
+    end: {
+        type: Date,
+        required: true,
+        validate: {
+            validator: function (end) {
+                return !this.start || end >= this.start;
+            },
+            message: "An event can't end before it starts",
+        },
+    },
+    allDay: { type: Boolean, default: false },
+    notes: { type: String, default: "", maxlength: 5000 },
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+CalendarEventSchema.index({ owner: 1, start: 1 });
+
+module.exports = mongoose.model('CalendarEvent', CalendarEventSchema);
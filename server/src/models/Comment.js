@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// A comment on a task. Replies point at a top-level comment through `parent`.
+const CommentSchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.ObjectId, ref: "Task", required: true, index: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: "Comment", default: null },
+    body: { type: String, required: true, trim: true, maxlength: 5000 },
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // users @mentioned in the body
+    editedAt: { type: Date, default: null },
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+module.exports = mongoose.model('Comment', CommentSchema);
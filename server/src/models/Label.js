@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// A user-defined, colored tag that can be put on any number of tasks
+const LabelSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 40 },
+    color: { type: String, required: true, match: /^#[0-9a-fA-F]{6}$/, default: "#3b82f6" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+// Names are unique regardless of case, so "Bug" and "bug" can't both exist
+LabelSchema.index({ name: 1 }, { unique: true, collation: { locale: "en", strength: 2 } });
+
+module.exports = mongoose.model('Label', LabelSchema);
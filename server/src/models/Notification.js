@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Something that happened on a task the user works on, kept for their notification center
+const NotificationSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // recipient
+    type: {
+        type: String,
+        enum: ["assigned", "commented", "mentioned", "approved", "rejected", "due_soon"],
+        required: true,
+    },
+    task: { type: mongoose.Schema.Types.ObjectId, ref: "Task", default: null },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null for reminders
+    message: { type: String, required: true },
+    deadline: { type: Date, default: null }, // the deadline a due_soon reminder was sent for
+    read: { type: Boolean, default: false },
+    // False when the recipient turned in-app notifications off; the record then only
+    // keeps a reminder from being sent twice and never shows in the notification center
+    inApp: { type: Boolean, default: true },
+    emailed: { type: Boolean, default: false },
+}, { timestamps: { createdAt: true, updatedAt: false }, toJSON: { virtuals: true } });
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, read: 1 });
+NotificationSchema.index({ task: 1, type: 1, deadline: 1, user: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A group of tasks with its own board; `members` are the users who may file tasks in it
+const ProjectSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    description: { type: String, default: "" },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    members: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    archived: { type: Boolean, default: false }, // hidden from the switcher, no new tasks
+    isDefault: { type: Boolean, default: false }, // the "General" project, open to every user
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+ProjectSchema.index({ members: 1 });
+ProjectSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+// Tasks filed without a project go to the default one; it is created on first use
+ProjectSchema.statics.getDefault = async function () {
+    const project = await this.findOne({ isDefault: true });
+    return project || this.create({
+        name: "General",
+        description: "Tasks that don't belong to a specific project",
+        isDefault: true,
+    });
+};
+
+module.exports = mongoose.model('Project', ProjectSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Access tokens (by jti) and whole sessions (by sid) that must no longer be accepted.
+// Entries are removed by MongoDB once the tokens they cover would have expired anyway.
+const RevokedTokenSchema = new mongoose.Schema({
+    jti: { type: String, index: true, sparse: true },
+    sid: { type: String, index: true, sparse: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+}, { timestamps: true });
+
+RevokedTokenSchema.statics.isRevoked = function ({ jti, sid }) {
+    const conditions = [];
+    if (jti) conditions.push({ jti });
+    if (sid) conditions.push({ sid });
+
+    return conditions.length > 0 ? this.exists({ $or: conditions }) : Promise.resolve(null);
+};
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
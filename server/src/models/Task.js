@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// One entry per review step: submitted for review, approved or rejected
+const TaskHistorySchema = new mongoose.Schema({
+    action: { type: String, enum: ["submitted", "approved", "rejected"], required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    comment: { type: String, default: "" },
+    fromStatus: { type: String, default: null }, // status the task had when it was submitted
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// A file uploaded to the task; `filename` is the stored name inside the upload directory
+const AttachmentSchema = new mongoose.Schema({
+    filename: { type: String, required: true },
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// A checklist entry; the array order is the display order
+const ChecklistItemSchema = new mongoose.Schema({
+    title: { type: String, required: true, trim: true },
+    done: { type: Boolean, default: false },
+    assignee: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+});
+
+const TaskSchema = new mongoose.Schema({
+    title: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    priority: { type: String, enum: ["High", "Medium", "Low"], default: "Medium" },
+    deadline: { type: Date, default: null },
+    progress: { type: Number, min: 0, max: 100, default: 0 },
+    status: { type: String, required: true, trim: true }, // a state name from the Workflow
+    position: { type: Number, default: 0 }, // order within the task's board column
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", required: true },
+    assignees: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    labels: [{ type: mongoose.Schema.Types.ObjectId, ref: "Label" }],
+    reviewStatus: { type: String, enum: ["none", "pending", "approved", "rejected"], default: "none" },
+    history: [TaskHistorySchema],
+    commentCount: { type: Number, default: 0 }, // kept in step by the comment endpoints
+    trackedSeconds: { type: Number, default: 0 }, // kept in step by the time entry endpoints
+    attachments: [AttachmentSchema],
+    checklist: [ChecklistItemSchema],
+    blockedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "Task" }], // tasks that must be done first
+    series: { type: mongoose.Schema.Types.ObjectId, ref: "TaskSeries", default: null }, // set on recurring tasks
+    nextSpawned: { type: Boolean, default: false }, // whether the series' next occurrence was created from this one
+}, { timestamps: true, toJSON: { virtuals: true } }); // expose `id` alongside `_id` for the client
+
+// Sets progress for the task's status in `workflow`: a task in a done state is complete;
+// otherwise, with a checklist, progress is the share of completed items rather than a manual value.
+// Callers pass the workflow they already loaded and apply this before every write that
+// changes the status or checklist.
+TaskSchema.methods.rollUpProgress = function (workflow) {
+    if (workflow.states.some((state) => state.done && state.name === this.status)) {
+        this.progress = 100;
+    } else if (this.checklist.length > 0) {
+        const completed = this.checklist.filter((item) => item.done).length;
+        this.progress = Math.round((completed / this.checklist.length) * 100);
+    }
+    return this.progress;
+};
+
+// Position that places a task at the bottom of the owner's column for `status`
+TaskSchema.statics.nextPosition = async function (owner, status) {
+    const last = await this.findOne({ owner, status }).sort({ position: -1 }).select("position");
+    return last ? last.position + 1 : 0;
+};
+
+TaskSchema.index({ owner: 1, status: 1, position: 1 });
+TaskSchema.index({ assignees: 1 });
+TaskSchema.index({ project: 1 });
+TaskSchema.index({ labels: 1 });
+TaskSchema.index({ reviewStatus: 1 });
+TaskSchema.index({ blockedBy: 1 });
+TaskSchema.index({ series: 1, nextSpawned: 1, deadline: 1 });
+
+module.exports = mongoose.model('Task', TaskSchema);
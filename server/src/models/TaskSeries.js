@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+/**
+ * A recurring task. Each occurrence is a regular Task pointing back here
+ * through `series`; the next one is created from this template when the
+ * current occurrence is completed or its date arrives.
+ */
+const TaskSeriesSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", default: null },
+    title: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    priority: { type: String, enum: ["High", "Medium", "Low"], default: "Medium" },
+    assignees: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    labels: [{ type: mongoose.Schema.Types.ObjectId, ref: "Label" }],
+    checklist: [{ type: String, trim: true }], // item titles each occurrence starts with
+
+    // Repeat rule: every `interval` days, weeks (on `weekdays`) or months (on `dayOfMonth`)
+    frequency: { type: String, enum: ["daily", "weekly", "monthly"], required: true },
+    interval: { type: Number, min: 1, max: 365, default: 1 },
+    weekdays: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+    dayOfMonth: { type: Number, min: 1, max: 31, default: null }, // clamped to short months
+    until: { type: Date, default: null },
+    active: { type: Boolean, default: true }, // false once the user stops the repetition
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+module.exports = mongoose.model('TaskSeries', TaskSeriesSchema);
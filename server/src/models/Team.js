@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A group of users; `leads` manage and review the tasks of the team's other members
+const TeamSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    description: { type: String, default: "" },
+    members: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    leads: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // always members as well
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+TeamSchema.index({ members: 1 });
+TeamSchema.index({ leads: 1 });
+
+// Ids of the users `userId` supervises: everyone in the teams they lead except themselves
+TeamSchema.statics.memberIdsLedBy = async function (userId) {
+    const teams = await this.find({ leads: userId }).select("members");
+    const ids = new Set(teams.flatMap((team) => team.members.map(String)));
+    ids.delete(String(userId));
+    return [...ids];
+};
+
+module.exports = mongoose.model('Team', TeamSchema);
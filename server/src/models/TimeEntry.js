@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Time spent on a task: a timer while `endedAt` is null, or a finished/manual entry
+const TimeEntrySchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.ObjectId, ref: "Task", required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+    seconds: { type: Number, min: 0, default: 0 }, // set once the entry has ended
+    note: { type: String, trim: true, maxlength: 500, default: "" },
+    manual: { type: Boolean, default: false }, // logged by hand rather than timed
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+// A user can only have one timer running at a time
+TimeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { endedAt: { $type: "null" } } });
+TimeEntrySchema.index({ startedAt: 1 });
+
+module.exports = mongoose.model('TimeEntry', TimeEntrySchema);
@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Channels one kind of notification is delivered on; sounds play with in-app notifications
+const ChannelsSchema = new mongoose.Schema({
+    inApp: { type: Boolean, default: true },
+    sound: { type: Boolean, default: true },
+    email: { type: Boolean, default: false },
+}, { _id: false });
+
+const NotificationPreferencesSchema = new mongoose.Schema({
+    dueSoon: { type: ChannelsSchema, default: () => ({}) },
+    assigned: { type: ChannelsSchema, default: () => ({}) },
+    commented: { type: ChannelsSchema, default: () => ({}) }, // comments and @mentions
+    review: { type: ChannelsSchema, default: () => ({}) }, // approved or rejected
+    reminderLeadDays: { type: Number, min: 0, max: 7, default: 1 }, // 0 reminds on the day itself
+    // No sounds or emails in between; due reminders wait until it ends
+    quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, match: TIME_OF_DAY, default: "22:00" },
+        end: { type: String, match: TIME_OF_DAY, default: "07:00" },
+    },
+    timezone: { type: String, default: null }, // IANA zone quiet hours are read in; the server's when unset
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
     fullName: { type: String, required: true },
     email: { type: String, required: true, unique: true },
@@ -7,6 +31,21 @@ const UserSchema = new mongoose.Schema({
     role: { type: String, enum: ["user", "admin"], default: "user" },
     resetToken: { type: String, default: null },
     resetTokenExpires: { type: Date, default: null }, // New field
+    emailDigest: { type: Boolean, default: false }, // opted in to the daily email of due and overdue tasks
+    digestSentOn: { type: String, default: null }, // "YYYY-MM-DD" of the last digest, so a restart doesn't resend it
+    notificationPreferences: { type: NotificationPreferencesSchema, default: () => ({}) },
+    calendarFeedToken: { type: String, default: null, select: false }, // secret in the user's .ics feed URL
+    // Hashed, single-use refresh tokens; one entry (session) per signed-in device
+    refreshTokens: {
+        type: [{
+            sid: { type: String, required: true },
+            tokenHash: { type: String, required: true },
+            expiresAt: { type: Date, required: true },
+        }],
+        select: false,
+    },
 }, { timestamps: true });
 
+UserSchema.index({ calendarFeedToken: 1 }, { unique: true, partialFilterExpression: { calendarFeedToken: { $type: "string" } } });
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_STATES = [
+    { name: "To Do", wipLimit: null, done: false },
+    { name: "In Progress", wipLimit: null, done: false },
+    { name: "Completed", wipLimit: null, done: true },
+];
+
+// One column of the board. `done` marks states that count as finished work.
+const WorkflowStateSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    wipLimit: { type: Number, min: 1, default: null },
+    done: { type: Boolean, default: false },
+});
+
+// Ordered workflow states shared by the board, analytics and filters
+const WorkflowSchema = new mongoose.Schema({
+    states: {
+        type: [WorkflowStateSchema],
+        validate: [
+            {
+                validator: (states) => states.length > 0,
+                message: "A workflow needs at least one state",
+            },
+            {
+                validator: (states) => new Set(states.map((state) => state.name.toLowerCase())).size === states.length,
+                message: "Workflow state names must be unique",
+            },
+            {
+                validator: (states) => states.some((state) => state.done),
+                message: "Mark at least one workflow state as done",
+            },
+        ],
+    },
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+// There is a single workflow document; it is created with the defaults on first use
+WorkflowSchema.statics.getCurrent = async function () {
+    const workflow = await this.findOne();
+    return workflow || this.create({ states: DEFAULT_STATES });
+};
+
+module.exports = mongoose.model('Workflow', WorkflowSchema);
@@ -2,15 +2,92 @@
 const express = require("express");
 const router = express.Router();
 const User = require("../models/User"); 
+const Task = require("../models/Task");
+const Project = require("../models/Project");
+const Team = require("../models/Team");
+const Notification = require("../models/Notification");
+const CalendarEvent = require("../models/CalendarEvent");
+const TaskSeries = require("../models/TaskSeries");
+const RevokedToken = require("../models/RevokedToken");
+const { publishTasks } = require("../utils/taskEvents");
+const { protect, adminOnly, loadLedTeams, adminOrTeamLead } = require("../middleware/authMiddleware");
+const { getAuthLogs, deleteAuthLog } = require("../controller/authLogController");
 
+// Every admin endpoint requires a valid token belonging to an admin; team leads may list their team
+router.use(protect, loadLedTeams);
 
-router.get("/users", async (req, res) => {
+router.get("/users", adminOrTeamLead, async (req, res) => {
   try {
-    const users = await User.find({}, "-password"); 
+    const filter = req.user.role === "admin" ? {} : { _id: { $in: req.user.teamMemberIds } };
+    const users = await User.find(filter, "-password"); 
     res.json(users);
   } catch (err) {
+    console.error(err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+router.put("/users/:email", adminOnly, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { fullName, role } = req.body;
+
+    const user = await User.findOneAndUpdate(
+      { email },
+      { fullName, role },
+      { new: true, runValidators: true } // Ensure it returns updated data
+    ).select("-password");
+
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json(user);
+  } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+    console.error(err);
+    res.status(500).json({ error: "Failed to update user" });
+  }
+});
+
+router.delete("/users/:email", adminOnly, async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const user = await User.findOne({ email }).select("+refreshTokens");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user._id.equals(req.user.userId)) {
+      return res.status(400).json({ error: "You can't delete your own account" });
+    }
+
+    // End every session of the account, including access tokens already issued
+    await RevokedToken.insertMany(
+      user.refreshTokens.map((entry) => ({ sid: entry.sid, user: user._id, expiresAt: entry.expiresAt }))
+    );
+    await User.deleteOne({ _id: user._id });
+
+    // Tasks and repeat schedules it owned pass to the admin deleting it, so nothing is left without an owner
+    const ownedTasks = await Task.find({ owner: user._id }).distinct("_id");
+    await Task.updateMany({ _id: { $in: ownedTasks } }, { $set: { owner: req.user.userId } });
+    await TaskSeries.updateMany({ owner: user._id }, { $set: { owner: req.user.userId } });
+
+    // Drop the deleted account from any task it was assigned to
+    await Task.updateMany({ assignees: user._id }, { $pull: { assignees: user._id } });
+    await Project.updateMany({ members: user._id }, { $pull: { members: user._id } });
+    await Team.updateMany({ members: user._id }, { $pull: { members: user._id, leads: user._id } });
+    await Notification.deleteMany({ user: user._id });
+    await CalendarEvent.deleteMany({ owner: user._id });
+    publishTasks(ownedTasks);
+
+    res.status(200).json({ message: "User deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to delete user" });
+  }
+});
+
+router.get("/logs", adminOnly, getAuthLogs);
+router.delete("/logs/:id", adminOnly, deleteAuthLog);
+
+module.exports = router;
@@ -25,11 +25,24 @@
 // module.exports =  {protect, adminOnly} ;
 const express = require("express");
 const User = require("../models/User");
+const RevokedToken = require("../models/RevokedToken");
+const Team = require("../models/Team");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const { protect } = require("../middleware/authMiddleware");
+const { hashToken, createSession } = require("../utils/tokens");
+const { recordAuthEvent } = require("../utils/audit");
 
 const router = express.Router();
 
+// Profile fields that are safe to hand back to the client; `teamLead` unlocks the team pages
+const toPublicUser = async (user) => ({
+    id: user._id,
+    fullName: user.fullName,
+    email: user.email,
+    role: user.role,
+    teamLead: Boolean(await Team.exists({ leads: user._id })),
+});
+
 // Register Route
 // router.post("/register", async (req, res) => {
 //     try {
@@ -56,7 +69,10 @@ const router = express.Router();
 // Register Route
 router.post("/register", async (req, res) => {
     try {
-        const { fullName, email, password, role } = req.body;
+        const { fullName, email, password } = req.body;
+        if (!fullName || !email || !password) {
+            return res.status(400).json({ message: "Full name, email and password are required" });
+        }
 
         // Check if user already exists
         let user = await User.findOne({ email });
@@ -65,18 +81,14 @@ router.post("/register", async (req, res) => {
         // Hash password before saving
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        // Create new user
-        user = new User({ fullName, email, password: hashedPassword, role: role || "user" });
-        await user.save();
+        // Self-registered accounts are always users; only an admin can grant the admin role
+        user = new User({ fullName, email, password: hashedPassword, role: "user" });
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
+        // Generate JWT access token and refresh token (saves the user)
+        const session = await createSession(user);
+        await recordAuthEvent(req, "register", user, { token: session.token });
 
-        res.status(201).json({ message: "User registered successfully", token });
+        res.status(201).json({ message: "User registered successfully", ...session, role: user.role, user: await toPublicUser(user) });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: "Server error", error });
@@ -90,7 +102,7 @@ router.post("/login", async (req, res) => {
        // console.log(req.body);
        // console.log("Login attempt:", { email, password,role });
         // Find user
-        const user = await User.findOne({ email });
+        const user = await User.findOne({ email }).select("+refreshTokens");
         if (!user) return res.status(400).json({ message: "Invalid email or password" });
 
         // Check password using bcrypt
@@ -100,14 +112,90 @@ router.post("/login", async (req, res) => {
         {
             return res.status(403).json({message:"Unauthorized login attempt"});
         }
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
-
-        res.json({ message: "Login successful", token, role: user.role });
+        // Generate JWT access token and refresh token
+        const session = await createSession(user);
+        await recordAuthEvent(req, "login", user, { token: session.token });
+
+        res.json({ message: "Login successful", ...session, role: user.role, user: await toPublicUser(user) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
+// Refresh Route - exchanges a refresh token for a new access/refresh pair
+router.post("/refresh", async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) return res.status(400).json({ message: "Refresh token is required" });
+
+        // Consume the token atomically so a replayed token cannot be rotated twice
+        const tokenHash = hashToken(refreshToken);
+        const user = await User.findOneAndUpdate(
+            { refreshTokens: { $elemMatch: { tokenHash, expiresAt: { $gt: new Date() } } } },
+            { $pull: { refreshTokens: { tokenHash } } }
+        ).select("+refreshTokens");
+        if (!user) return res.status(401).json({ message: "Invalid or expired refresh token" });
+
+        // Keep the device's session id so revoking the session covers rotated tokens too
+        const { sid } = user.refreshTokens.find((entry) => entry.tokenHash === tokenHash);
+        user.refreshTokens = user.refreshTokens.filter((entry) => entry.tokenHash !== tokenHash);
+        const session = await createSession(user, sid);
+
+        res.json({ message: "Token refreshed", ...session, role: user.role, user: await toPublicUser(user) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
+// Logout Route - revokes the presented access token and ends its device session
+router.post("/logout", protect, async (req, res) => {
+    try {
+        const { userId, jti, sid, exp } = req.user;
+
+        await RevokedToken.create({ jti, sid, user: userId, expiresAt: new Date(exp * 1000) });
+        const user = await User.findByIdAndUpdate(userId, { $pull: { refreshTokens: { sid } } });
+        if (user) await recordAuthEvent(req, "logout", user, { jti, sid });
+
+        res.json({ message: "Logged out successfully" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
+// Logout All Route - revokes every session the user has on any device
+router.post("/logout-all", protect, async (req, res) => {
+    try {
+        const { userId, jti, sid, exp } = req.user;
+        const user = await User.findById(userId).select("+refreshTokens");
+        if (!user) return res.status(404).json({ message: "User not found" });
+
+        const sessionCount = user.refreshTokens.length;
+        const revocations = user.refreshTokens.map((entry) => ({ sid: entry.sid, user: userId, expiresAt: entry.expiresAt }));
+        revocations.push({ jti, sid, user: userId, expiresAt: new Date(exp * 1000) });
+        await RevokedToken.insertMany(revocations);
+
+        const endedSessions = user.refreshTokens.map((entry) => entry.sid);
+        user.refreshTokens = [];
+        await user.save();
+        await recordAuthEvent(req, "logout-all", user, { jti, sid, details: { endedSessions } });
+
+        res.json({ message: "Logged out of all devices", sessions: sessionCount });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
+// Current User Route - lets the client validate a stored session
+router.get("/me", protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ message: "User not found" });
+
+        res.json({ user: await toPublicUser(user) });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: "Server error", error });
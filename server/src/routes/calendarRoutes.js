@@ -0,0 +1,26 @@
+const express = require("express");
+const { protect } = require("../middleware/authMiddleware");
+const {
+  getEvents,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  getFeedUrl,
+  regenerateFeedUrl,
+  getFeed,
+} = require("../controller/calendarController");
+
+const router = express.Router();
+
+// Calendar apps can't sign in, so the feed is authorized by the secret token in its URL
+router.get("/feed/:token.ics", getFeed);
+
+router.use(protect);
+
+router.get("/feed", getFeedUrl);
+router.post("/feed/regenerate", regenerateFeedUrl);
+
+router.route("/events").get(getEvents).post(createEvent);
+router.route("/events/:id").patch(updateEvent).delete(deleteEvent);
+
+module.exports = router;
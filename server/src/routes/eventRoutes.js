@@ -0,0 +1,9 @@
+const express = require("express");
+const { protect, loadLedTeams, tokenFromQuery } = require("../middleware/authMiddleware");
+const { subscribe } = require("../utils/taskEvents");
+
+const router = express.Router();
+
+router.get("/", tokenFromQuery, protect, loadLedTeams, subscribe);
+
+module.exports = router;
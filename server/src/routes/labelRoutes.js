@@ -0,0 +1,12 @@
+const express = require("express");
+const { protect, adminOnly } = require("../middleware/authMiddleware");
+const { getLabels, createLabel, updateLabel, deleteLabel } = require("../controller/labelController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route("/").get(getLabels).post(createLabel);
+router.route("/:id").patch(adminOnly, updateLabel).delete(adminOnly, deleteLabel);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const { protect } = require("../middleware/authMiddleware");
+const { getNotifications, getUnreadCount, markRead, markAllRead } = require("../controller/notificationController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", getNotifications);
+router.get("/unread-count", getUnreadCount);
+router.patch("/read-all", markAllRead);
+router.patch("/:id/read", markRead);
+
+module.exports = router;
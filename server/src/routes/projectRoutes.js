@@ -0,0 +1,12 @@
+const express = require("express");
+const { protect, adminOnly } = require("../middleware/authMiddleware");
+const { getProjects, createProject, updateProject } = require("../controller/projectController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route("/").get(getProjects).post(adminOnly, createProject);
+router.patch("/:id", adminOnly, updateProject);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require("express");
+const { protect, loadLedTeams, adminOrTeamLead } = require("../middleware/authMiddleware");
+const {
+  getTasks,
+  getTask,
+  createTask,
+  updateTask,
+  deleteTask,
+  updateBoard,
+  getOccurrences,
+  getReviewQueue,
+  submitForReview,
+  reviewTask,
+} = require("../controller/taskController");
+const {
+  addAttachments,
+  downloadAttachment,
+  deleteAttachment,
+} = require("../controller/attachmentController");
+const {
+  addChecklistItem,
+  reorderChecklist,
+  updateChecklistItem,
+  deleteChecklistItem,
+} = require("../controller/checklistController");
+const { addDependency, removeDependency } = require("../controller/dependencyController");
+const {
+  startTimer,
+  getTimeEntries,
+  addTimeEntry,
+  deleteTimeEntry,
+} = require("../controller/timeController");
+const { uploadFiles } = require("../utils/uploads");
+const { requireScopedTask } = require("../utils/taskScope");
+const {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+} = require("../controller/commentController");
+
+const router = express.Router();
+
+router.use(protect, loadLedTeams);
+
+router.route("/").get(getTasks).post(createTask);
+router.patch("/board", updateBoard);
+router.get("/occurrences", getOccurrences);
+router.get("/review-queue", adminOrTeamLead, getReviewQueue);
+router.route("/:id").get(getTask).patch(updateTask).delete(deleteTask);
+router.post("/:id/submit", submitForReview);
+router.post("/:id/review", adminOrTeamLead, reviewTask);
+router.route("/:id/comments").get(getComments).post(addComment);
+router.route("/:id/comments/:commentId").patch(updateComment).delete(deleteComment);
+router.route("/:id/checklist").post(addChecklistItem).patch(reorderChecklist);
+router.route("/:id/checklist/:itemId").patch(updateChecklistItem).delete(deleteChecklistItem);
+router.post("/:id/dependencies", addDependency);
+router.delete("/:id/dependencies/:blockerId", removeDependency);
+router.route("/:id/time").get(getTimeEntries).post(addTimeEntry);
+router.post("/:id/time/start", startTimer);
+router.delete("/:id/time/:entryId", deleteTimeEntry);
+router.post("/:id/attachments", requireScopedTask, uploadFiles, addAttachments);
+router.route("/:id/attachments/:attachmentId").get(downloadAttachment).delete(deleteAttachment);
+
+module.exports = router;
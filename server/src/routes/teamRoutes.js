@@ -0,0 +1,12 @@
+const express = require("express");
+const { protect, adminOnly } = require("../middleware/authMiddleware");
+const { getTeams, createTeam, updateTeam, deleteTeam } = require("../controller/teamController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route("/").get(getTeams).post(adminOnly, createTeam);
+router.route("/:id").patch(adminOnly, updateTeam).delete(adminOnly, deleteTeam);
+
+module.exports = router;
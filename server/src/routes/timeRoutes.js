@@ -0,0 +1,13 @@
+const express = require("express");
+const { protect, adminOnly } = require("../middleware/authMiddleware");
+const { getRunningTimer, stopTimer, getTimeReport } = require("../controller/timeController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/running", getRunningTimer);
+router.post("/stop", stopTimer);
+router.get("/report", adminOnly, getTimeReport);
+
+module.exports = router;
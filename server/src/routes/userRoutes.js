@@ -0,0 +1,83 @@
+const express = require("express");
+const User = require("../models/User");
+const { protect } = require("../middleware/authMiddleware");
+const { handleError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Directory of registered users for assignee pickers; names and emails only
+router.get("/", protect, async (req, res) => {
+  try {
+    const users = await User.find({}, "fullName email").sort({ fullName: 1 });
+    res.json(users);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+const PREFERENCE_FIELDS = "emailDigest notificationPreferences";
+
+const toPreferences = (user) => ({ emailDigest: user.emailDigest, notifications: user.notificationPreferences });
+
+// { "quietHours": { "enabled": true } } -> [["quietHours.enabled", true]]
+const flattenSettings = (settings, prefix = "") =>
+  Object.entries(settings).flatMap(([key, value]) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? flattenSettings(value, `${prefix}${key}.`)
+      : [[`${prefix}${key}`, value]]
+  );
+
+const isTimeZone = (timezone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// The signed-in user's notification and email settings
+router.get("/me/preferences", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, PREFERENCE_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json(toPreferences(user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * Body: { emailDigest?, notifications? } where `notifications` may hold any part
+ * of the settings, e.g. { assigned: { email: true } } or { quietHours: { start: "21:00" } }
+ */
+router.patch("/me/preferences", protect, async (req, res) => {
+  try {
+    const { emailDigest, notifications } = req.body;
+    if (emailDigest !== undefined && typeof emailDigest !== "boolean") {
+      return res.status(400).json({ message: "emailDigest must be true or false" });
+    }
+    if (notifications !== undefined && (!notifications || typeof notifications !== "object")) {
+      return res.status(400).json({ message: "notifications must be an object" });
+    }
+    if (notifications && notifications.timezone && !isTimeZone(notifications.timezone)) {
+      return res.status(400).json({ message: `Unknown time zone "${notifications.timezone}"` });
+    }
+
+    const user = await User.findById(req.user.userId, PREFERENCE_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (emailDigest !== undefined) user.emailDigest = emailDigest;
+    // Set leaf by leaf so a partial update keeps the settings it doesn't mention
+    flattenSettings(notifications || {}).forEach(([path, value]) => user.set(`notificationPreferences.${path}`, value));
+    await user.save();
+
+    res.json(toPreferences(user));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require("express");
+const { protect, adminOnly } = require("../middleware/authMiddleware");
+const { getWorkflow, updateWorkflow } = require("../controller/workflowController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route("/").get(getWorkflow).put(adminOnly, updateWorkflow);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const jwt = require("jsonwebtoken");
+const AuthEvent = require("../models/AuthEvent");
+
+// Express reports IPv4 clients as "::ffff:a.b.c.d" on dual-stack sockets
+const getClientIp = (req) => (req.ip || "").replace(/^::ffff:/, "");
+
+/**
+ * Records an authentication event for the admin audit log.
+ * Failures are logged and swallowed so auditing never blocks a login or logout.
+ *
+ * @param {Object} req - Express request, used for IP and user agent
+ * @param {string} type - One of the AuthEvent types
+ * @param {Object} user - User document (or { _id, email, role }) the event is about
+ * @param {Object} [extra] - `token` to take jti/sid from, or explicit `jti`, `sid` and `details`
+ */
+const recordAuthEvent = async (req, type, user, { token, jti, sid, details } = {}) => {
+  try {
+    const claims = token ? jwt.decode(token) || {} : {};
+
+    await AuthEvent.create({
+      type,
+      user: user._id,
+      email: user.email,
+      role: user.role,
+      jti: jti || claims.jti || null,
+      sid: sid || claims.sid || null,
+      ip: getClientIp(req),
+      userAgent: req.get("User-Agent") || "",
+      details,
+    });
+  } catch (error) {
+    console.error("Failed to record auth event:", error);
+  }
+};
+
+module.exports = { recordAuthEvent };
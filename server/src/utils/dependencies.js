@@ -0,0 +1,27 @@
+const Task = require("../models/Task");
+
+/**
+ * Whether `taskId` is reachable from `startId` by following blockedBy links,
+ * i.e. whether making `startId` block `taskId` would close a cycle.
+ */
+const isUpstream = async (taskId, startId) => {
+  const target = String(taskId);
+  const seen = new Set([String(startId)]);
+  let frontier = [startId];
+
+  while (frontier.length > 0) {
+    const tasks = await Task.find({ _id: { $in: frontier } }).select("blockedBy");
+    frontier = [];
+    for (const blockerId of tasks.flatMap((task) => task.blockedBy)) {
+      const key = String(blockerId);
+      if (key === target) return true;
+      if (!seen.has(key)) {
+        seen.add(key);
+        frontier.push(blockerId);
+      }
+    }
+  }
+  return false;
+};
+
+module.exports = { isUpstream };
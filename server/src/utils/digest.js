@@ -0,0 +1,125 @@
+const Task = require("../models/Task");
+const User = require("../models/User");
+const Workflow = require("../models/Workflow");
+const { APP_URL, sendMail } = require("./mailer");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Local hour (0-23) after which the day's digests go out; anything else falls back to 8
+const parseHour = (value) => {
+  const hour = Number(value);
+  return value !== undefined && value !== "" && Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 8;
+};
+const DIGEST_HOUR = parseHour(process.env.DIGEST_HOUR);
+const DIGEST_CHECK_MS = Number(process.env.DIGEST_CHECK_MS) || 5 * 60 * 1000;
+
+// Today's local date; deadlines are stored as midnight UTC of their calendar day
+const localDay = (now) => {
+  const key = [now.getFullYear(), String(now.getMonth() + 1).padStart(2, "0"), String(now.getDate()).padStart(2, "0")].join("-");
+  return { key, start: new Date(`${key}T00:00:00.000Z`) };
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Open tasks the user owns or is assigned to, grouped for the digest
+const collectTasks = async (user, today, doneStates) => {
+  const tasks = await Task.find({
+    $or: [{ owner: user._id }, { assignees: user._id }],
+    deadline: { $ne: null, $lt: new Date(today.getTime() + 7 * DAY_MS) },
+    status: { $nin: doneStates },
+  }).sort({ deadline: 1 });
+
+  const tomorrow = new Date(today.getTime() + DAY_MS);
+  return {
+    overdue: tasks.filter((task) => task.deadline < today),
+    today: tasks.filter((task) => task.deadline >= today && task.deadline < tomorrow),
+    week: tasks.filter((task) => task.deadline >= tomorrow),
+  };
+};
+
+const SECTIONS = [
+  { key: "overdue", title: "Overdue" },
+  { key: "today", title: "Due today" },
+  { key: "week", title: "Due this week" },
+];
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+const buildMessage = (user, groups, day) => {
+  const boardUrl = `${APP_URL}/user/dashboard`;
+  const calendarUrl = `${APP_URL}/user/calendar`;
+  const settingsUrl = `${APP_URL}/user/profile`;
+  const sections = SECTIONS.filter(({ key }) => groups[key].length > 0);
+
+  const text = [
+    `Hi ${user.fullName},`,
+    "",
+    ...sections.flatMap(({ key, title }) => [
+      `${title}:`,
+      ...groups[key].map((task) => `- ${task.title} (${task.priority}, due ${formatDay(task.deadline)})`),
+      "",
+    ]),
+    `Open your board: ${boardUrl}`,
+    `See your calendar: ${calendarUrl}`,
+    "",
+    `You get this email because you turned on the daily digest. Turn it off in your profile: ${settingsUrl}`,
+  ].join("\n");
+
+  const html = `
+    <p>Hi ${escapeHtml(user.fullName)},</p>
+    ${sections
+      .map(
+        ({ key, title }) => `
+    <h3>${title}</h3>
+    <ul>
+      ${groups[key]
+        .map((task) => `<li><strong>${escapeHtml(task.title)}</strong> (${task.priority}, due ${formatDay(task.deadline)})</li>`)
+        .join("")}
+    </ul>`
+      )
+      .join("")}
+    <p><a href="${boardUrl}">Open your board</a> · <a href="${calendarUrl}">See your calendar</a></p>
+    <p style="color:#6b7280;font-size:12px">You get this email because you turned on the daily digest.
+      <a href="${settingsUrl}">Turn it off in your profile</a>.</p>`;
+
+  const counts = sections.map(({ key, title }) => `${groups[key].length} ${title.toLowerCase()}`).join(", ");
+  return { to: user.email, subject: `Your tasks for ${day}: ${counts}`, text, html };
+};
+
+/**
+ * Emails every opted-in user who hasn't had today's digest yet, once the
+ * digest hour has passed. Users with nothing due or overdue get no email.
+ */
+const sendDailyDigests = async (now = new Date()) => {
+  if (now.getHours() < DIGEST_HOUR) return;
+
+  const { key, start } = localDay(now);
+  const workflow = await Workflow.getCurrent();
+  const doneStates = workflow.states.filter((state) => state.done).map((state) => state.name);
+  const users = await User.find({ emailDigest: true, digestSentOn: { $ne: key } });
+
+  for (const user of users) {
+    // Claim the day first so overlapping runs can't both send it
+    const claimed = await User.findOneAndUpdate({ _id: user._id, digestSentOn: { $ne: key } }, { digestSentOn: key });
+    if (!claimed) continue;
+
+    const groups = await collectTasks(user, start, doneStates);
+    if (SECTIONS.every(({ key: section }) => groups[section].length === 0)) continue;
+
+    try {
+      await sendMail(buildMessage(user, groups, key));
+    } catch (error) {
+      // Let the next run try again
+      await User.updateOne({ _id: user._id }, { digestSentOn: user.digestSentOn });
+      console.error(`Failed to send digest to ${user.email}:`, error);
+    }
+  }
+};
+
+const startDigestScheduler = () => {
+  const run = () => sendDailyDigests().catch((error) => console.error("Daily digest run failed:", error));
+  run();
+  return setInterval(run, DIGEST_CHECK_MS);
+};
+
+module.exports = { sendDailyDigests, startDigestScheduler };
@@ -0,0 +1,11 @@
+// Shared catch-all for API handlers: invalid input (a failed validation or a malformed id)
+// answers 400 with the reason, anything else is logged and answers 500
+const handleError = (res, error) => {
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(error);
+  res.status(500).json({ message: "Server error" });
+};
+
+module.exports = { handleError };
@@ -0,0 +1,70 @@
+// Minimal iCalendar (RFC 5545) writer for the calendar subscription feed
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+const escapeText = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a single space
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// 20261019T083000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+// 20261019, read from a date stored as midnight UTC
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, "");
+
+/**
+ * One VEVENT. All-day events take `start` and `end` as midnight UTC of their
+ * first day and of the day after their last; `end` defaults to one day later.
+ *
+ * @param {Object} event - { uid, summary, description?, url?, start, end?, allDay, updatedAt }
+ */
+const buildEvent = ({ uid, summary, description, url, start, end, allDay, updatedAt }) => {
+  const lines = ["BEGIN:VEVENT", `UID:${uid}`, `DTSTAMP:${formatDateTime(updatedAt)}`, `LAST-MODIFIED:${formatDateTime(updatedAt)}`];
+  if (allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(end && end > start ? end : new Date(start.getTime() + DAY_MS))}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(start)}`, `DTEND:${formatDateTime(end || start)}`);
+  }
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (url) lines.push(`URL:${url}`);
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * A whole VCALENDAR document with CRLF line endings.
+ *
+ * @param {string} name - Calendar name shown by calendar apps
+ * @param {Array} events - Events as accepted by buildEvent
+ */
+const buildCalendar = (name, events) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//TaskFlow//Calendar Feed//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(buildEvent),
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
+
+module.exports = { buildCalendar };
@@ -0,0 +1,53 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Where links in emails point; the client's base URL
+const APP_URL = (process.env.APP_URL || "http://localhost:5173").replace(/\/$/, "");
+const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_USER;
+// MAIL_TRANSPORT=json writes each message to MAIL_OUTBOX_DIR instead of sending it
+const OUTBOX_DIR = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../../outbox"));
+
+/**
+ * MAIL_TRANSPORT picks how mail leaves the server:
+ * - "gmail" (default): Gmail with EMAIL_USER / EMAIL_PASS
+ * - "smtp": SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, e.g. a local capture server
+ * - "json": nothing is sent; messages are written to the outbox directory as JSON
+ */
+const createTransporter = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case "smtp":
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || "localhost",
+        port: Number(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === "true",
+        ...(process.env.SMTP_USER && { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } }),
+      });
+    case "json":
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      return nodemailer.createTransport({
+        service: "gmail",
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      });
+  }
+};
+
+const transporter = createTransporter();
+
+// Sends a message from the configured sender; with the JSON transport it lands in the outbox instead
+const sendMail = async (message) => {
+  const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+
+  if (process.env.MAIL_TRANSPORT === "json") {
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+    const file = path.join(OUTBOX_DIR, `${Date.now()}-${String(message.to).replace(/[^\w.@-]/g, "_")}.json`);
+    fs.writeFileSync(file, info.message);
+  }
+  return info;
+};
+
+module.exports = { APP_URL, sendMail };
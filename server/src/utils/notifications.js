@@ -0,0 +1,159 @@
+const Notification = require("../models/Notification");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const Workflow = require("../models/Workflow");
+const { publishToUser } = require("./taskEvents");
+const { APP_URL, sendMail } = require("./mailer");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LEAD_DAYS = 7;
+const REMINDER_SWEEP_MS = Number(process.env.REMINDER_SWEEP_MS) || 15 * 60 * 1000;
+const EXCERPT_LENGTH = 120;
+
+const excerpt = (text) => (text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text);
+
+const MESSAGES = {
+  assigned: (actor, task) => `${actor} assigned you to "${task.title}"`,
+  commented: (actor, task, detail) => `${actor} commented on "${task.title}": ${excerpt(detail)}`,
+  mentioned: (actor, task, detail) => `${actor} mentioned you on "${task.title}": ${excerpt(detail)}`,
+  approved: (actor, task) => `${actor} approved "${task.title}"`,
+  rejected: (actor, task, detail) => `${actor} sent "${task.title}" back: ${excerpt(detail)}`,
+  due_soon: (actor, task) => `"${task.title}" is due ${task.deadline.toISOString().slice(0, 10)}`,
+};
+
+// The preference that controls each notification type
+const PREFERENCE_KEYS = {
+  assigned: "assigned",
+  commented: "commented",
+  mentioned: "commented",
+  approved: "review",
+  rejected: "review",
+  due_soon: "dueSoon",
+};
+
+// Ids of the people working on a task: its owner and assignees
+const taskPeople = (task) => [task.owner, ...task.assignees].map((user) => String(user._id || user));
+
+// "HH:MM" on the user's clock; falls back to the server's when their time zone is unknown
+const timeOfDay = (now, timezone) => {
+  const options = { hour: "2-digit", minute: "2-digit", hourCycle: "h23" };
+  try {
+    return now.toLocaleTimeString("en-GB", { ...options, ...(timezone && { timeZone: timezone }) });
+  } catch {
+    return now.toLocaleTimeString("en-GB", options);
+  }
+};
+
+// Whether the user's quiet hours are on now; a range like 22:00-07:00 runs past midnight
+const isQuietTime = ({ quietHours, timezone }, now = new Date()) => {
+  if (!quietHours.enabled || quietHours.start === quietHours.end) return false;
+  const time = timeOfDay(now, timezone);
+  return quietHours.start < quietHours.end
+    ? time >= quietHours.start && time < quietHours.end
+    : time >= quietHours.start || time < quietHours.end;
+};
+
+const emailNotification = (user, message) =>
+  sendMail({
+    to: user.email,
+    subject: message,
+    text: `${message}\n\nSee all your notifications: ${APP_URL}/user/notifications\nChange what you are emailed about in your profile: ${APP_URL}/user/profile`,
+  });
+
+/**
+ * Notifies every recipient except the actor of `type` on `task`, on the
+ * channels they chose for it: in-app notifications are stored and pushed to
+ * their open event streams (with `sound` set when a chime should play),
+ * emails go out unless it is their quiet hours. Never throws: a failed
+ * notification must not fail the request that caused it.
+ *
+ * @param {Array} recipients - User ids; duplicates are ignored
+ * @param {string} type - One of the Notification types
+ * @param {Object} task - The task the notification is about
+ * @param {string|null} actorId - User who caused it, or null for reminders
+ * @param {string} [detail] - Comment text or rejection reason quoted in the message
+ */
+const notify = async (recipients, type, task, actorId, detail = "") => {
+  try {
+    const ids = [...new Set(recipients.map(String))].filter((id) => id !== String(actorId));
+    if (ids.length === 0) return;
+
+    const [users, actor] = await Promise.all([
+      User.find({ _id: { $in: ids } }).select("fullName email notificationPreferences"),
+      actorId ? User.findById(actorId).select("fullName email") : null,
+    ]);
+    const message = MESSAGES[type](actor ? actor.fullName || actor.email : "Someone", task, detail);
+
+    for (const user of users) {
+      const preferences = user.notificationPreferences;
+      const channels = preferences[PREFERENCE_KEYS[type]];
+      const quiet = isQuietTime(preferences);
+
+      let emailed = false;
+      if (channels.email && !quiet) {
+        try {
+          await emailNotification(user, message);
+          emailed = true;
+        } catch (error) {
+          console.error(`Failed to email a notification to ${user.email}:`, error);
+        }
+      }
+
+      const notification = await Notification.create({
+        user: user._id,
+        type,
+        task: task._id,
+        actor: actorId,
+        message,
+        deadline: type === "due_soon" ? task.deadline : null,
+        inApp: channels.inApp,
+        emailed,
+      });
+      if (channels.inApp) {
+        publishToUser(user._id, "notification", { ...notification.toJSON(), sound: channels.sound && !quiet });
+      }
+    }
+  } catch (error) {
+    console.error("Failed to record notifications:", error);
+  }
+};
+
+/**
+ * Reminds the people on every open task that is due within their reminder
+ * lead time, once per deadline. Reminders for someone in their quiet hours
+ * wait for a later sweep.
+ */
+const sendDueReminders = async () => {
+  const workflow = await Workflow.getCurrent();
+  const doneStates = workflow.states.filter((state) => state.done).map((state) => state.name);
+
+  const now = new Date();
+  const startOfToday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const tasks = await Task.find({
+    deadline: { $gte: startOfToday, $lt: new Date(startOfToday.getTime() + (MAX_LEAD_DAYS + 1) * DAY_MS) },
+    status: { $nin: doneStates },
+  });
+  if (tasks.length === 0) return;
+
+  const people = await User.find({ _id: { $in: [...new Set(tasks.flatMap(taskPeople))] } }).select("notificationPreferences");
+  const preferencesById = new Map(people.map((user) => [String(user._id), user.notificationPreferences]));
+
+  for (const task of tasks) {
+    const daysLeft = Math.floor((task.deadline - startOfToday) / DAY_MS);
+    const reminded = (await Notification.find({ task: task._id, type: "due_soon", deadline: task.deadline }).distinct("user")).map(String);
+
+    const due = taskPeople(task).filter((id) => {
+      const preferences = preferencesById.get(id);
+      return preferences && !reminded.includes(id) && daysLeft <= preferences.reminderLeadDays && !isQuietTime(preferences, now);
+    });
+    if (due.length > 0) await notify(due, "due_soon", task, null);
+  }
+};
+
+const startDueReminderSweep = () => {
+  const run = () => sendDueReminders().catch((error) => console.error("Due reminder sweep failed:", error));
+  run();
+  return setInterval(run, REMINDER_SWEEP_MS);
+};
+
+module.exports = { notify, taskPeople, isQuietTime, startDueReminderSweep };
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const TaskSeries = require("../models/TaskSeries");
+
+// Admins see every project, everyone else the default one and those they own or belong to
+const projectScope = (req) =>
+  req.user.role === "admin"
+    ? {}
+    : { $or: [{ isDefault: true }, { owner: req.user.userId }, { members: req.user.userId }] };
+
+/**
+ * Loads a project the requesting user may file tasks in, or null.
+ * Archived projects only count when `includeArchived` is set.
+ */
+const findScopedProject = (req, id, { includeArchived = false } = {}) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Project.findOne({ _id: id, ...(includeArchived ? {} : { archived: false }), ...projectScope(req) });
+};
+
+// Tasks and series from before projects existed move into the default project
+const assignDefaultProject = async () => {
+  const missing = { $or: [{ project: null }, { project: { $exists: false } }] };
+  if (!(await Task.exists(missing)) && !(await TaskSeries.exists(missing))) return;
+
+  const project = await Project.getDefault();
+  await Task.updateMany(missing, { project: project._id });
+  await TaskSeries.updateMany(missing, { project: project._id });
+};
+
+module.exports = { projectScope, findScopedProject, assignDefaultProject };
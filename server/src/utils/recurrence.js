@@ -0,0 +1,170 @@
+const Task = require("../models/Task");
+const TaskSeries = require("../models/TaskSeries");
+const Workflow = require("../models/Workflow");
+const { publishTasks } = require("./taskEvents");
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+const WEEKDAYS_ERROR = "weekdays must be numbers from 0 (Sunday) to 6 (Saturday)";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = Number(process.env.RECURRENCE_SWEEP_MS) || 60 * 60 * 1000;
+const MAX_OCCURRENCES = 366; // cap for calendar ranges
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Sunday-based week number (1970-01-01 was a Thursday), so weekly rules can skip weeks
+const weekNumber = (date) => Math.floor((Math.floor(date.getTime() / DAY_MS) + 4) / 7);
+
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+/**
+ * Validates a repeat rule from a request body and fills in defaults taken
+ * from the first occurrence's date.
+ *
+ * @param {Object} input - { frequency, interval, weekdays, dayOfMonth, until }
+ * @param {Date} deadline - Date of the first occurrence
+ * @returns {{ rule: Object }|{ error: string }}
+ */
+const parseRecurrence = (input, deadline) => {
+  if (!input || typeof input !== "object") return { error: "recurrence must be an object" };
+  if (!deadline || Number.isNaN(new Date(deadline).getTime())) {
+    return { error: "A recurring task needs a deadline" };
+  }
+  const first = new Date(deadline);
+
+  const { frequency } = input;
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `frequency must be one of ${FREQUENCIES.join(", ")}` };
+  }
+
+  const interval = input.interval === undefined ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    return { error: "interval must be a whole number from 1 to 365" };
+  }
+
+  const rule = { frequency, interval, weekdays: [], dayOfMonth: null, until: null };
+  if (frequency === "weekly") {
+    if (input.weekdays != null && !Array.isArray(input.weekdays)) return { error: WEEKDAYS_ERROR };
+    const weekdays = input.weekdays && input.weekdays.length ? input.weekdays.map(Number) : [first.getUTCDay()];
+    if (!weekdays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return { error: WEEKDAYS_ERROR };
+    }
+    rule.weekdays = [...new Set(weekdays)].sort();
+  }
+  if (frequency === "monthly") {
+    const dayOfMonth = input.dayOfMonth ? Number(input.dayOfMonth) : first.getUTCDate();
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      return { error: "dayOfMonth must be a whole number from 1 to 31" };
+    }
+    rule.dayOfMonth = dayOfMonth;
+  }
+  if (input.until) {
+    rule.until = new Date(input.until);
+    if (Number.isNaN(rule.until.getTime())) return { error: "until must be a date" };
+  }
+  return { rule };
+};
+
+/**
+ * Date of the occurrence after `from`, keeping its time of day, or null once
+ * the rule has ended.
+ */
+const nextOccurrence = (rule, from) => {
+  let next = null;
+
+  if (rule.frequency === "daily") {
+    next = addDays(from, rule.interval);
+  } else if (rule.frequency === "weekly") {
+    for (let offset = 1; offset <= 7 * rule.interval && !next; offset += 1) {
+      const day = addDays(from, offset);
+      const onWeek = (weekNumber(day) - weekNumber(from)) % rule.interval === 0;
+      if (onWeek && rule.weekdays.includes(day.getUTCDay())) next = day;
+    }
+  } else if (rule.frequency === "monthly") {
+    const year = from.getUTCFullYear();
+    const month = from.getUTCMonth() + rule.interval;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    next = new Date(from);
+    next.setUTCFullYear(year, month, Math.min(rule.dayOfMonth || from.getUTCDate(), lastDay));
+  }
+
+  return next && (!rule.until || next <= rule.until) ? next : null;
+};
+
+// Occurrences after `from` that fall inside [start, end]
+const occurrencesBetween = (rule, from, start, end) => {
+  const dates = [];
+  for (let date = nextOccurrence(rule, from); date && date <= end; date = nextOccurrence(rule, date)) {
+    if (date >= start) dates.push(date);
+    if (dates.length >= MAX_OCCURRENCES) break;
+  }
+  return dates;
+};
+
+/**
+ * Creates the series' next occurrence after `task`, at most once per task.
+ * WIP limits are not applied since nobody is there to resolve a conflict.
+ *
+ * @param {Object} task - Task document with `series`
+ * @param {Date} [notBefore] - Skip occurrences earlier than this date
+ * @returns {Promise<Object|null>} The new task, or null when none was due
+ */
+const spawnNextOccurrence = async (task, notBefore = null) => {
+  if (!task.series || !task.deadline) return null;
+
+  // Claim the task first so a completion and the sweep can't both create the occurrence
+  const claimed = await Task.findOneAndUpdate({ _id: task._id, nextSpawned: false }, { nextSpawned: true });
+  if (!claimed) return null;
+
+  const series = await TaskSeries.findById(task.series);
+  if (!series || !series.active) return null;
+
+  let deadline = nextOccurrence(series, task.deadline);
+  while (deadline && notBefore && deadline < notBefore) deadline = nextOccurrence(series, deadline);
+  if (!deadline) return null;
+
+  const workflow = await Workflow.getCurrent();
+  const status = workflow.states[0].name;
+
+  const occurrence = await Task.create({
+    title: series.title,
+    description: series.description,
+    priority: series.priority,
+    owner: series.owner,
+    project: series.project,
+    assignees: series.assignees,
+    labels: series.labels,
+    checklist: series.checklist.map((title) => ({ title })),
+    status,
+    position: await Task.nextPosition(series.owner, status),
+    deadline,
+    series: series._id,
+  });
+  publishTasks(occurrence._id, "created");
+  return occurrence;
+};
+
+// Creates the next occurrence for every recurring task whose date has arrived
+const sweepRecurringTasks = async () => {
+  const due = await Task.find({ series: { $ne: null }, nextSpawned: false, deadline: { $lte: new Date() } });
+  for (const task of due) {
+    // Occurrences missed while the server was down are skipped rather than back-filled
+    await spawnNextOccurrence(task, startOfToday());
+  }
+};
+
+const startRecurrenceSweep = () => {
+  const run = () => sweepRecurringTasks().catch((error) => console.error("Recurring task sweep failed:", error));
+  run();
+  return setInterval(run, SWEEP_INTERVAL_MS);
+};
+
+module.exports = {
+  parseRecurrence,
+  nextOccurrence,
+  occurrencesBetween,
+  spawnNextOccurrence,
+  startRecurrenceSweep,
+};
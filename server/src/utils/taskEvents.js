@@ -0,0 +1,111 @@
+const Task = require("../models/Task");
+
+// Open event streams: { res, userId, role, people } where `people` are the users whose tasks it may see
+const clients = new Set();
+
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing idle streams
+
+// Responses and pushed events carry users as { _id, fullName, email }, labels as
+// { _id, name, color }, blockers as { _id, title, status } and the repeat rule of
+// recurring tasks under `series`
+const populateTask = (target) =>
+  target.populate([
+    { path: "owner", select: "fullName email" },
+    { path: "assignees", select: "fullName email" },
+    { path: "labels", select: "name color" },
+    { path: "history.by", select: "fullName email" },
+    { path: "attachments.uploadedBy", select: "fullName email" },
+    { path: "checklist.assignee", select: "fullName email" },
+    { path: "blockedBy", select: "title status" },
+    { path: "series", select: "frequency interval weekdays dayOfMonth until active" },
+  ]);
+
+// Mirrors taskScope: admins see everything, others tasks that they or their team members own or work on
+const canSee = (client, task) => {
+  if (client.role === "admin") return true;
+  const involved = [task.owner, ...task.assignees].map((user) => String(user._id || user));
+  return involved.some((id) => client.people.has(id));
+};
+
+const send = (client, type, data) => {
+  client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * GET /api/events?token=<jwt>
+ * Server-Sent Events stream of task changes: `created` and `updated` carry the
+ * task as the tasks API returns it, `deleted` carries { id }. The user's own
+ * new notifications arrive as `notification` events. Runs after
+ * protect and loadLedTeams; the stream ends when the access token expires so
+ * the client reconnects with a fresh one.
+ */
+const subscribe = (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const client = {
+    res,
+    userId: String(req.user.userId),
+    role: req.user.role,
+    people: new Set([String(req.user.userId), ...req.user.teamMemberIds]),
+  };
+  clients.add(client);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  const expiry = req.user.exp ? setTimeout(() => res.end(), req.user.exp * 1000 - Date.now()) : null;
+
+  req.on("close", () => {
+    clients.delete(client);
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+};
+
+/**
+ * Pushes the saved state of tasks to every stream that can see them. Streams
+ * that could see a task before the change but no longer can (e.g. someone just
+ * unassigned) get `deleted` so they drop the card.
+ * Never throws: a failed push must not fail the request that changed the task.
+ *
+ * @param {Array|string} ids - Task id(s)
+ * @param {string} [type] - "created" or "updated"
+ * @param {Array} [before] - The tasks' `_id`, `owner` and `assignees` before a change that may hide them
+ */
+const publishTasks = async (ids, type = "updated", before = []) => {
+  if (clients.size === 0) return;
+  try {
+    const previous = new Map(before.map((task) => [String(task._id), task]));
+    const tasks = await populateTask(Task.find({ _id: { $in: [].concat(ids) } }));
+    for (const task of tasks) {
+      const payload = task.toJSON();
+      clients.forEach((client) => {
+        if (canSee(client, task)) send(client, type, payload);
+        else if (previous.has(task.id) && canSee(client, previous.get(task.id))) send(client, "deleted", { id: task.id });
+      });
+    }
+  } catch (error) {
+    console.error("Failed to publish task events:", error);
+  }
+};
+
+// Tells every stream that could see the task that it is gone
+const publishTaskDeleted = (task) => {
+  clients.forEach((client) => {
+    if (canSee(client, task)) send(client, "deleted", { id: task.id });
+  });
+};
+
+// Sends an event to every open stream of one user, e.g. a new notification
+const publishToUser = (userId, type, data) => {
+  clients.forEach((client) => {
+    if (client.userId === String(userId)) send(client, type, data);
+  });
+};
+
+module.exports = { populateTask, subscribe, publishTasks, publishTaskDeleted, publishToUser };
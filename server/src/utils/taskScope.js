@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const Team = require("../models/Team");
+const { handleError } = require("./errors");
+
+// Users whose tasks the requester supervises as a team lead (set by loadLedTeams)
+const teamMemberIds = (req) => req.user.teamMemberIds || [];
+
+// Admins see every task, everyone else the tasks they or the team members they lead
+// own or are assigned to
+const taskScope = (req) => {
+  if (req.user.role === "admin") return {};
+  const people = [req.user.userId, ...teamMemberIds(req)];
+  return { $or: [{ owner: { $in: people } }, { assignees: { $in: people } }] };
+};
+
+// Tasks the requester may review and complete: all for admins, their team members' for leads
+const supervisedScope = (req) => (req.user.role === "admin" ? {} : { owner: { $in: teamMemberIds(req) } });
+
+const canSupervise = (req, task) =>
+  req.user.role === "admin" || teamMemberIds(req).some((id) => task.owner.equals(id));
+
+/**
+ * Loads a task the requesting user may see, or null.
+ *
+ * @param {Object} req - Express request with req.user set by `protect`
+ * @param {string} [id] - Task id, defaults to req.params.id
+ */
+const findScopedTask = (req, id = req.params.id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Task.findOne({ _id: id, ...taskScope(req) });
+};
+
+/**
+ * The users among `userIds` whose taskScope includes `task`: admins, its owner
+ * and assignees, and the leads of a team one of those belongs to.
+ *
+ * @param {Object} task - Task with `owner` and `assignees` ids
+ * @param {Array} userIds - Candidate user ids
+ * @returns {Promise<Array<string>>} The ids that may see the task
+ */
+const usersWhoCanSee = async (task, userIds) => {
+  const ids = [...new Set(userIds.map(String))];
+  if (ids.length === 0) return [];
+
+  const people = [task.owner, ...task.assignees].map(String);
+  const [admins, teams] = await Promise.all([
+    User.find({ _id: { $in: ids }, role: "admin" }).distinct("_id"),
+    Team.find({ leads: { $in: ids }, members: { $in: people } }).select("leads"),
+  ]);
+  const allowed = new Set([...people, ...admins.map(String), ...teams.flatMap((team) => team.leads.map(String))]);
+  return ids.filter((id) => allowed.has(id));
+};
+
+// Middleware for routes that do costly work before their handler, such as uploads:
+// answers 404 up front unless the user may see task :id
+const requireScopedTask = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id) || !(await Task.exists({ _id: id, ...taskScope(req) }))) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    next();
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { taskScope, supervisedScope, canSupervise, findScopedTask, requireScopedTask, usersWhoCanSee };
@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+require("dotenv").config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// `sid` ties every access token to the device session it was issued for, `jti` identifies the token itself
+const signAccessToken = (user, sid) =>
+    jwt.sign({ userId: user._id, role: user.role, sid }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL,
+        jwtid: crypto.randomUUID(),
+    });
+
+// Adds a refresh token to the user (the caller saves it) and returns the raw value.
+// Only the hash is stored, so a leaked users collection does not hand out live sessions.
+const issueRefreshToken = (user, sid) => {
+    const token = crypto.randomBytes(48).toString("hex");
+    const now = Date.now();
+
+    user.refreshTokens = (user.refreshTokens || []).filter((entry) => entry.expiresAt > now);
+    user.refreshTokens.push({
+        sid,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    return token;
+};
+
+// Access/refresh pair handed out by login and register; refresh passes the existing sid
+const createSession = async (user, sid = crypto.randomUUID()) => {
+    const refreshToken = issueRefreshToken(user, sid);
+    await user.save();
+
+    return { token: signAccessToken(user, sid), refreshToken };
+};
+
+module.exports = { hashToken, signAccessToken, createSession };
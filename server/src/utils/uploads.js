@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+
+// Storage and limits for task attachments; override through the environment
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "../../uploads"));
+const MAX_FILE_SIZE = Number(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024;
+const MAX_FILES = 5;
+const ALLOWED_TYPES = (
+  process.env.UPLOAD_ALLOWED_TYPES ||
+  "image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/csv,application/json,application/zip"
+)
+  .split(",")
+  .map((type) => type.trim())
+  .filter(Boolean);
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${Number((bytes / (1024 * 1024)).toFixed(1))} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+// Files are stored under a random name; the original name is kept on the task.
+// The directory is created on the first upload.
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => fs.mkdir(UPLOAD_DIR, { recursive: true }, (error) => cb(error, UPLOAD_DIR)),
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+  },
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_TYPES.includes(file.mimetype)) return cb(null, true);
+
+    const error = new Error(`File type ${file.mimetype} is not allowed`);
+    error.code = "UNSUPPORTED_TYPE";
+    cb(error);
+  },
+}).array("files", MAX_FILES);
+
+/**
+ * Multer middleware for the "files" field that answers limit violations with
+ * 413 (too large / too many) or 415 (MIME type) instead of a server error.
+ */
+const uploadFiles = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === "UNSUPPORTED_TYPE") {
+      return res.status(415).json({ message: error.message });
+    }
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ message: `Files must be ${formatSize(MAX_FILE_SIZE)} or smaller` });
+    }
+    if (error.code === "LIMIT_FILE_COUNT") {
+      return res.status(413).json({ message: `Upload at most ${MAX_FILES} files at a time` });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: error.message });
+    }
+    next(error);
+  });
+};
+
+const attachmentPath = (filename) => path.join(UPLOAD_DIR, path.basename(filename));
+
+// Best-effort removal of stored files; a missing file is not an error
+const removeStoredFiles = async (filenames) => {
+  await Promise.all(
+    filenames.map((filename) =>
+      fs.promises.unlink(attachmentPath(filename)).catch((error) => {
+        if (error.code !== "ENOENT") console.error("Failed to remove attachment:", error);
+      })
+    )
+  );
+};
+
+module.exports = { uploadFiles, attachmentPath, removeStoredFiles };
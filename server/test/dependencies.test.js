@@ -0,0 +1,31 @@
+const { test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const Task = require("../src/models/Task");
+const { isUpstream } = require("../src/utils/dependencies");
+
+// Serves Task.find({ _id: { $in } }).select("blockedBy") from a { id: [blockerIds] } map
+const useGraph = (graph) => {
+  mock.method(Task, "find", ({ _id }) => ({
+    select: async () => _id.$in.map((id) => ({ blockedBy: graph[String(id)] || [] })),
+  }));
+};
+
+afterEach(() => mock.restoreAll());
+
+test("finds a task further up the blockedBy chain", async () => {
+  // a is blocked by b, b by c
+  useGraph({ a: ["b"], b: ["c"] });
+  assert.equal(await isUpstream("c", "a"), true);
+  assert.equal(await isUpstream("a", "c"), false);
+});
+
+test("a dependency that would close a cycle is detected", async () => {
+  // Making c block a is fine; making a block c would close a -> b -> c -> a
+  useGraph({ a: ["b"], b: ["c"], c: [] });
+  assert.equal(await isUpstream("c", "a"), true);
+});
+
+test("terminates on graphs that already contain a cycle", async () => {
+  useGraph({ a: ["b"], b: ["a"] });
+  assert.equal(await isUpstream("z", "a"), false);
+});
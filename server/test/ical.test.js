@@ -0,0 +1,55 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildCalendar } = require("../src/utils/ical");
+
+const updatedAt = new Date("2026-10-19T08:30:00.000Z");
+
+test("buildCalendar writes a CRLF-terminated VCALENDAR", () => {
+  const ics = buildCalendar("Tasks", []);
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(!/[^\r]\n/.test(ics), "every line ends with CRLF");
+});
+
+test("all-day events use DATE values and end the next day by default", () => {
+  const ics = buildCalendar("Tasks", [
+    { uid: "task-1@example.com", summary: "Report", start: new Date("2026-10-20T00:00:00.000Z"), allDay: true, updatedAt },
+  ]);
+  assert.match(ics, /\r\nUID:task-1@example.com\r\n/);
+  assert.match(ics, /\r\nDTSTART;VALUE=DATE:20261020\r\nDTEND;VALUE=DATE:20261021\r\n/);
+  assert.match(ics, /\r\nDTSTAMP:20261019T083000Z\r\n/);
+});
+
+test("timed events use UTC date-times", () => {
+  const ics = buildCalendar("Tasks", [
+    {
+      uid: "event-1@example.com",
+      summary: "Standup",
+      start: new Date("2026-10-20T09:00:00.000Z"),
+      end: new Date("2026-10-20T09:15:00.000Z"),
+      allDay: false,
+      updatedAt,
+    },
+  ]);
+  assert.match(ics, /\r\nDTSTART:20261020T090000Z\r\nDTEND:20261020T091500Z\r\n/);
+});
+
+test("text values are escaped", () => {
+  const ics = buildCalendar("Tasks", [
+    { uid: "x", summary: "a;b,c\\d", description: "line 1\nline 2", start: updatedAt, allDay: true, updatedAt },
+  ]);
+  assert.match(ics, /\r\nSUMMARY:a\\;b\\,c\\\\d\r\n/);
+  assert.match(ics, /\r\nDESCRIPTION:line 1\\nline 2\r\n/);
+});
+
+test("long lines are folded at 75 octets without splitting characters", () => {
+  const summary = "é".repeat(100);
+  const ics = buildCalendar("Tasks", [{ uid: "x", summary, start: updatedAt, allDay: true, updatedAt }]);
+  const lines = ics.split("\r\n");
+  lines.forEach((line) => assert.ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`));
+
+  const start = lines.findIndex((line) => line.startsWith("SUMMARY:"));
+  let unfolded = lines[start];
+  for (let i = start + 1; lines[i].startsWith(" "); i += 1) unfolded += lines[i].slice(1);
+  assert.equal(unfolded, `SUMMARY:${summary}`);
+});
@@ -0,0 +1,34 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { isQuietTime } = require("../src/utils/notifications");
+
+const at = (time) => new Date(`2026-10-19T${time}:00.000Z`);
+const preferences = (quietHours) => ({ quietHours, timezone: "UTC" });
+
+test("quiet hours within one day", () => {
+  const settings = preferences({ enabled: true, start: "12:00", end: "14:00" });
+  assert.equal(isQuietTime(settings, at("11:59")), false);
+  assert.equal(isQuietTime(settings, at("12:00")), true);
+  assert.equal(isQuietTime(settings, at("13:59")), true);
+  assert.equal(isQuietTime(settings, at("14:00")), false);
+});
+
+test("quiet hours that run past midnight", () => {
+  const settings = preferences({ enabled: true, start: "22:00", end: "07:00" });
+  assert.equal(isQuietTime(settings, at("23:30")), true);
+  assert.equal(isQuietTime(settings, at("06:59")), true);
+  assert.equal(isQuietTime(settings, at("07:00")), false);
+  assert.equal(isQuietTime(settings, at("21:59")), false);
+});
+
+test("disabled or empty quiet hours are never on", () => {
+  assert.equal(isQuietTime(preferences({ enabled: false, start: "00:00", end: "23:59" }), at("12:00")), false);
+  assert.equal(isQuietTime(preferences({ enabled: true, start: "08:00", end: "08:00" }), at("08:00")), false);
+});
+
+test("quiet hours follow the user's time zone", () => {
+  const settings = { quietHours: { enabled: true, start: "22:00", end: "07:00" }, timezone: "Asia/Tokyo" };
+  // 14:00 UTC is 23:00 in Tokyo
+  assert.equal(isQuietTime(settings, at("14:00")), true);
+  assert.equal(isQuietTime(settings, at("03:00")), false);
+});
@@ -0,0 +1,54 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRecurrence, nextOccurrence, occurrencesBetween } = require("../src/utils/recurrence");
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+const days = (dates) => dates.map((date) => date.toISOString().slice(0, 10));
+
+test("parseRecurrence fills defaults from the first occurrence", () => {
+  // 2026-10-19 is a Monday
+  assert.deepEqual(parseRecurrence({ frequency: "weekly" }, day("2026-10-19")).rule, {
+    frequency: "weekly",
+    interval: 1,
+    weekdays: [1],
+    dayOfMonth: null,
+    until: null,
+  });
+  assert.equal(parseRecurrence({ frequency: "monthly" }, day("2026-10-31")).rule.dayOfMonth, 31);
+});
+
+test("parseRecurrence rejects invalid rules", () => {
+  const deadline = day("2026-10-19");
+  assert.match(parseRecurrence({ frequency: "weekly" }, null).error, /needs a deadline/);
+  assert.match(parseRecurrence({ frequency: "hourly" }, deadline).error, /frequency/);
+  assert.match(parseRecurrence({ frequency: "daily", interval: 0 }, deadline).error, /interval/);
+  assert.match(parseRecurrence({ frequency: "weekly", weekdays: [7] }, deadline).error, /weekdays/);
+  assert.match(parseRecurrence({ frequency: "weekly", weekdays: "12" }, deadline).error, /weekdays/);
+  assert.match(parseRecurrence({ frequency: "monthly", dayOfMonth: 32 }, deadline).error, /dayOfMonth/);
+  assert.match(parseRecurrence({ frequency: "daily", until: "soon" }, deadline).error, /until/);
+});
+
+test("nextOccurrence steps daily rules by their interval", () => {
+  const rule = { frequency: "daily", interval: 3, weekdays: [], dayOfMonth: null, until: null };
+  assert.deepEqual(days([nextOccurrence(rule, day("2026-10-30"))]), ["2026-11-02"]);
+});
+
+test("nextOccurrence walks the chosen weekdays of every other week", () => {
+  // Mondays and Fridays, every second week, starting Monday 2026-10-19
+  const rule = { frequency: "weekly", interval: 2, weekdays: [1, 5], dayOfMonth: null, until: null };
+  const dates = occurrencesBetween(rule, day("2026-10-19"), day("2026-10-19"), day("2026-11-14"));
+  assert.deepEqual(days(dates), ["2026-10-23", "2026-11-02", "2026-11-06"]);
+});
+
+test("nextOccurrence clamps monthly rules to short months", () => {
+  const rule = { frequency: "monthly", interval: 1, weekdays: [], dayOfMonth: 31, until: null };
+  const dates = occurrencesBetween(rule, day("2027-01-31"), day("2027-01-01"), day("2027-04-30"));
+  assert.deepEqual(days(dates), ["2027-02-28", "2027-03-31", "2027-04-30"]);
+});
+
+test("nextOccurrence keeps the time of day and stops after `until`", () => {
+  const rule = { frequency: "daily", interval: 1, weekdays: [], dayOfMonth: null, until: new Date("2026-10-21T12:00:00.000Z") };
+  const next = nextOccurrence(rule, new Date("2026-10-20T09:30:00.000Z"));
+  assert.equal(next.toISOString(), "2026-10-21T09:30:00.000Z");
+  assert.equal(nextOccurrence(rule, next), null);
+});
@@ -0,0 +1,55 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const { hashToken, createSession } = require("../src/utils/tokens");
+
+const fakeUser = (refreshTokens = []) => ({
+  _id: "64b000000000000000000001",
+  role: "user",
+  refreshTokens,
+  saves: 0,
+  async save() {
+    this.saves += 1;
+  },
+});
+
+test("createSession stores only the refresh token's hash and saves the user", async () => {
+  const user = fakeUser();
+  const { token, refreshToken } = await createSession(user);
+
+  assert.equal(user.saves, 1);
+  assert.equal(user.refreshTokens.length, 1);
+  assert.equal(user.refreshTokens[0].tokenHash, hashToken(refreshToken));
+  assert.notEqual(user.refreshTokens[0].tokenHash, refreshToken);
+
+  const claims = jwt.verify(token, process.env.JWT_SECRET);
+  assert.equal(claims.userId, user._id);
+  assert.equal(claims.sid, user.refreshTokens[0].sid);
+  assert.ok(claims.jti);
+});
+
+test("rotation keeps the session id and issues new tokens", async () => {
+  const user = fakeUser();
+  const first = await createSession(user);
+  const { sid } = user.refreshTokens[0];
+  const second = await createSession(user, sid);
+
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(jwt.decode(second.token).sid, sid);
+  assert.notEqual(jwt.decode(second.token).jti, jwt.decode(first.token).jti);
+});
+
+test("expired refresh tokens are pruned when a new one is issued", async () => {
+  const user = fakeUser([
+    { sid: "old", tokenHash: "x", expiresAt: new Date(Date.now() - 1000) },
+    { sid: "live", tokenHash: "y", expiresAt: new Date(Date.now() + 60 * 1000) },
+  ]);
+  await createSession(user);
+  assert.deepEqual(
+    user.refreshTokens.map((entry) => entry.sid).filter((sid) => sid === "old" || sid === "live"),
+    ["live"]
+  );
+  assert.equal(user.refreshTokens.length, 2);
+});
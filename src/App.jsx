@@ -29,6 +29,9 @@ import Dashboard from "./pages/AdminPages/Dashboard";
 import Users from "./pages/AdminPages/Users";
 import ManageUsers from "./pages/AdminPages/ManageUsers";
 import ManageTasks from "./pages/AdminPages/ManageTasks";
+import ManageLabels from "./pages/AdminPages/ManageLabels";
+import ManageProjects from "./pages/AdminPages/ManageProjects";
+import ManageTeams from "./pages/AdminPages/ManageTeams";
 import Settings from "./pages/AdminPages/Settings";
 import UserLogPage from "./pages/AdminPages/UserLogPage";
 
@@ -208,7 +211,7 @@ function App() {
                 <Route 
                   path="/admin/manage-users" 
                   element={
-                    <ProtectedRoute requiredRole="admin">
+                    <ProtectedRoute requiredRole="admin" allowTeamLeads>
                       <ManageUsers />
                     </ProtectedRoute>
                   } 
@@ -216,11 +219,35 @@ function App() {
                 <Route 
                   path="/admin/manage-tasks" 
                   element={
-                    <ProtectedRoute requiredRole="admin">
+                    <ProtectedRoute requiredRole="admin" allowTeamLeads>
                       <ManageTasks />
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/admin/manage-teams" 
+                  element={
+                    <ProtectedRoute requiredRole="admin">
+                      <ManageTeams />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/manage-projects" 
+                  element={
+                    <ProtectedRoute requiredRole="admin">
+                      <ManageProjects />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/manage-labels" 
+                  element={
+                    <ProtectedRoute requiredRole="admin">
+                      <ManageLabels />
+                    </ProtectedRoute>
+                  } 
+                />
                 <Route 
                   path="/admin/settings" 
                   element={
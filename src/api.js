@@ -1,28 +1,409 @@
-const API_URL = "https://zidio-task-management-backend.onrender.com/";
+/* global process */
+// `process.env.API_URL` is substituted at build time by vite.config.js
+const API_URL = process.env.API_URL;
 
-export const fetchTasks = async () => {
-  const response = await fetch(API_URL);
-  return await response.json();
+// Multipart bodies must let the browser set Content-Type (it adds the boundary)
+const authHeaders = (json = true) => {
+  const token = localStorage.getItem("token");
+  return {
+    ...(json && { "Content-Type": "application/json" }),
+    ...(token && { Authorization: `Bearer ${token}` }),
+  };
+};
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: { ...authHeaders(!(options.body instanceof FormData)), ...options.headers },
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `Request failed with status ${response.status}`);
+  }
+  return data;
+};
+
+export const loginUser = async (credentials) => {
+  return request("/api/auth/login", {
+    method: "POST",
+    body: JSON.stringify(credentials),
+  });
+};
+
+export const registerUser = async (details) => {
+  return request("/api/auth/register", {
+    method: "POST",
+    body: JSON.stringify(details),
+  });
+};
+
+export const refreshAccessToken = async (refreshToken) => {
+  return request("/api/auth/refresh", {
+    method: "POST",
+    body: JSON.stringify({ refreshToken }),
+  });
+};
+
+export const logoutUser = async () => {
+  return request("/api/auth/logout", { method: "POST" });
+};
+
+export const logoutAllDevices = async () => {
+  return request("/api/auth/logout-all", { method: "POST" });
+};
+
+export const fetchCurrentUser = async () => {
+  return request("/api/auth/me");
+};
+
+// Pass { project } to list one project's tasks only
+export const fetchTasks = async ({ project } = {}) => {
+  return request(project ? `/api/tasks?${new URLSearchParams({ project })}` : "/api/tasks");
+};
+
+// Server-Sent Events stream of task changes; EventSource can't send headers, so the token goes in the query
+export const taskEventsUrl = () => `${API_URL}/api/events?${new URLSearchParams({ token: localStorage.getItem("token") || "" })}`;
+
+export const fetchTask = async (id) => {
+  return request(`/api/tasks/${id}`);
 };
 
 export const createTask = async (task) => {
-  const response = await fetch(API_URL, {
+  return request("/api/tasks", {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
     body: JSON.stringify(task),
   });
-  return await response.json();
 };
 
-export const deleteTask = async (id) => {
-  await fetch(`${API_URL}/${id}`, { method: "DELETE" });
+// For a recurring task, scope "future" also ends the series
+export const deleteTask = async (id, scope = "occurrence") => {
+  const query = scope === "future" ? "?scope=future" : "";
+  return request(`/api/tasks/${id}${query}`, { method: "DELETE" });
 };
 
 export const updateTask = async (id, updates) => {
-  const response = await fetch(`${API_URL}/${id}`, {
+  return request(`/api/tasks/${id}`, {
+    method: "PATCH",
+    body: JSON.stringify(updates),
+  });
+};
+
+// Upcoming occurrences of recurring tasks between two dates: [{ task, title, date }]
+export const fetchOccurrences = async (start, end, project = null) => {
+  const query = new URLSearchParams({ start: start.toISOString(), end: end.toISOString() });
+  if (project) query.set("project", project);
+  return request(`/api/tasks/occurrences?${query}`);
+};
+
+export const fetchCalendarEvents = async (start, end) => {
+  const query = new URLSearchParams({ start: start.toISOString(), end: end.toISOString() });
+  return request(`/api/calendar/events?${query}`);
+};
+
+export const createCalendarEvent = async (event) => {
+  return request("/api/calendar/events", {
+    method: "POST",
+    body: JSON.stringify(event),
+  });
+};
+
+export const updateCalendarEvent = async (id, updates) => {
+  return request(`/api/calendar/events/${id}`, {
+    method: "PATCH",
+    body: JSON.stringify(updates),
+  });
+};
+
+export const deleteCalendarEvent = async (id) => {
+  return request(`/api/calendar/events/${id}`, { method: "DELETE" });
+};
+
+export const fetchCalendarFeedUrl = async () => {
+  return request("/api/calendar/feed");
+};
+
+export const regenerateCalendarFeedUrl = async () => {
+  return request("/api/calendar/feed/regenerate", { method: "POST" });
+};
+
+export const submitTaskForReview = async (id, comment = "") => {
+  return request(`/api/tasks/${id}/submit`, {
+    method: "POST",
+    body: JSON.stringify({ comment }),
+  });
+};
+
+// Admin decision on a submitted task: "approve" or "reject" (reject needs a comment)
+export const reviewTask = async (id, decision, comment = "") => {
+  return request(`/api/tasks/${id}/review`, {
+    method: "POST",
+    body: JSON.stringify({ decision, comment }),
+  });
+};
+
+export const fetchReviewQueue = async ({ project } = {}) => {
+  return request(project ? `/api/tasks/review-queue?${new URLSearchParams({ project })}` : "/api/tasks/review-queue");
+};
+
+export const fetchComments = async (taskId) => {
+  return request(`/api/tasks/${taskId}/comments`);
+};
+
+// `parent` is the id of the comment being replied to, if any
+export const addComment = async (taskId, body, parent = null) => {
+  return request(`/api/tasks/${taskId}/comments`, {
+    method: "POST",
+    body: JSON.stringify({ body, parent }),
+  });
+};
+
+export const updateComment = async (taskId, commentId, body) => {
+  return request(`/api/tasks/${taskId}/comments/${commentId}`, {
+    method: "PATCH",
+    body: JSON.stringify({ body }),
+  });
+};
+
+export const deleteComment = async (taskId, commentId) => {
+  return request(`/api/tasks/${taskId}/comments/${commentId}`, { method: "DELETE" });
+};
+
+// Checklist endpoints answer with { checklist, progress }
+export const addChecklistItem = async (taskId, title, assignee = null) => {
+  return request(`/api/tasks/${taskId}/checklist`, {
+    method: "POST",
+    body: JSON.stringify({ title, assignee }),
+  });
+};
+
+export const reorderChecklist = async (taskId, order) => {
+  return request(`/api/tasks/${taskId}/checklist`, {
+    method: "PATCH",
+    body: JSON.stringify({ order }),
+  });
+};
+
+export const updateChecklistItem = async (taskId, itemId, updates) => {
+  return request(`/api/tasks/${taskId}/checklist/${itemId}`, {
+    method: "PATCH",
+    body: JSON.stringify(updates),
+  });
+};
+
+export const deleteChecklistItem = async (taskId, itemId) => {
+  return request(`/api/tasks/${taskId}/checklist/${itemId}`, { method: "DELETE" });
+};
+
+// Dependency endpoints answer with { blockedBy } as [{ _id, title, status }]
+export const addDependency = async (taskId, blockerId) => {
+  return request(`/api/tasks/${taskId}/dependencies`, {
+    method: "POST",
+    body: JSON.stringify({ blockerId }),
+  });
+};
+
+export const removeDependency = async (taskId, blockerId) => {
+  return request(`/api/tasks/${taskId}/dependencies/${blockerId}`, { method: "DELETE" });
+};
+
+export const fetchRunningTimer = async () => {
+  return request("/api/time/running");
+};
+
+// Answers with { timer, stopped }; a timer running on another task is stopped first
+export const startTimer = async (taskId) => {
+  return request(`/api/tasks/${taskId}/time/start`, { method: "POST" });
+};
+
+export const stopTimer = async () => {
+  return request("/api/time/stop", { method: "POST" });
+};
+
+export const fetchTimeEntries = async (taskId) => {
+  return request(`/api/tasks/${taskId}/time`);
+};
+
+export const addTimeEntry = async (taskId, { minutes, date, note }) => {
+  return request(`/api/tasks/${taskId}/time`, {
+    method: "POST",
+    body: JSON.stringify({ minutes, date, note }),
+  });
+};
+
+export const deleteTimeEntry = async (taskId, entryId) => {
+  return request(`/api/tasks/${taskId}/time/${entryId}`, { method: "DELETE" });
+};
+
+export const fetchTimeReport = async ({ from, to } = {}) => {
+  const query = new URLSearchParams();
+  if (from) query.set("from", from);
+  if (to) query.set("to", to);
+  return request(`/api/time/report?${query}`);
+};
+
+export const fetchProjects = async () => {
+  return request("/api/projects");
+};
+
+export const createProject = async (project) => {
+  return request("/api/projects", {
+    method: "POST",
+    body: JSON.stringify(project),
+  });
+};
+
+export const updateProject = async (id, updates) => {
+  return request(`/api/projects/${id}`, {
+    method: "PATCH",
+    body: JSON.stringify(updates),
+  });
+};
+
+export const fetchTeams = async () => {
+  return request("/api/teams");
+};
+
+export const createTeam = async (team) => {
+  return request("/api/teams", {
+    method: "POST",
+    body: JSON.stringify(team),
+  });
+};
+
+export const updateTeam = async (id, updates) => {
+  return request(`/api/teams/${id}`, {
+    method: "PATCH",
+    body: JSON.stringify(updates),
+  });
+};
+
+export const deleteTeam = async (id) => {
+  return request(`/api/teams/${id}`, { method: "DELETE" });
+};
+
+export const fetchLabels = async () => {
+  return request("/api/labels");
+};
+
+export const createLabel = async ({ name, color }) => {
+  return request("/api/labels", {
+    method: "POST",
+    body: JSON.stringify({ name, color }),
+  });
+};
+
+export const updateLabel = async (id, updates) => {
+  return request(`/api/labels/${id}`, {
     method: "PATCH",
-    headers: { "Content-Type": "application/json" },
     body: JSON.stringify(updates),
   });
-  return await response.json();
-};
\ No newline at end of file
+};
+
+export const deleteLabel = async (id) => {
+  return request(`/api/labels/${id}`, { method: "DELETE" });
+};
+
+export const uploadAttachments = async (taskId, files) => {
+  const body = new FormData();
+  Array.from(files).forEach((file) => body.append("files", file));
+  return request(`/api/tasks/${taskId}/attachments`, { method: "POST", body });
+};
+
+// Returns the file as a Blob, for downloads and image previews
+export const fetchAttachmentFile = async (taskId, attachmentId) => {
+  const response = await fetch(`${API_URL}/api/tasks/${taskId}/attachments/${attachmentId}`, {
+    headers: authHeaders(false),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || `Request failed with status ${response.status}`);
+  }
+  return response.blob();
+};
+
+export const deleteAttachment = async (taskId, attachmentId) => {
+  return request(`/api/tasks/${taskId}/attachments/${attachmentId}`, { method: "DELETE" });
+};
+
+// Persists board order: { [status]: [taskId, ...] } for each column that changed
+export const saveBoard = async (columns) => {
+  return request("/api/tasks/board", {
+    method: "PATCH",
+    body: JSON.stringify({ columns }),
+  });
+};
+
+export const fetchWorkflow = async () => {
+  return request("/api/workflow");
+};
+
+export const updateWorkflow = async (states) => {
+  return request("/api/workflow", {
+    method: "PUT",
+    body: JSON.stringify({ states }),
+  });
+};
+
+// Names and emails of every registered user, for assignee pickers
+export const fetchUserDirectory = async () => {
+  return request("/api/users");
+};
+
+export const fetchUsers = async () => {
+  return request("/admin/users");
+};
+
+export const updateUser = async (email, updates) => {
+  return request(`/admin/users/${encodeURIComponent(email)}`, {
+    method: "PUT",
+    body: JSON.stringify(updates),
+  });
+};
+
+export const deleteUser = async (email) => {
+  return request(`/admin/users/${encodeURIComponent(email)}`, { method: "DELETE" });
+};
+
+export const fetchPreferences = async () => {
+  return request("/api/users/me/preferences");
+};
+
+export const updatePreferences = async (updates) => {
+  return request("/api/users/me/preferences", {
+    method: "PATCH",
+    body: JSON.stringify(updates),
+  });
+};
+
+export const fetchNotifications = async ({ page = 1, limit = 20, unread = false } = {}) => {
+  const query = new URLSearchParams({ page, limit, ...(unread && { unread: "true" }) });
+  return request(`/api/notifications?${query}`);
+};
+
+export const fetchUnreadNotificationCount = async () => {
+  return request("/api/notifications/unread-count");
+};
+
+export const markNotificationRead = async (id, read = true) => {
+  return request(`/api/notifications/${id}/read`, {
+    method: "PATCH",
+    body: JSON.stringify({ read }),
+  });
+};
+
+export const markAllNotificationsRead = async () => {
+  return request("/api/notifications/read-all", { method: "PATCH" });
+};
+
+// Paginated auth audit log; params: page, limit, type, role, search, sort, order
+export const fetchAuthLogs = async (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== "" && value !== "all")
+  );
+  return request(`/admin/logs?${query}`);
+};
+
+export const deleteAuthLog = async (id) => {
+  return request(`/admin/logs/${id}`, { method: "DELETE" });
+};
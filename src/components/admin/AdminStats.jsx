@@ -1,29 +1,34 @@
 import React, { useEffect, useState } from "react";
+import { fetchTasks, fetchUsers } from "../../api";
+import { useProjects } from "../../hooks/useProjects";
+import { useTaskEvents, applyTaskEvent } from "../../hooks/useTaskEvents";
 
 const AdminStats = () => {
   const [totalUsers, setTotalUsers] = useState(0);
-  const [totalTasks, setTotalTasks] = useState(0);
-  const [pendingTasks, setPendingTasks] = useState(0);
-  const [completedTasks, setCompletedTasks] = useState(0);
+  const [tasks, setTasks] = useState([]);
+  const { currentProjectId } = useProjects();
 
   // Fetch Users from API
   useEffect(() => {
-    fetch("https://zidio-task-management-backend.onrender.com/admin/users") // API URL
-      .then((res) => res.json())
+    fetchUsers()
       .then((data) => {
         setTotalUsers(data.length); // Count total users
       })
       .catch((err) => console.error("Error fetching users:", err));
   }, []);
 
-  // Fetch Tasks from Local Storage
+  // Fetch Tasks from API
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
+    fetchTasks({ project: currentProjectId })
+      .then(setTasks)
+      .catch((err) => console.error("Error fetching tasks:", err));
+  }, [currentProjectId]);
 
-    setTotalTasks(storedTasks.length);
-    setPendingTasks(storedTasks.filter((task) => task.progress < 100).length);
-    setCompletedTasks(storedTasks.filter((task) => task.progress === 100).length);
-  }, []);
+  // Counts follow task changes pushed by the server
+  useTaskEvents((event) => setTasks((current) => applyTaskEvent(current, event, currentProjectId)));
+
+  const totalTasks = tasks.length;
+  const completedTasks = tasks.filter((task) => task.progress === 100).length;
 
   return (
     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -1,4 +1,7 @@
 import React, { useState, useEffect } from "react";
+import { fetchTasks } from "../../api";
+import { useProjects } from "../../hooks/useProjects";
+import { useTaskEvents, applyTaskEvent } from "../../hooks/useTaskEvents";
 
 const statusStyles = {
   Pending: "bg-red-200 text-red-800 px-2 py-1 rounded",
@@ -7,25 +10,26 @@ const statusStyles = {
 
 const PendingTasks = () => {
   const [tasks, setTasks] = useState([]);
+  const { currentProjectId } = useProjects();
 
   useEffect(() => {
-    // Fetch tasks from localStorage
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    console.log("Stored Tasks:", storedTasks); // ✅ Debugging step
+    // Fetch tasks from the server; only the pending ones are listed
+    fetchTasks({ project: currentProjectId })
+      .then(setTasks)
+      .catch((err) => console.error("Error fetching tasks:", err));
+  }, [currentProjectId]);
 
-    // Filter tasks that are pending
-    const filteredTasks = storedTasks.filter((task) => task.progress < 100);
+  useTaskEvents((event) => setTasks((current) => applyTaskEvent(current, event, currentProjectId)));
 
-    setTasks(filteredTasks);
-  }, []);
+  const pendingTasks = tasks.filter((task) => task.progress < 100);
 
   return (
     <div className="bg-white p-4 shadow rounded-lg">
       <h3 className="text-xl font-semibold mb-2">Pending Tasks</h3>
       <ul>
-        {tasks.length > 0 ? (
-          tasks.map((task, index) => (
-            <li key={index} className="flex justify-between items-center border-b py-2">
+        {pendingTasks.length > 0 ? (
+          pendingTasks.map((task) => (
+            <li key={task.id} className="flex justify-between items-center border-b py-2">
               <span>{task.title}</span> {/* ✅ Removed Assigned Name */}
               <span className={statusStyles[task.status] || "bg-gray-200 text-gray-800 px-2 py-1 rounded"}>
                 {task.status || "Pending"}
@@ -1,75 +1,29 @@
 import React, { useState, useEffect } from "react";
 import { FaTrash, FaUser, FaClock, FaSignOutAlt, FaShieldAlt, FaNetworkWired } from "react-icons/fa";
+import { fetchAuthLogs, deleteAuthLog } from "../../api";
+
+const RECENT_LIMIT = 10;
 
 const RecentUsers = () => {
   const [userLogs, setUserLogs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
 
-  useEffect(() => {
-    const loadUserLogs = async () => {
-      try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Get user logs from localStorage
-        const storedLogs = localStorage.getItem('userLogs');
-        
-        if (storedLogs && storedLogs !== 'null' && storedLogs !== '[]') {
-          const parsedLogs = JSON.parse(storedLogs);
-          // Sort by login time (most recent first)
-          const sortedLogs = parsedLogs.sort((a, b) => new Date(b.loginTime) - new Date(a.loginTime));
-          setUserLogs(sortedLogs);
-        } else {
-          // Initialize with mock data if no logs exist
-          const mockLogs = [
-            {
-              id: '1',
-              userId: 'admin-123',
-              username: 'admin@example.com',
-              role: 'admin',
-              action: 'login',
-              loginTime: new Date(Date.now() - 3600000).toISOString(),
-              logoutTime: null,
-              ipAddress: '192.168.1.1',
-              tokenName: 'eyJhbGciOi...'
-            },
-            {
-              id: '2',
-              userId: 'user-456',
-              username: 'user@example.com',
-              role: 'user',
-              action: 'login',
-              loginTime: new Date(Date.now() - 7200000).toISOString(),
-              logoutTime: new Date(Date.now() - 3600000).toISOString(),
-              ipAddress: '192.168.1.2',
-              tokenName: 'eyJhbGciOi...'
-            },
-            {
-              id: '3',
-              userId: 'user-789',
-              username: 'test@example.com',
-              role: 'user',
-              action: 'login',
-              loginTime: new Date(Date.now() - 86400000).toISOString(),
-              logoutTime: new Date(Date.now() - 82800000).toISOString(),
-              ipAddress: '192.168.1.3',
-              tokenName: 'eyJhbGciOi...'
-            }
-          ];
-          
-          // Store mock logs in localStorage
-          localStorage.setItem('userLogs', JSON.stringify(mockLogs));
-          setUserLogs(mockLogs);
-        }
-        
-        setLoading(false);
-      } catch (err) {
-        console.error('Error loading user logs:', err);
-        setLoading(false);
-      }
-    };
+  /**
+   * Load the most recent audit log entries from the server
+   */
+  const loadUserLogs = async () => {
+    try {
+      const data = await fetchAuthLogs({ limit: RECENT_LIMIT });
+      setUserLogs(data.logs);
+    } catch (err) {
+      console.error('Error loading user logs:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
 
+  useEffect(() => {
     loadUserLogs();
   }, []);
 
@@ -95,21 +49,20 @@ const RecentUsers = () => {
    * 
    * @param {string} logId - ID of the log to delete
    */
-  const handleDelete = (logId) => {
+  const handleDelete = async (logId) => {
     // If not confirming, show confirmation first
     if (deleteConfirm !== logId) {
       setDeleteConfirm(logId);
       return;
     }
     
-    // User confirmed deletion
-    const updatedLogs = userLogs.filter(log => log.id !== logId);
-    
-    // Update state
-    setUserLogs(updatedLogs);
-    
-    // Update localStorage
-    localStorage.setItem('userLogs', JSON.stringify(updatedLogs));
+    // User confirmed deletion; reload so the list stays at the latest entries
+    try {
+      await deleteAuthLog(logId);
+      await loadUserLogs();
+    } catch (err) {
+      console.error('Error deleting log entry:', err);
+    }
     
     // Reset confirmation state
     setDeleteConfirm(null);
@@ -122,50 +75,6 @@ const RecentUsers = () => {
     setDeleteConfirm(null);
   };
 
-  /**
-   * Reset logs to mock data
-   */
-  const resetLogs = () => {
-    const mockLogs = [
-      {
-        id: '1',
-        userId: 'admin-123',
-        username: 'admin@example.com',
-        role: 'admin',
-        action: 'login',
-        loginTime: new Date(Date.now() - 3600000).toISOString(),
-        logoutTime: null,
-        ipAddress: '192.168.1.1',
-        tokenName: 'eyJhbGciOi...'
-      },
-      {
-        id: '2',
-        userId: 'user-456',
-        username: 'user@example.com',
-        role: 'user',
-        action: 'login',
-        loginTime: new Date(Date.now() - 7200000).toISOString(),
-        logoutTime: new Date(Date.now() - 3600000).toISOString(),
-        ipAddress: '192.168.1.2',
-        tokenName: 'eyJhbGciOi...'
-      },
-      {
-        id: '3',
-        userId: 'user-789',
-        username: 'test@example.com',
-        role: 'user',
-        action: 'login',
-        loginTime: new Date(Date.now() - 86400000).toISOString(),
-        logoutTime: new Date(Date.now() - 82800000).toISOString(),
-        ipAddress: '192.168.1.3',
-        tokenName: 'eyJhbGciOi...'
-      }
-    ];
-    
-    localStorage.setItem('userLogs', JSON.stringify(mockLogs));
-    setUserLogs(mockLogs);
-  };
-
   if (loading) {
     return (
       <div className="bg-white p-4 shadow rounded-lg">
@@ -180,20 +89,9 @@ const RecentUsers = () => {
 
   return (
     <div className="bg-white p-4 shadow rounded-lg">
-      <h3 className="text-xl font-semibold mb-4 flex items-center justify-between">
-        <div className="flex items-center">
-          <FaUser className="mr-2 text-blue-600" />
-          User Activity Logs
-        </div>
-        {userLogs.length === 0 && (
-          <button
-            onClick={resetLogs}
-            className="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition-colors"
-            title="Reset to mock data"
-          >
-            Reset Logs
-          </button>
-        )}
+      <h3 className="text-xl font-semibold mb-4 flex items-center">
+        <FaUser className="mr-2 text-blue-600" />
+        User Activity Logs
       </h3>
 
       <div className="overflow-x-auto">
@@ -203,7 +101,8 @@ const RecentUsers = () => {
             <tr className="bg-gray-100">
               <th className="p-2 text-left border border-gray-200 text-sm font-medium">User</th>
               <th className="p-2 text-left border border-gray-200 text-sm font-medium">Role</th>
-              <th className="p-2 text-left border border-gray-200 text-sm font-medium">Login Time</th>
+              <th className="p-2 text-left border border-gray-200 text-sm font-medium">Event</th>
+              <th className="p-2 text-left border border-gray-200 text-sm font-medium">Time</th>
               <th className="p-2 text-left border border-gray-200 text-sm font-medium">Logout Time</th>
               <th className="p-2 text-left border border-gray-200 text-sm font-medium">IP Address</th>
               <th className="p-2 text-left border border-gray-200 text-sm font-medium">Token</th>
@@ -215,7 +114,7 @@ const RecentUsers = () => {
           <tbody>
             {userLogs.length === 0 ? (
               <tr>
-                <td colSpan="7" className="p-4 text-center text-gray-500 border border-gray-200">
+                <td colSpan="8" className="p-4 text-center text-gray-500 border border-gray-200">
                   No user activity logs found
                 </td>
               </tr>
@@ -226,8 +125,8 @@ const RecentUsers = () => {
                     <div className="flex items-center">
                       <FaUser className="text-gray-400 mr-2" />
                       <div>
-                        <div className="font-medium text-gray-900">{log.username}</div>
-                        <div className="text-xs text-gray-500">{log.userId}</div>
+                        <div className="font-medium text-gray-900">{log.email}</div>
+                        <div className="text-xs text-gray-500">{log.user}</div>
                       </div>
                     </div>
                   </td>
@@ -241,27 +140,30 @@ const RecentUsers = () => {
                       {log.role}
                     </span>
                   </td>
+                  <td className="p-2 border border-gray-200 text-sm">
+                    {log.type}
+                  </td>
                   <td className="p-2 border border-gray-200 text-sm">
                     <div className="flex items-center">
                       <FaClock className="text-green-500 mr-1" />
-                      {formatDate(log.loginTime)}
+                      {formatDate(log.createdAt)}
                     </div>
                   </td>
                   <td className="p-2 border border-gray-200 text-sm">
                     <div className="flex items-center">
                       <FaSignOutAlt className="text-red-500 mr-1" />
-                      {formatDate(log.logoutTime)}
+                      {'logoutAt' in log ? formatDate(log.logoutAt) : '—'}
                     </div>
                   </td>
                   <td className="p-2 border border-gray-200 text-sm">
                     <div className="flex items-center">
                       <FaNetworkWired className="text-gray-500 mr-1" />
-                      {log.ipAddress}
+                      {log.ip || 'N/A'}
                     </div>
                   </td>
                   <td className="p-2 border border-gray-200 text-sm">
                     <code className="text-xs bg-gray-100 px-1 py-0.5 rounded">
-                      {log.tokenName}
+                      {log.jti ? `${log.jti.slice(0, 8)}...` : 'N/A'}
                     </code>
                   </td>
                   <td className="p-2 border border-gray-200 text-center">
@@ -301,7 +203,7 @@ const RecentUsers = () => {
       
       {userLogs.length > 0 && (
         <div className="mt-3 text-xs text-gray-500 text-center">
-          Showing {userLogs.length} user activity logs
+          Showing the {userLogs.length} most recent user activity logs
         </div>
       )}
     </div>
@@ -1,21 +1,46 @@
 import React from "react";
 import { Link, useLocation } from "react-router-dom";
-import { FaChartPie, FaUsers, FaTasks, FaCog } from "react-icons/fa";
+import {
+  FaChartPie,
+  FaChartBar,
+  FaUsers,
+  FaUserFriends,
+  FaTasks,
+  FaTags,
+  FaFolderOpen,
+  FaCog,
+} from "react-icons/fa";
+import ProjectSwitcher from "../common/ProjectSwitcher";
+import { useAuth } from "../../contexts/AuthContext";
 
 const Sidebar = () => {
   const location = useLocation();
+  const { isAdmin } = useAuth();
 
-  // Sidebar menu items with icons
-  const menuItems = [
-    { path: "/admin/dashboard", label: "Dashboard", icon: <FaChartPie /> },
-    { path: "/admin/manage-users", label: "Manage Users", icon: <FaUsers /> },
-    { path: "/admin/manage-tasks", label: "Manage Tasks", icon: <FaTasks /> },
-    { path: "/admin/settings", label: "Settings", icon: <FaCog /> },
-  ];
+  // Sidebar menu items with icons; team leads only get the pages scoped to their teams
+  const menuItems = isAdmin()
+    ? [
+        { path: "/admin/dashboard", label: "Dashboard", icon: <FaChartPie /> },
+        { path: "/admin/manage-users", label: "Manage Users", icon: <FaUsers /> },
+        { path: "/admin/manage-teams", label: "Manage Teams", icon: <FaUserFriends /> },
+        { path: "/admin/manage-tasks", label: "Manage Tasks", icon: <FaTasks /> },
+        { path: "/admin/manage-projects", label: "Manage Projects", icon: <FaFolderOpen /> },
+        { path: "/admin/manage-labels", label: "Manage Labels", icon: <FaTags /> },
+        { path: "/admin/settings", label: "Settings", icon: <FaCog /> },
+      ]
+    : [
+        { path: "/user/dashboard", label: "My Dashboard", icon: <FaChartBar /> },
+        { path: "/admin/manage-users", label: "Team Members", icon: <FaUsers /> },
+        { path: "/admin/manage-tasks", label: "Team Tasks", icon: <FaTasks /> },
+      ];
 
   return (
     <div className="w-64 min-h-screen p-6 bg-gray-900 text-white glassmorphism border-r border-gray-700">
-      <h2 className="text-2xl font-extrabold text-center text-gray-100 tracking-wide mb-6">⚙️ Admin Panel</h2>
+      <h2 className="text-2xl font-extrabold text-center text-gray-100 tracking-wide mb-6">
+        {isAdmin() ? "⚙️ Admin Panel" : "👥 Team Panel"}
+      </h2>
+
+      <ProjectSwitcher />
 
       <ul className="space-y-3">
         {menuItems.map(({ path, label, icon }) => (
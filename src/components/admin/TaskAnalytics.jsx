@@ -1,31 +1,33 @@
 import React, { useEffect, useState } from "react";
 import { Bar } from "react-chartjs-2";
 import "chart.js/auto";
+import { fetchTasks } from "../../api";
+import { useProjects } from "../../hooks/useProjects";
+import { useWorkflow } from "../../hooks/useWorkflow";
+import { useTaskEvents, applyTaskEvent } from "../../hooks/useTaskEvents";
+import { stateColors } from "../../utils/workflowColors";
 
 const TaskAnalytics = () => {
-  const [taskStats, setTaskStats] = useState({
-    todo: 0,
-    inProgress: 0,
-    completed: 0,
-  });
+  const [tasks, setTasks] = useState([]);
+  const { states } = useWorkflow();
+  const { currentProjectId } = useProjects();
 
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    const updatedStats = {
-      todo: storedTasks.filter((task) => task.progress <= 40).length,
-      inProgress: storedTasks.filter((task) => task.progress > 40 && task.progress <= 80).length,
-      completed: storedTasks.filter((task) => task.progress > 80).length,
-    };
-    setTaskStats(updatedStats);
-  }, []);
+    fetchTasks({ project: currentProjectId })
+      .then(setTasks)
+      .catch((err) => console.error("Error fetching tasks:", err));
+  }, [currentProjectId]);
 
+  useTaskEvents((event) => setTasks((current) => applyTaskEvent(current, event, currentProjectId)));
+
+  // One bar per workflow state, in board order
   const chartData = {
-    labels: ["To Do", "In Progress", "Completed"],
+    labels: states.map((state) => state.name),
     datasets: [
       {
         label: "Number of Tasks",
-        data: [taskStats.todo, taskStats.inProgress, taskStats.completed],
-        backgroundColor: ["#FF6384", "#FFCE56", "#36A2EB"],
+        data: states.map((state) => tasks.filter((task) => task.status === state.name).length),
+        backgroundColor: stateColors(states),
       },
     ],
   };
@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from "react";
+import { FaCheck, FaTimes, FaClipboardCheck } from "react-icons/fa";
+import { toast } from "react-toastify";
+import { fetchReviewQueue, reviewTask } from "../../api";
+import { toDateInputValue } from "../../utils/dateFormatter";
+import { useTaskEvents, applyTaskEvent } from "../../hooks/useTaskEvents";
+
+const displayName = (user) => (user ? user.fullName || user.email : "Unknown");
+
+// Latest "submitted" entry, which carries the submitter and their note
+const lastSubmission = (task) => [...task.history].reverse().find((entry) => entry.action === "submitted");
+
+/**
+ * Admin queue of tasks submitted for review. Approving completes the task;
+ * rejecting requires a reason and sends it back to the submitter. Errors are
+ * shown as toasts, so the page needs a ToastContainer.
+ *
+ * @param {string|null} [projectId] - Only list tasks in this project
+ * @param {Function} [includesOwner] - Called with an owner id; only their tasks are listed when it returns true
+ * @param {Function} [onReviewed] - Called with the updated task after a decision
+ */
+const TaskVerification = ({ projectId = null, includesOwner = () => true, onReviewed }) => {
+  const [queue, setQueue] = useState([]);
+  const [comments, setComments] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchReviewQueue({ project: projectId })
+      .then(setQueue)
+      .catch((error) => toast.error(`Failed to load the review queue: ${error.message}`))
+      .finally(() => setLoading(false));
+  }, [projectId]);
+
+  // Submissions come in and tasks reviewed or completed elsewhere leave the queue as it happens
+  useTaskEvents((event) =>
+    setQueue((current) =>
+      event.task && event.task.reviewStatus !== "pending"
+        ? current.filter((queued) => queued.id !== event.id)
+        : applyTaskEvent(current, event, projectId)
+    )
+  );
+
+  const shown = queue.filter((task) => includesOwner(task.owner?._id));
+
+  const decide = async (task, decision) => {
+    const comment = (comments[task.id] || "").trim();
+    if (decision === "reject" && !comment) {
+      toast.error("Please add a reason before rejecting the task.");
+      return;
+    }
+
+    try {
+      const updated = await reviewTask(task.id, decision, comment);
+      setQueue((current) => current.filter((queued) => queued.id !== task.id));
+      if (onReviewed) onReviewed(updated);
+    } catch (error) {
+      toast.error(`Failed to review task: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 shadow rounded-lg mb-4">
+      <h2 className="text-lg font-semibold mb-2 flex items-center">
+        <FaClipboardCheck className="mr-2 text-blue-600" />
+        Verification Queue
+        <span className="ml-2 text-sm font-normal text-gray-500">({shown.length})</span>
+      </h2>
+
+      {loading ? (
+        <p className="text-gray-500">Loading tasks awaiting review...</p>
+      ) : shown.length === 0 ? (
+        <p className="text-gray-500">No tasks are waiting for review.</p>
+      ) : (
+        <ul className="divide-y">
+          {shown.map((task) => {
+            const submission = lastSubmission(task);
+            return (
+              <li key={task.id} className="py-3">
+                <div className="flex flex-wrap justify-between gap-2">
+                  <div>
+                    <p className="font-semibold">{task.title}</p>
+                    <p className="text-sm text-gray-600">{task.description}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Submitted by {displayName(submission && submission.by)}
+                      {submission && ` on ${new Date(submission.createdAt).toLocaleString()}`} · Status: {task.status}
+                      {task.deadline && ` · Deadline: ${toDateInputValue(task.deadline)}`}
+                    </p>
+                    {submission && submission.comment && (
+                      <p className="text-sm text-gray-700 mt-1 italic">&ldquo;{submission.comment}&rdquo;</p>
+                    )}
+                  </div>
+                  <div className="flex items-start gap-2">
+                    <button
+                      className="flex items-center bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
+                      onClick={() => decide(task, "approve")}
+                    >
+                      <FaCheck className="mr-1" /> Approve
+                    </button>
+                    <button
+                      className="flex items-center bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600"
+                      onClick={() => decide(task, "reject")}
+                    >
+                      <FaTimes className="mr-1" /> Reject
+                    </button>
+                  </div>
+                </div>
+                <textarea
+                  className="mt-2 w-full p-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-400 focus:outline-none"
+                  rows="2"
+                  placeholder="Review comment (required when rejecting)"
+                  value={comments[task.id] || ""}
+                  onChange={(e) => setComments({ ...comments, [task.id]: e.target.value })}
+                />
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TaskVerification;
@@ -0,0 +1,27 @@
+import React from "react";
+import { FaUserFriends } from "react-icons/fa";
+
+/**
+ * Select narrowing an admin list to one team.
+ *
+ * @param {Array} teams - Teams to offer
+ * @param {string} value - Selected team id, "" for all
+ * @param {Function} onChange - Called with the new team id
+ * @param {string} allLabel - Label of the "" option
+ */
+const TeamFilter = ({ teams, value, onChange, allLabel = "All teams" }) => (
+  <label className="inline-flex items-center gap-2 mb-4 text-sm text-gray-700">
+    <FaUserFriends aria-hidden="true" />
+    <span className="sr-only">Team</span>
+    <select className="border p-2 rounded bg-white" value={value} onChange={(e) => onChange(e.target.value)}>
+      <option value="">{allLabel}</option>
+      {teams.map((team) => (
+        <option key={team._id} value={team._id}>
+          {team.name}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+export default TeamFilter;
@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from "react";
+import { FaClock } from "react-icons/fa";
+import { fetchTimeReport } from "../../api";
+import { formatDuration, toDateInputValue } from "../../utils/dateFormatter";
+
+// Default range: the last 30 days
+const defaultRange = () => {
+  const from = new Date();
+  from.setDate(from.getDate() - 30);
+  return { from: toDateInputValue(from), to: "" };
+};
+
+// Groups report rows ({ user, task, seconds, entries }) under each user with a total
+const groupByUser = (rows) =>
+  rows.reduce((groups, row) => {
+    const key = row.user?._id || "deleted";
+    const group = groups.find((existing) => existing.key === key);
+    if (group) {
+      group.rows.push(row);
+      group.seconds += row.seconds;
+    } else {
+      groups.push({ key, user: row.user, rows: [row], seconds: row.seconds });
+    }
+    return groups;
+  }, []);
+
+/**
+ * Admin report of tracked time per user and task for a date range.
+ */
+const TimeReport = () => {
+  const [range, setRange] = useState(defaultRange);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    // Dates are local days; the end date is inclusive
+    const from = range.from ? new Date(`${range.from}T00:00:00`).toISOString() : undefined;
+    const to = range.to ? new Date(`${range.to}T23:59:59.999`).toISOString() : undefined;
+    fetchTimeReport({ from, to })
+      .then(setRows)
+      .catch((err) => console.error("Error loading time report:", err))
+      .finally(() => setLoading(false));
+  }, [range]);
+
+  const groups = groupByUser(rows);
+
+  return (
+    <div className="bg-white p-4 shadow rounded-lg">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-xl font-semibold flex items-center">
+          <FaClock className="mr-2 text-blue-600" />
+          Time Report
+        </h3>
+        <div className="flex items-center gap-2 text-sm">
+          <label>
+            From{" "}
+            <input
+              type="date"
+              className="p-1 border rounded"
+              value={range.from}
+              onChange={(e) => setRange({ ...range, from: e.target.value })}
+            />
+          </label>
+          <label>
+            To{" "}
+            <input
+              type="date"
+              className="p-1 border rounded"
+              value={range.to}
+              onChange={(e) => setRange({ ...range, to: e.target.value })}
+            />
+          </label>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading time report...</p>
+      ) : groups.length === 0 ? (
+        <p className="text-gray-500">No time tracked in this period</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse border border-gray-200 text-sm">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="p-2 text-left border border-gray-200 font-medium">User</th>
+                <th className="p-2 text-left border border-gray-200 font-medium">Task</th>
+                <th className="p-2 text-right border border-gray-200 font-medium">Entries</th>
+                <th className="p-2 text-right border border-gray-200 font-medium">Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map((group) => (
+                <React.Fragment key={group.key}>
+                  {group.rows.map((row, index) => (
+                    <tr key={row.task?._id || index} className="hover:bg-gray-50">
+                      <td className="p-2 border border-gray-200">
+                        {index === 0 && (group.user ? group.user.fullName || group.user.email : "Deleted user")}
+                      </td>
+                      <td className="p-2 border border-gray-200">{row.task?.title || "Deleted task"}</td>
+                      <td className="p-2 border border-gray-200 text-right">{row.entries}</td>
+                      <td className="p-2 border border-gray-200 text-right">{formatDuration(row.seconds)}</td>
+                    </tr>
+                  ))}
+                  <tr className="bg-gray-50 font-semibold">
+                    <td className="p-2 border border-gray-200" colSpan="3">Total</td>
+                    <td className="p-2 border border-gray-200 text-right">{formatDuration(group.seconds)}</td>
+                  </tr>
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimeReport;
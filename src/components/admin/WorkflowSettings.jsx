@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from "react";
+import { FaArrowUp, FaArrowDown, FaTrash, FaPlus } from "react-icons/fa";
+import { fetchWorkflow, updateWorkflow } from "../../api";
+
+// Admin editor for the ordered workflow states that make up the Kanban board
+const WorkflowSettings = () => {
+  const [states, setStates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchWorkflow()
+      .then((workflow) => setStates(workflow.states))
+      .catch((err) => console.error("Error fetching workflow:", err))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const updateState = (index, changes) => {
+    setStates(states.map((state, i) => (i === index ? { ...state, ...changes } : state)));
+  };
+
+  const moveState = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= states.length) return;
+
+    const reordered = [...states];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setStates(reordered);
+  };
+
+  const addState = () => {
+    setStates([...states, { name: "", wipLimit: null, done: false }]);
+  };
+
+  const removeState = (index) => {
+    setStates(states.filter((_, i) => i !== index));
+  };
+
+  const saveWorkflow = async () => {
+    setSaving(true);
+    try {
+      const workflow = await updateWorkflow(
+        states.map(({ _id, name, wipLimit, done }) => ({ _id, name: name.trim(), wipLimit, done }))
+      );
+      setStates(workflow.states);
+      alert("Workflow updated successfully!");
+    } catch (err) {
+      alert(`Failed to update workflow: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-gray-600">Loading workflow...</p>;
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-4">
+        States appear as board columns in this order. Leave the WIP limit empty for no limit, and tick
+        &quot;Done&quot; for states that count as completed work.
+      </p>
+
+      <table className="w-full border-collapse">
+        <thead>
+          <tr className="bg-gray-200 text-left text-sm">
+            <th className="p-2">Order</th>
+            <th className="p-2">Name</th>
+            <th className="p-2">WIP Limit</th>
+            <th className="p-2">Done</th>
+            <th className="p-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {states.map((state, index) => (
+            <tr key={state._id || `new-${index}`} className="border-b">
+              <td className="p-2 whitespace-nowrap">
+                <button
+                  className="p-1 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                  onClick={() => moveState(index, -1)}
+                  disabled={index === 0}
+                  aria-label={`Move ${state.name} up`}
+                >
+                  <FaArrowUp />
+                </button>
+                <button
+                  className="p-1 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                  onClick={() => moveState(index, 1)}
+                  disabled={index === states.length - 1}
+                  aria-label={`Move ${state.name} down`}
+                >
+                  <FaArrowDown />
+                </button>
+              </td>
+              <td className="p-2">
+                <input
+                  type="text"
+                  value={state.name}
+                  onChange={(e) => updateState(index, { name: e.target.value })}
+                  placeholder="State name"
+                  className="w-full px-3 py-1 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+                />
+              </td>
+              <td className="p-2">
+                <input
+                  type="number"
+                  min="1"
+                  value={state.wipLimit || ""}
+                  onChange={(e) => updateState(index, { wipLimit: e.target.value ? Number(e.target.value) : null })}
+                  className="w-24 px-3 py-1 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+                />
+              </td>
+              <td className="p-2">
+                <input
+                  type="checkbox"
+                  checked={state.done}
+                  onChange={(e) => updateState(index, { done: e.target.checked })}
+                  aria-label={`${state.name} counts as done`}
+                />
+              </td>
+              <td className="p-2 text-right">
+                <button
+                  className="text-red-500 hover:text-red-700"
+                  onClick={() => removeState(index)}
+                  aria-label={`Remove ${state.name}`}
+                >
+                  <FaTrash />
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="mt-4 flex gap-4">
+        <button
+          onClick={addState}
+          className="flex items-center px-4 py-2 border border-blue-500 text-blue-600 rounded-lg hover:bg-blue-50 transition"
+        >
+          <FaPlus className="mr-2" /> Add State
+        </button>
+        <button
+          onClick={saveWorkflow}
+          disabled={saving}
+          className="flex-1 bg-blue-500 text-white py-2 rounded-lg hover:bg-blue-600 transition disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Workflow"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WorkflowSettings;
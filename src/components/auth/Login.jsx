@@ -2,18 +2,18 @@
  * Login Component
  * 
  * A comprehensive authentication component that handles user login with proper
- * validation, error handling, and state management. Implements localStorage-based
- * authentication for persistent user sessions across browser refreshes.
+ * validation, error handling, and state management. Authenticates against the
+ * server's /api/auth/login endpoint, which returns a signed JWT.
  * 
  * Features:
- * - Supports both default and custom user accounts
+ * - Verifies credentials on the server (bcrypt-hashed passwords)
  * - Persists authentication state across browser sessions
  * - Provides clear error feedback and loading states
  * - Implements role-based redirection
- * - Logs authentication events for admin tracking
+ * - Login events are recorded in the server's audit log for admin tracking
  * 
  * @author Senior Full-Stack Engineer
- * @version 2.0.0
+ * @version 2.2.0
  */
 
 import React, { useState, useEffect } from "react";
@@ -34,7 +34,8 @@ const Login = () => {
   const location = useLocation();
   
   // Extract role from location state or URL query params or default to user
-  const role = location.state?.role || new URLSearchParams(location.search).get('role') || "user";
+  const requestedRole = location.state?.role || new URLSearchParams(location.search).get('role');
+  const role = requestedRole || "user";
   const from = location.state?.from || "/";
 
   /**
@@ -51,7 +52,7 @@ const Login = () => {
 
   /**
    * Handles form submission and authentication
-   * Implements localStorage-based authentication with support for custom users
+   * Credentials are checked by the server; a rejected login surfaces its message
    * 
    * @param {Event} e - The form submission event
    */
@@ -69,59 +70,14 @@ const Login = () => {
     setLoading(true);
     
     try {
-      // Simulate network latency for realistic UX
-      await new Promise(resolve => setTimeout(resolve, 800));
+      // Only enforce the portal's role when one was explicitly requested
+      const user = await login(email, password, requestedRole);
       
-      // Get stored users from localStorage or initialize with default users
-      const storedUsers = JSON.parse(localStorage.getItem('users') || JSON.stringify([
-        { email: 'admin@example.com', password: 'password123', role: 'admin', userId: 'admin-123' },
-        { email: 'user@example.com', password: 'password123', role: 'user', userId: 'user-456' },
-        { email: 'resetpassmail07@gmail.com', password: 'password123', role: 'admin', userId: 'admin-env' }
-      ]));
-      
-      // Find matching user
-      const user = storedUsers.find(u => u.email === email && u.password === password);
-      
-      if (user) {
-        // User found, proceed with login
-        const mockToken = `mock-token-${Date.now()}`;
-        
-        // Store authentication data in localStorage for persistence
-        localStorage.setItem("token", mockToken);
-        localStorage.setItem("userRole", user.role);
-        localStorage.setItem("userId", user.userId);
-        localStorage.setItem("email", email);
-        
-        // Create log entry for admin tracking
-        const logData = {
-          userId: user.userId,
-          username: email,
-          role: user.role,
-          action: "login",
-          loginTime: new Date().toISOString(),
-          ipAddress: "127.0.0.1", // In production, this would be captured from the request
-          tokenName: mockToken.substring(0, 10) + "..." // Truncated for security
-        };
-        
-        // Store login logs in localStorage for admin view
-        const existingLogs = JSON.parse(localStorage.getItem('userLogs') || '[]');
-        existingLogs.push(logData);
-        localStorage.setItem('userLogs', JSON.stringify(existingLogs));
-        
-        console.log("User login:", logData);
-        
-        // Update authentication context
-        login(email);
-        
-        // Navigate to appropriate dashboard or requested page
-        navigate(from !== "/" ? from : (user.role === "admin" ? "/admin/dashboard" : "/user/dashboard"));
-      } else {
-        // Invalid credentials
-        setError("Invalid email or password");
-      }
+      // Navigate to appropriate dashboard or requested page
+      navigate(from !== "/" ? from : (user.role === "admin" ? "/admin/dashboard" : "/user/dashboard"));
     } catch (err) {
       console.error("Login error:", err);
-      setError("An unexpected error occurred. Please try again.");
+      setError(err.message || "An unexpected error occurred. Please try again.");
     } finally {
       setLoading(false);
     }
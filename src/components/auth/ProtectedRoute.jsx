@@ -25,10 +25,11 @@ import { useAuth } from "../../contexts/AuthContext";
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render when authenticated
  * @param {string} [props.requiredRole] - Optional role required to access the route
+ * @param {boolean} [props.allowTeamLeads] - Also let team leads in when a role is required
  * @returns {React.ReactElement} Protected route component
  */
-const ProtectedRoute = ({ children, requiredRole }) => {
-  const { user, hasRole } = useAuth();
+const ProtectedRoute = ({ children, requiredRole, allowTeamLeads = false }) => {
+  const { user, hasRole, isTeamLead } = useAuth();
   const location = useLocation();
   
   /**
@@ -59,7 +60,7 @@ const ProtectedRoute = ({ children, requiredRole }) => {
     const userRole = localStorage.getItem("userRole");
     const hasRequiredRole = hasRole ? hasRole(requiredRole) : userRole === requiredRole;
     
-    if (!hasRequiredRole) {
+    if (!hasRequiredRole && !(allowTeamLeads && isTeamLead())) {
       console.log(`Role ${requiredRole} required for: ${location.pathname}`);
       
       // Redirect to appropriate dashboard based on user's role
@@ -2,18 +2,18 @@
  * Signup Component
  * 
  * A comprehensive user registration component with validation, error handling,
- * and localStorage-based user management. Supports creating both admin and regular
- * user accounts with persistent storage across browser sessions.
+ * and server-side account creation through /api/auth/register. New accounts are
+ * always regular users; an existing admin grants the admin role.
  * 
  * Features:
  * - Form validation with clear error feedback
  * - Password strength and matching validation
- * - Role-based account creation
- * - Persistent user storage in localStorage
+ * - Sends visitors from the admin portal on to the admin login
+ * - Accounts stored on the server with hashed passwords
  * - Automatic login after successful registration
  * 
  * @author Senior Full-Stack Engineer
- * @version 2.0.0
+ * @version 2.2.0
  */
 
 import React, { useState, useEffect } from "react";
@@ -42,7 +42,7 @@ const Signup = () => {
   const navigate = useNavigate();
   const location = useLocation();
   
-  // Extract role from location state or URL query params or default to user
+  // Portal the visitor came from; new accounts are always users, so it only picks the login page they return to
   const role = location.state?.role || new URLSearchParams(location.search).get('role') || "user";
 
   /**
@@ -118,7 +118,7 @@ const Signup = () => {
 
   /**
    * Handles form submission and user registration
-   * Implements localStorage-based user management
+   * The server rejects duplicate emails and returns a session for the new account
    * 
    * @param {Event} e - Form submission event
    */
@@ -161,72 +161,18 @@ const Signup = () => {
     setLoading(true);
     
     try {
-      // Simulate network latency for realistic UX
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      // Get existing users from localStorage or initialize with default users
-      const storedUsers = JSON.parse(localStorage.getItem('users') || JSON.stringify([
-        { email: 'admin@example.com', password: 'password123', role: 'admin', userId: 'admin-123' },
-        { email: 'user@example.com', password: 'password123', role: 'user', userId: 'user-456' }
-      ]));
-      
-      // Check if email already exists
-      if (storedUsers.some(user => user.email === formData.email)) {
-        setError("Email already in use");
-        setLoading(false);
-        return;
-      }
-      
-      // Create new user object
-      const newUser = {
-        email: formData.email,
-        password: formData.password,
-        role: role,
-        userId: `user-${Date.now()}`,
+      // Create the account and log straight into it
+      const newUser = await signup({
         fullName: formData.fullName,
-        createdAt: new Date().toISOString()
-      };
-      
-      // Add to stored users
-      storedUsers.push(newUser);
-      localStorage.setItem('users', JSON.stringify(storedUsers));
-      
-      // Generate authentication token
-      const mockToken = `mock-token-${Date.now()}`;
-      
-      // Store authentication data for automatic login
-      localStorage.setItem("token", mockToken);
-      localStorage.setItem("userRole", newUser.role);
-      localStorage.setItem("userId", newUser.userId);
-      localStorage.setItem("email", newUser.email);
-      
-      // Create log entry for admin tracking
-      const logData = {
-        userId: newUser.userId,
-        username: newUser.email,
-        fullName: newUser.fullName,
-        role: newUser.role,
-        action: "register",
-        loginTime: new Date().toISOString(),
-        ipAddress: "127.0.0.1", // In production, this would be captured from the request
-        tokenName: mockToken.substring(0, 10) + "..." // Truncated for security
-      };
-      
-      // Store registration log
-      const existingLogs = JSON.parse(localStorage.getItem('userLogs') || '[]');
-      existingLogs.push(logData);
-      localStorage.setItem('userLogs', JSON.stringify(existingLogs));
-      
-      console.log("User registration:", logData);
-      
-      // Call the context signup method
-      signup(formData.email, formData.password);
+        email: formData.email,
+        password: formData.password
+      });
       
       // Navigate to the appropriate dashboard
       navigate(newUser.role === "admin" ? "/admin/dashboard" : "/user/dashboard");
     } catch (err) {
       console.error("Registration error:", err);
-      setError("Failed to create an account. Please try again.");
+      setError(err.message || "Failed to create an account. Please try again.");
     } finally {
       setLoading(false);
     }
@@ -237,8 +183,13 @@ const Signup = () => {
       <div className="bg-white shadow-lg rounded-xl p-8 w-full max-w-md transform transition duration-300 hover:scale-105">
         {/* Header */}
         <h2 className="text-3xl font-bold text-center text-gray-800 mb-6">
-          {role === "admin" ? "Admin Registration" : "User Registration"}
+          User Registration
         </h2>
+        {role === "admin" && (
+          <p className="text-center text-sm text-gray-600 -mt-4 mb-6">
+            New accounts start as users. Ask an existing administrator to grant you admin access.
+          </p>
+        )}
 
         {/* Error display with animation */}
         {error && (
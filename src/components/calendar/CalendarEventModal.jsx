@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from "react";
+import Modal from "../common/Modal";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// Local "YYYY-MM-DD" and "YYYY-MM-DDTHH:MM" values for date and datetime-local inputs
+const toDateValue = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const toDateTimeValue = (date) => `${toDateValue(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// All-day events end at midnight after their last day; the form shows that last day instead
+const toForm = ({ title = "", start, end, allDay = false, notes = "" }) => ({
+  title,
+  allDay,
+  notes,
+  start: allDay ? toDateValue(start) : toDateTimeValue(start),
+  end: allDay ? toDateValue(new Date(Math.max(end - DAY_MS, start))) : toDateTimeValue(end),
+});
+
+const fromForm = ({ title, allDay, notes, start, end }) => {
+  if (!allDay) return { title: title.trim(), allDay, notes, start: new Date(start), end: new Date(end) };
+
+  const lastDay = new Date(`${end}T00:00`);
+  lastDay.setDate(lastDay.getDate() + 1);
+  return { title: title.trim(), allDay, notes, start: new Date(`${start}T00:00`), end: lastDay };
+};
+
+/**
+ * Form for creating or editing a personal calendar event.
+ *
+ * @param {Object|null} event - { id?, title, start, end, allDay, notes } to edit, or
+ *   a new event's prefilled times; the modal is closed while null
+ * @param {Function} onSave - Called with { title, start, end, allDay, notes }; may return a promise
+ * @param {Function} [onDelete] - Shown for existing events
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const CalendarEventModal = ({ event, onSave, onDelete, onClose }) => {
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(event ? toForm(event) : null);
+    setError(null);
+  }, [event]);
+
+  const update = (changes) => setForm({ ...form, ...changes });
+
+  // Switching all-day on or off keeps the same days and converts the inputs' format
+  const toggleAllDay = (allDay) => {
+    const values = fromForm(form);
+    update(toForm({ ...form, ...values, allDay, end: allDay ? new Date(values.end.getTime() + DAY_MS) : values.end }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const values = fromForm(form);
+    if (!values.title) return setError("Give the event a title");
+    if (Number.isNaN(values.start.getTime()) || Number.isNaN(values.end.getTime())) return setError("Pick a start and an end");
+    if (values.end < values.start) return setError("The event can't end before it starts");
+
+    setSaving(true);
+    try {
+      await onSave(values);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setSaving(true);
+    try {
+      await onDelete();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = "w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none";
+
+  return (
+    <Modal isOpen={Boolean(event && form)} onClose={onClose} title={event?.id ? "Edit Event" : "New Event"}>
+      {form && (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && <p className="text-red-600">{error}</p>}
+
+          <div>
+            <label htmlFor="event-title" className="block text-sm font-medium text-gray-700">Title</label>
+            <input
+              id="event-title"
+              type="text"
+              className={inputClass}
+              value={form.title}
+              onChange={(e) => update({ title: e.target.value })}
+              autoFocus
+            />
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={form.allDay} onChange={(e) => toggleAllDay(e.target.checked)} />
+            All day
+          </label>
+
+          <div className="flex gap-4">
+            <div className="w-1/2">
+              <label htmlFor="event-start" className="block text-sm font-medium text-gray-700">Starts</label>
+              <input
+                id="event-start"
+                type={form.allDay ? "date" : "datetime-local"}
+                className={inputClass}
+                value={form.start}
+                onChange={(e) => update({ start: e.target.value })}
+              />
+            </div>
+            <div className="w-1/2">
+              <label htmlFor="event-end" className="block text-sm font-medium text-gray-700">Ends</label>
+              <input
+                id="event-end"
+                type={form.allDay ? "date" : "datetime-local"}
+                className={inputClass}
+                value={form.end}
+                onChange={(e) => update({ end: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="event-notes" className="block text-sm font-medium text-gray-700">Notes</label>
+            <textarea
+              id="event-notes"
+              rows={4}
+              className={inputClass}
+              value={form.notes}
+              onChange={(e) => update({ notes: e.target.value })}
+            />
+          </div>
+
+          <div className="flex justify-between">
+            {event.id && onDelete ? (
+              <button
+                type="button"
+                onClick={handleDelete}
+                disabled={saving}
+                className="px-4 py-2 text-red-600 hover:text-red-800 disabled:opacity-50"
+              >
+                Delete
+              </button>
+            ) : (
+              <span />
+            )}
+            <div className="flex gap-2">
+              <button type="button" onClick={onClose} className="px-4 py-2 rounded-lg border border-gray-300">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+};
+
+export default CalendarEventModal;
@@ -0,0 +1,95 @@
+import React, { useState } from "react";
+import { FaCopy, FaLink, FaSyncAlt } from "react-icons/fa";
+import { fetchCalendarFeedUrl, regenerateCalendarFeedUrl } from "../../api";
+
+/**
+ * The user's .ics subscription URL for external calendar apps, with buttons
+ * to copy it and to replace it when it has been shared by mistake.
+ */
+const CalendarFeedLink = () => {
+  const [url, setUrl] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [confirming, setConfirming] = useState(false);
+
+  // The URL is only fetched once asked for, which also creates it on first use
+  const showUrl = async () => {
+    try {
+      setUrl((await fetchCalendarFeedUrl()).url);
+      setStatus(null);
+    } catch (err) {
+      setStatus(`Failed to load the feed URL: ${err.message}`);
+    }
+  };
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus("Copied! Add it to your calendar app as a subscription.");
+    } catch {
+      setStatus("Copy failed; select the URL and copy it by hand.");
+    }
+  };
+
+  const regenerate = async () => {
+    setConfirming(false);
+    try {
+      setUrl((await regenerateCalendarFeedUrl()).url);
+      setStatus("New URL created. Calendars subscribed to the old one will stop updating.");
+    } catch (err) {
+      setStatus(`Failed to regenerate the feed URL: ${err.message}`);
+    }
+  };
+
+  if (!url) {
+    return (
+      <div className="mb-4 flex flex-col items-end">
+        <button onClick={showUrl} className="flex items-center gap-2 text-sm text-blue-600 hover:text-blue-800">
+          <FaLink /> Subscribe in your calendar app
+        </button>
+        {status && <p className="text-sm text-red-600 mt-1">{status}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-4 p-3 border rounded-lg bg-gray-50 text-sm">
+      <p className="text-gray-700 mb-2">
+        Your task deadlines and personal events as an iCalendar feed. Anyone with this URL can read them.
+      </p>
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          readOnly
+          value={url}
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 px-2 py-1 border rounded bg-white text-gray-700"
+          aria-label="Calendar feed URL"
+        />
+        <button onClick={copyUrl} className="flex items-center gap-1 px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700">
+          <FaCopy /> Copy
+        </button>
+        {confirming ? (
+          <>
+            <span className="text-gray-700">Old subscriptions stop working.</span>
+            <button onClick={regenerate} className="px-3 py-1 rounded bg-red-600 text-white hover:bg-red-700">
+              Regenerate
+            </button>
+            <button onClick={() => setConfirming(false)} className="px-3 py-1 rounded border border-gray-300">
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={() => setConfirming(true)}
+            className="flex items-center gap-1 px-3 py-1 rounded border border-gray-300 hover:bg-gray-100"
+          >
+            <FaSyncAlt /> Regenerate
+          </button>
+        )}
+      </div>
+      {status && <p className="text-gray-600 mt-2">{status}</p>}
+    </div>
+  );
+};
+
+export default CalendarFeedLink;
@@ -0,0 +1,49 @@
+import React, { useEffect } from "react";
+import { createPortal } from "react-dom";
+import { FaTimes } from "react-icons/fa";
+
+// Events from a portal still bubble through its React ancestors (e.g. a draggable card)
+const stopPropagation = (e) => e.stopPropagation();
+
+const Modal = ({ isOpen, onClose, title, children, className = "" }) => {
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  return createPortal(
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4"
+      onClick={onClose}
+      onPointerDown={stopPropagation}
+      onKeyDown={stopPropagation}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col ${className}`}
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        onClick={stopPropagation}
+      >
+        <div className="flex items-center justify-between border-b px-6 py-4">
+          <h2 className="text-xl font-semibold text-gray-800">{title}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" aria-label="Close">
+            <FaTimes />
+          </button>
+        </div>
+        <div className="overflow-y-auto px-6 py-4">{children}</div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default Modal;
@@ -3,9 +3,10 @@ import { Link, useNavigate, useLocation } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
 import { FaUserCircle, FaTasks } from "react-icons/fa";
 import TaskList from "../tasks/TaskList";
+import RunningTimerIndicator from "./RunningTimerIndicator";
 
 const Navbar = () => {
-  const { logout } = useAuth();
+  const { logout, logoutAllDevices } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const hideProfileRoutes = ["/", "/login", "/signup"];
@@ -63,6 +64,19 @@ const Navbar = () => {
     }
   };
 
+  const handleLogoutAllDevices = async () => {
+    if (!window.confirm("Log out of all devices? Every active session will be ended.")) return;
+
+    try {
+      await logoutAllDevices();
+      localStorage.removeItem(location.pathname.startsWith("/admin") ? "adminProfile" : "userProfile");
+      navigate("/");
+    } catch (err) {
+      console.error("Logout from all devices failed:", err);
+      alert(`Could not log out of all devices: ${err.message}`);
+    }
+  };
+
   const handleLogoClick = (e) => {
     e.preventDefault();
 
@@ -98,6 +112,9 @@ const Navbar = () => {
       </Link>
 
       <div className="flex items-center gap-4">
+        {/* Running Timer (Hidden on Landing/Login/Signup) */}
+        {!hideProfileRoutes.includes(location.pathname) && <RunningTimerIndicator />}
+
         {/* Task List Button (Hidden on Landing/Login/Signup) */}
         {!hideProfileRoutes.includes(location.pathname) && (
           <div className="relative" ref={taskListRef}>
@@ -160,6 +177,14 @@ const Navbar = () => {
                       Logout
                     </button>
                   </li>
+                  <li>
+                    <button
+                      className="block w-full text-left px-4 py-2 hover:bg-red-100 text-red-600 transition"
+                      onClick={handleLogoutAllDevices}
+                    >
+                      Logout all devices
+                    </button>
+                  </li>
                 </ul>
               </div>
             )}
@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from "react";
+import { FaEnvelope, FaMoon } from "react-icons/fa";
+import { fetchPreferences, updatePreferences } from "../../api";
+
+const EVENTS = [
+  { key: "dueSoon", label: "Due soon" },
+  { key: "assigned", label: "Assigned to me" },
+  { key: "commented", label: "Comments and mentions" },
+  { key: "review", label: "Approved or rejected" },
+];
+
+const CHANNELS = [
+  { key: "inApp", label: "In-app" },
+  { key: "sound", label: "Sound" },
+  { key: "email", label: "Email" },
+];
+
+const LEAD_OPTIONS = [
+  { value: 0, label: "On the day" },
+  { value: 1, label: "1 day before" },
+  { value: 2, label: "2 days before" },
+  { value: 3, label: "3 days before" },
+  { value: 7, label: "A week before" },
+];
+
+// Quiet hours are read on this browser's clock
+const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Profile section for the signed-in user's server-side notification settings
+const NotificationSettings = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchPreferences()
+      .then(setPreferences)
+      .catch((err) => setError(`Failed to load settings: ${err.message}`));
+  }, []);
+
+  // Each change is saved straight away and rolled back if the server refuses it
+  const save = async (updates) => {
+    const previous = preferences;
+    setPreferences({ ...preferences, ...updates });
+    try {
+      setPreferences(await updatePreferences(updates));
+      setError(null);
+    } catch (err) {
+      setPreferences(previous);
+      setError(`Failed to save settings: ${err.message}`);
+    }
+  };
+
+  if (!preferences) {
+    return (
+      <div className="mt-8 pt-6 border-t">
+        <h3 className="text-2xl font-bold mb-4 text-gray-800">Notifications</h3>
+        {error && <p className="text-red-600">{error}</p>}
+      </div>
+    );
+  }
+
+  const { notifications } = preferences;
+  const saveNotifications = (changes) => save({ notifications: { ...notifications, ...changes, timezone } });
+  const setChannel = (event, channel, value) =>
+    saveNotifications({ [event]: { ...notifications[event], [channel]: value } });
+  const setQuietHours = (changes) => saveNotifications({ quietHours: { ...notifications.quietHours, ...changes } });
+
+  return (
+    <div className="mt-8 pt-6 border-t space-y-6">
+      <h3 className="text-2xl font-bold text-gray-800">Notifications</h3>
+      {error && <p className="text-red-600">{error}</p>}
+
+      {/* Event x channel toggles */}
+      <table className="w-full text-left">
+        <thead>
+          <tr className="text-sm text-gray-500">
+            <th className="py-2 font-medium">Notify me when</th>
+            {CHANNELS.map(({ key, label }) => (
+              <th key={key} className="py-2 font-medium text-center">
+                {label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {EVENTS.map(({ key: event, label }) => (
+            <tr key={event} className="border-t">
+              <td className="py-2 text-gray-700">{label}</td>
+              {CHANNELS.map(({ key: channel, label: channelLabel }) => (
+                <td key={channel} className="py-2 text-center">
+                  <input
+                    type="checkbox"
+                    aria-label={`${label}: ${channelLabel}`}
+                    checked={notifications[event][channel]}
+                    // Sounds accompany in-app notifications, so they go quiet with them
+                    disabled={channel === "sound" && !notifications[event].inApp}
+                    onChange={(e) => setChannel(event, channel, e.target.checked)}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Reminder lead time */}
+      <label className="block">
+        <span className="block text-lg font-medium text-gray-700">Remind me about deadlines</span>
+        <select
+          value={notifications.reminderLeadDays}
+          onChange={(e) => saveNotifications({ reminderLeadDays: Number(e.target.value) })}
+          className="mt-1 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+        >
+          {LEAD_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {/* Quiet hours */}
+      <div>
+        <label className="flex items-center gap-3 text-lg text-gray-700">
+          <input
+            type="checkbox"
+            checked={notifications.quietHours.enabled}
+            onChange={(e) => setQuietHours({ enabled: e.target.checked })}
+          />
+          <FaMoon className="text-indigo-500" />
+          Quiet hours
+        </label>
+        <p className="text-sm text-gray-500 ml-7">No sounds or emails in between; due reminders wait until they end.</p>
+        {notifications.quietHours.enabled && (
+          <div className="flex items-center gap-2 mt-2 ml-7">
+            <input
+              type="time"
+              value={notifications.quietHours.start}
+              onChange={(e) => e.target.value && setQuietHours({ start: e.target.value })}
+              className="px-3 py-1 border rounded-lg"
+              aria-label="Quiet hours start"
+            />
+            <span className="text-gray-500">to</span>
+            <input
+              type="time"
+              value={notifications.quietHours.end}
+              onChange={(e) => e.target.value && setQuietHours({ end: e.target.value })}
+              className="px-3 py-1 border rounded-lg"
+              aria-label="Quiet hours end"
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Daily digest */}
+      <label className="flex items-start gap-3 text-lg text-gray-700">
+        <input
+          type="checkbox"
+          className="mt-1.5"
+          checked={preferences.emailDigest}
+          onChange={(e) => save({ emailDigest: e.target.checked })}
+        />
+        <span>
+          <FaEnvelope className="inline mr-2 text-blue-500" />
+          Daily email digest
+          <span className="block text-sm text-gray-500">
+            Once a day, a summary of your tasks that are overdue, due today or due this week.
+          </span>
+        </span>
+      </label>
+    </div>
+  );
+};
+
+export default NotificationSettings;
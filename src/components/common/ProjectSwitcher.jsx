@@ -0,0 +1,35 @@
+import React from "react";
+import { FaFolderOpen } from "react-icons/fa";
+import { useProjects } from "../../hooks/useProjects";
+
+// Sidebar select for the project that boards, calendars and analytics show
+const ProjectSwitcher = () => {
+  const { projects, currentProjectId, selectProject } = useProjects();
+
+  // Archived projects drop out of the list unless one is still selected
+  const options = projects.filter((project) => !project.archived || project._id === currentProjectId);
+
+  return (
+    <div className="mb-6">
+      <label htmlFor="project-switcher" className="flex items-center gap-2 text-sm text-gray-400 mb-1">
+        <FaFolderOpen /> Project
+      </label>
+      <select
+        id="project-switcher"
+        className="w-full p-2 rounded-lg bg-gray-800 border border-gray-600 text-white focus:ring-2 focus:ring-blue-500 focus:outline-none"
+        value={currentProjectId || ""}
+        onChange={(e) => selectProject(e.target.value || null)}
+      >
+        <option value="">All projects</option>
+        {options.map((project) => (
+          <option key={project._id} value={project._id}>
+            {project.name}
+            {project.archived ? " (archived)" : ""}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ProjectSwitcher;
@@ -0,0 +1,37 @@
+import React from "react";
+import { FaStop } from "react-icons/fa";
+import { useRunningTimer, useElapsedSeconds } from "../../hooks/useRunningTimer";
+import { formatClock } from "../../utils/dateFormatter";
+
+/**
+ * Navbar badge for the current user's running timer, with a stop button.
+ * Renders nothing while no timer is running.
+ */
+const RunningTimerIndicator = () => {
+  const { timer, stop } = useRunningTimer();
+  const elapsed = useElapsedSeconds(timer);
+
+  if (!timer) return null;
+
+  const handleStop = () =>
+    stop().catch((err) => {
+      console.error("Error stopping timer:", err);
+      alert(`Could not stop the timer: ${err.message}`);
+    });
+
+  return (
+    <div
+      className="flex items-center bg-white text-red-600 font-medium px-3 py-2 rounded-lg shadow-md mr-2"
+      title={`Timer running on "${timer.task?.title}"`}
+    >
+      <span className="w-2 h-2 rounded-full bg-red-600 animate-pulse mr-2" aria-hidden="true" />
+      <span className="font-mono mr-2">{formatClock(elapsed)}</span>
+      <span className="hidden md:inline max-w-[10rem] truncate text-gray-700 mr-2">{timer.task?.title}</span>
+      <button onClick={handleStop} className="hover:text-red-800" aria-label="Stop timer">
+        <FaStop />
+      </button>
+    </div>
+  );
+};
+
+export default RunningTimerIndicator;
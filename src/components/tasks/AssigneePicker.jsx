@@ -0,0 +1,63 @@
+import React from "react";
+import { FaTimes, FaUserPlus } from "react-icons/fa";
+
+/**
+ * Multi-select for task assignees: selected users render as removable chips
+ * and the dropdown lists everyone not yet assigned.
+ *
+ * @param {Array} users - Registered users ({ _id, fullName, email })
+ * @param {Array} value - Selected user ids
+ * @param {Function} onChange - Called with the new list of user ids
+ */
+const AssigneePicker = ({ users, value, onChange, disabled = false }) => {
+  const selected = users.filter((user) => value.includes(user._id));
+  const available = users.filter((user) => !value.includes(user._id));
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {selected.length === 0 && <span className="text-sm text-gray-500">Unassigned</span>}
+        {selected.map((user) => (
+          <span
+            key={user._id}
+            className="inline-flex items-center px-2 py-1 rounded-full bg-blue-100 text-blue-800 text-sm"
+            title={user.email}
+          >
+            {user.fullName || user.email}
+            {!disabled && (
+              <button
+                type="button"
+                className="ml-1 text-blue-600 hover:text-blue-900"
+                onClick={() => onChange(value.filter((id) => id !== user._id))}
+                aria-label={`Unassign ${user.fullName || user.email}`}
+              >
+                <FaTimes />
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+
+      {!disabled && available.length > 0 && (
+        <div className="relative">
+          <FaUserPlus className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" aria-hidden="true" />
+          <select
+            className="w-full pl-9 p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+            value=""
+            onChange={(e) => e.target.value && onChange([...value, e.target.value])}
+            aria-label="Add assignee"
+          >
+            <option value="">Add assignee...</option>
+            {available.map((user) => (
+              <option key={user._id} value={user._id}>
+                {user.fullName} ({user.email})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssigneePicker;
@@ -0,0 +1,42 @@
+import React, { useState } from "react";
+import { FaPaperclip } from "react-icons/fa";
+import Modal from "../common/Modal";
+import TaskAttachments from "./TaskAttachments";
+
+// Keeps a card's click from starting a drag on the draggable board
+const stopPropagation = (e) => e.stopPropagation();
+
+/**
+ * Paperclip indicator for a task card; opens the task's attachments.
+ *
+ * @param {Object} task - Task with `id`, `title` and `attachments`
+ */
+const AttachmentsButton = ({ task, className = "" }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [count, setCount] = useState((task.attachments || []).length);
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        onPointerDown={stopPropagation}
+        onKeyDown={stopPropagation}
+        className={`inline-flex items-center gap-1 text-sm hover:text-blue-600 ${
+          count > 0 ? "text-gray-700" : "text-gray-400"
+        } ${className}`}
+        title="Attachments"
+        aria-label={`${count} attachments`}
+      >
+        <FaPaperclip aria-hidden="true" />
+        {count > 0 && <span>{count}</span>}
+      </button>
+
+      <Modal isOpen={isOpen} onClose={() => setIsOpen(false)} title={`Attachments · ${task.title}`}>
+        <TaskAttachments task={task} onChange={(attachments) => setCount(attachments.length)} />
+      </Modal>
+    </>
+  );
+};
+
+export default AttachmentsButton;
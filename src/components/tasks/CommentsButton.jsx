@@ -0,0 +1,40 @@
+import React, { useState } from "react";
+import { FaComment } from "react-icons/fa";
+import Modal from "../common/Modal";
+import TaskComments from "./TaskComments";
+
+// Keeps a card's click from starting a drag on the draggable board
+const stopPropagation = (e) => e.stopPropagation();
+
+/**
+ * Comment count badge for a task card; opens the task's comment thread.
+ *
+ * @param {Object} task - Task with `id`, `title` and `commentCount`
+ */
+const CommentsButton = ({ task, className = "" }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [count, setCount] = useState(task.commentCount || 0);
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        onPointerDown={stopPropagation}
+        onKeyDown={stopPropagation}
+        className={`inline-flex items-center gap-1 text-sm text-gray-600 hover:text-blue-600 ${className}`}
+        title="Comments"
+        aria-label={`${count} comments`}
+      >
+        <FaComment aria-hidden="true" />
+        <span>{count}</span>
+      </button>
+
+      <Modal isOpen={isOpen} onClose={() => setIsOpen(false)} title={`Comments · ${task.title}`}>
+        <TaskComments taskId={task.id} onCountChange={setCount} />
+      </Modal>
+    </>
+  );
+};
+
+export default CommentsButton;
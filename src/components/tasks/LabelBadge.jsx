@@ -0,0 +1,23 @@
+import React from "react";
+
+// Dark text on light label colors, white on dark ones
+const textColor = (hex) => {
+  const [r, g, b] = [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16));
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? "#1f2937" : "#ffffff";
+};
+
+/**
+ * Colored pill for a label ({ name, color }); optional children render after
+ * the name, e.g. a remove button.
+ */
+const LabelBadge = ({ label, className = "", children }) => (
+  <span
+    className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${className}`}
+    style={{ backgroundColor: label.color, color: textColor(label.color) }}
+  >
+    {label.name}
+    {children}
+  </span>
+);
+
+export default LabelBadge;
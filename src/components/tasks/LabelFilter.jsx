@@ -0,0 +1,38 @@
+import React from "react";
+import LabelBadge from "./LabelBadge";
+
+/**
+ * Toggleable label chips for filtering; tasks must carry every selected label.
+ *
+ * @param {Array} labels - Labels to offer
+ * @param {Array} value - Selected label ids
+ * @param {Function} onChange - Called with the new selection
+ */
+const LabelFilter = ({ labels, value, onChange }) => {
+  if (labels.length === 0) return null;
+
+  const toggle = (id) => onChange(value.includes(id) ? value.filter((other) => other !== id) : [...value, id]);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2" role="group" aria-label="Filter by labels">
+      {labels.map((label) => (
+        <button
+          key={label._id}
+          type="button"
+          onClick={() => toggle(label._id)}
+          aria-pressed={value.includes(label._id)}
+          className={value.includes(label._id) ? "" : "opacity-40 hover:opacity-70"}
+        >
+          <LabelBadge label={label} />
+        </button>
+      ))}
+      {value.length > 0 && (
+        <button type="button" className="text-xs text-gray-600 hover:underline" onClick={() => onChange([])}>
+          Clear
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LabelFilter;
@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import { FaTimes, FaTag, FaPlus } from "react-icons/fa";
+import { createLabel } from "../../api";
+import LabelBadge from "./LabelBadge";
+
+const DEFAULT_COLOR = "#3b82f6";
+
+/**
+ * Multi-select for task labels with an inline form to create a new label,
+ * which is selected right away.
+ *
+ * @param {Array} labels - Existing labels ({ _id, name, color })
+ * @param {Array} value - Selected label ids
+ * @param {Function} onChange - Called with the new list of label ids
+ * @param {Function} onCreate - Called with a newly created label
+ * @param {Function} [onError] - Called with an Error when creating fails
+ */
+const LabelPicker = ({ labels, value, onChange, onCreate, onError = (err) => alert(err.message) }) => {
+  const [draft, setDraft] = useState(null); // { name, color } while creating a label
+
+  const selected = labels.filter((label) => value.includes(label._id));
+  const available = labels.filter((label) => !value.includes(label._id));
+
+  const handleCreate = async () => {
+    if (!draft.name.trim()) return;
+
+    try {
+      const label = await createLabel({ name: draft.name.trim(), color: draft.color });
+      onCreate(label);
+      onChange([...value, label._id]);
+      setDraft(null);
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {selected.length === 0 && <span className="text-sm text-gray-500">No labels</span>}
+        {selected.map((label) => (
+          <LabelBadge key={label._id} label={label} className="text-sm">
+            <button
+              type="button"
+              className="ml-1 hover:opacity-70"
+              onClick={() => onChange(value.filter((id) => id !== label._id))}
+              aria-label={`Remove label ${label.name}`}
+            >
+              <FaTimes />
+            </button>
+          </LabelBadge>
+        ))}
+      </div>
+
+      {draft ? (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            maxLength="40"
+            placeholder="Label name"
+            className="flex-1 p-2 border rounded-lg"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            onKeyDown={(e) => {
+              // Enter creates the label instead of submitting the surrounding task form
+              if (e.key === "Enter") {
+                e.preventDefault();
+                handleCreate();
+              }
+            }}
+            autoFocus
+          />
+          <input
+            type="color"
+            className="w-10 h-10 p-1 border rounded-lg"
+            value={draft.color}
+            onChange={(e) => setDraft({ ...draft, color: e.target.value })}
+            aria-label="Label color"
+          />
+          <button type="button" className="px-3 bg-blue-600 text-white rounded-lg" onClick={handleCreate}>
+            Add
+          </button>
+          <button type="button" className="px-2 text-gray-600" onClick={() => setDraft(null)}>
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          {available.length > 0 && (
+            <div className="relative flex-1">
+              <FaTag className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" aria-hidden="true" />
+              <select
+                className="w-full pl-9 p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+                value=""
+                onChange={(e) => e.target.value && onChange([...value, e.target.value])}
+                aria-label="Add label"
+              >
+                <option value="">Add label...</option>
+                {available.map((label) => (
+                  <option key={label._id} value={label._id}>
+                    {label.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <button
+            type="button"
+            className="inline-flex items-center px-3 py-2 text-sm text-blue-600 hover:text-blue-800"
+            onClick={() => setDraft({ name: "", color: DEFAULT_COLOR })}
+          >
+            <FaPlus className="mr-1" /> New label
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LabelPicker;
@@ -0,0 +1,36 @@
+import React from "react";
+import Modal from "../common/Modal";
+
+/**
+ * Asks whether a change to a recurring task applies to this occurrence only
+ * or to all future occurrences.
+ *
+ * @param {boolean} isOpen - Whether the dialog is shown
+ * @param {string} action - Verb for the buttons' context, e.g. "Save" or "Delete"
+ * @param {Function} onChoose - Called with "occurrence" or "future"
+ * @param {Function} onClose - Called when the dialog is dismissed
+ */
+const OccurrenceScopeDialog = ({ isOpen, action, onChoose, onClose }) => (
+  <Modal isOpen={isOpen} onClose={onClose} title={`${action} recurring task`} className="max-w-md">
+    <p className="text-gray-700 mb-4">This task repeats. Which occurrences should this apply to?</p>
+    <div className="flex justify-end gap-2">
+      <button className="px-4 py-2 text-gray-600 hover:text-gray-900" onClick={onClose}>
+        Cancel
+      </button>
+      <button
+        className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+        onClick={() => onChoose("occurrence")}
+      >
+        This occurrence
+      </button>
+      <button
+        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+        onClick={() => onChoose("future")}
+      >
+        All future
+      </button>
+    </div>
+  </Modal>
+);
+
+export default OccurrenceScopeDialog;
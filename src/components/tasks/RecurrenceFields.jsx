@@ -0,0 +1,107 @@
+import React from "react";
+import { WEEKDAYS } from "../../utils/recurrence";
+import { toDateInputValue } from "../../utils/dateFormatter";
+
+const UNIT_LABELS = { daily: "day(s)", weekly: "week(s)", monthly: "month(s)" };
+
+/**
+ * Editor for a repeat rule. `value` is null for a task that doesn't repeat,
+ * otherwise { frequency, interval, weekdays, dayOfMonth, until }. Weekdays and
+ * day of month left empty default to the deadline's on the server.
+ *
+ * @param {Object|null} value - Current rule
+ * @param {Function} onChange - Called with the new rule, or null
+ */
+const RecurrenceFields = ({ value, onChange }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays || [];
+    update({
+      weekdays: weekdays.includes(day) ? weekdays.filter((other) => other !== day) : [...weekdays, day].sort(),
+    });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2 items-center">
+        <select
+          className="p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+          value={value ? value.frequency : ""}
+          onChange={(e) =>
+            onChange(e.target.value ? { frequency: e.target.value, interval: 1, weekdays: [], dayOfMonth: null, until: null } : null)
+          }
+          aria-label="Repeat"
+        >
+          <option value="">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+        </select>
+
+        {value && (
+          <>
+            <span className="text-sm text-gray-600">every</span>
+            <input
+              type="number"
+              min="1"
+              max="365"
+              className="w-16 p-2 border rounded-lg"
+              value={value.interval}
+              onChange={(e) => update({ interval: Number(e.target.value) || 1 })}
+              aria-label="Repeat interval"
+            />
+            <span className="text-sm text-gray-600">{UNIT_LABELS[value.frequency]}</span>
+          </>
+        )}
+      </div>
+
+      {value?.frequency === "weekly" && (
+        <div className="flex flex-wrap gap-1">
+          {WEEKDAYS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              className={`px-2 py-1 text-xs rounded-full border ${
+                (value.weekdays || []).includes(day) ? "bg-blue-600 text-white border-blue-600" : "text-gray-700"
+              }`}
+              onClick={() => toggleWeekday(day)}
+              aria-pressed={(value.weekdays || []).includes(day)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value?.frequency === "monthly" && (
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          On day
+          <input
+            type="number"
+            min="1"
+            max="31"
+            placeholder="deadline's"
+            className="w-24 p-2 border rounded-lg"
+            value={value.dayOfMonth || ""}
+            onChange={(e) => update({ dayOfMonth: Number(e.target.value) || null })}
+          />
+        </label>
+      )}
+
+      {value && (
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Until
+          <input
+            type="date"
+            className="p-2 border rounded-lg"
+            value={toDateInputValue(value.until)}
+            onChange={(e) => update({ until: e.target.value || null })}
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceFields;
@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from "react";
+import { FaDownload, FaTrash, FaFileAlt, FaPaperclip } from "react-icons/fa";
+import { uploadAttachments, fetchAttachmentFile, deleteAttachment } from "../../api";
+import { useAuth } from "../../contexts/AuthContext";
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+};
+
+const isImage = (attachment) => attachment.mimeType.startsWith("image/");
+
+/**
+ * Thumbnail for an image attachment. Files need the auth header, so the image
+ * is fetched as a blob and shown through an object URL.
+ */
+const ImagePreview = ({ taskId, attachment }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    fetchAttachmentFile(taskId, attachment._id)
+      .then((blob) => {
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((err) => console.error("Error loading preview:", err));
+
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [taskId, attachment._id]);
+
+  return url ? (
+    <img src={url} alt={attachment.originalName} className="w-16 h-16 object-cover rounded border" />
+  ) : (
+    <div className="w-16 h-16 rounded border bg-gray-100 animate-pulse" />
+  );
+};
+
+/**
+ * Lists a task's attachments with downloads and image previews, and uploads new files.
+ *
+ * @param {Object} task - Task with `id`, `owner` and `attachments`
+ * @param {Function} [onChange] - Called with the updated attachment list
+ */
+const TaskAttachments = ({ task, onChange }) => {
+  const { user } = useAuth();
+  const [attachments, setAttachments] = useState(task.attachments || []);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const applyAttachments = (updated) => {
+    setAttachments(updated);
+    if (onChange) onChange(updated);
+  };
+
+  const handleUpload = async (e) => {
+    const { files } = e.target;
+    if (!files.length) return;
+
+    setUploading(true);
+    setError(null);
+    try {
+      applyAttachments(await uploadAttachments(task.id, files));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+      e.target.value = "";
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await fetchAttachmentFile(task.id, attachment._id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = attachment.originalName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Remove ${attachment.originalName}?`)) return;
+
+    try {
+      await deleteAttachment(task.id, attachment._id);
+      applyAttachments(attachments.filter((a) => a._id !== attachment._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Mirrors the server rule: uploader, task owner or admin
+  const canDelete = (attachment) =>
+    user?.role === "admin" ||
+    (task.owner?._id || task.owner) === user?.id ||
+    (attachment.uploadedBy?._id || attachment.uploadedBy) === user?.id;
+
+  return (
+    <div>
+      {error && <p className="mb-2 text-sm text-red-600" role="alert">{error}</p>}
+
+      {attachments.length === 0 ? (
+        <p className="text-gray-500 mb-4">No files attached yet.</p>
+      ) : (
+        <ul className="divide-y mb-4">
+          {attachments.map((attachment) => (
+            <li key={attachment._id} className="py-2 flex items-center gap-3">
+              {isImage(attachment) ? (
+                <ImagePreview taskId={task.id} attachment={attachment} />
+              ) : (
+                <div className="w-16 h-16 rounded border bg-gray-50 flex items-center justify-center text-gray-400">
+                  <FaFileAlt className="text-2xl" />
+                </div>
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-gray-800 truncate">{attachment.originalName}</p>
+                <p className="text-xs text-gray-500">
+                  {formatSize(attachment.size)} · {attachment.uploadedBy?.fullName || "Unknown"} ·{" "}
+                  {new Date(attachment.createdAt).toLocaleString()}
+                </p>
+              </div>
+              <button
+                className="text-blue-600 hover:text-blue-800"
+                onClick={() => handleDownload(attachment)}
+                aria-label={`Download ${attachment.originalName}`}
+              >
+                <FaDownload />
+              </button>
+              {canDelete(attachment) && (
+                <button
+                  className="text-red-500 hover:text-red-700"
+                  onClick={() => handleDelete(attachment)}
+                  aria-label={`Remove ${attachment.originalName}`}
+                >
+                  <FaTrash />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <label className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg cursor-pointer hover:bg-blue-700">
+        <FaPaperclip className="mr-2" />
+        {uploading ? "Uploading..." : "Attach files"}
+        <input type="file" multiple className="hidden" onChange={handleUpload} disabled={uploading} />
+      </label>
+    </div>
+  );
+};
+
+export default TaskAttachments;
@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import { DndContext, closestCenter } from "@dnd-kit/core";
+import { SortableContext, verticalListSortingStrategy, arrayMove, useSortable } from "@dnd-kit/sortable";
+import { CSS } from "@dnd-kit/utilities";
+import { FaGripVertical, FaTrash, FaPlus } from "react-icons/fa";
+import { addChecklistItem, reorderChecklist, updateChecklistItem, deleteChecklistItem } from "../../api";
+
+const displayName = (user) => user.fullName || user.email;
+
+/**
+ * One checklist row, draggable by its grip handle.
+ */
+const ChecklistRow = ({ item, members, onToggle, onAssign, onDelete }) => {
+  const { attributes, listeners, setNodeRef, transform, transition } = useSortable({ id: item._id });
+
+  return (
+    <li
+      ref={setNodeRef}
+      style={{ transform: CSS.Transform.toString(transform), transition }}
+      className="flex items-center gap-2 py-1 bg-white"
+    >
+      <button
+        type="button"
+        className="text-gray-400 cursor-grab"
+        {...attributes}
+        {...listeners}
+        aria-label={`Reorder ${item.title}`}
+      >
+        <FaGripVertical />
+      </button>
+      <input
+        type="checkbox"
+        className="accent-blue-600"
+        checked={item.done}
+        onChange={onToggle}
+        aria-label={`Mark ${item.title} as ${item.done ? "not done" : "done"}`}
+      />
+      <span className={`flex-1 text-sm ${item.done ? "line-through text-gray-400" : "text-gray-800"}`}>
+        {item.title}
+      </span>
+      <select
+        className="text-xs border rounded p-1 max-w-[8rem]"
+        value={item.assignee?._id || ""}
+        onChange={(e) => onAssign(e.target.value || null)}
+        aria-label={`Assign ${item.title}`}
+      >
+        <option value="">Unassigned</option>
+        {members.map((member) => (
+          <option key={member._id} value={member._id}>
+            {displayName(member)}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="text-red-500 hover:text-red-700"
+        onClick={onDelete}
+        aria-label={`Remove ${item.title}`}
+      >
+        <FaTrash />
+      </button>
+    </li>
+  );
+};
+
+/**
+ * Checklist of subtasks for a task. Items can be added, checked off, assigned
+ * to the task's owner or assignees, and reordered by dragging. The server rolls
+ * the completed share up into the task's progress until the task is done.
+ *
+ * @param {Object} task - Task with `id`, `owner`, `assignees` and `checklist`
+ * @param {Function} onChange - Called with { checklist, progress } after every change
+ * @param {Function} onError - Called with an Error when a request fails
+ */
+const TaskChecklist = ({ task, onChange, onError }) => {
+  const [title, setTitle] = useState("");
+  const checklist = task.checklist || [];
+
+  // Owner first, then assignees who aren't the owner
+  const members = [task.owner, ...task.assignees].filter(
+    (member, index, all) => member && all.findIndex((other) => other?._id === member._id) === index
+  );
+
+  const run = (requestPromise) => requestPromise.then(onChange).catch(onError);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    run(addChecklistItem(task.id, title.trim()).then((result) => {
+      setTitle("");
+      return result;
+    }));
+  };
+
+  const handleDragEnd = ({ active, over }) => {
+    if (!over || active.id === over.id) return;
+
+    const reordered = arrayMove(
+      checklist,
+      checklist.findIndex((item) => item._id === active.id),
+      checklist.findIndex((item) => item._id === over.id)
+    );
+    // Show the new order right away; the server response replaces it
+    onChange({ checklist: reordered, progress: task.progress });
+    run(reorderChecklist(task.id, reordered.map((item) => item._id)));
+  };
+
+  return (
+    <div className="mt-4">
+      <p className="block text-sm font-medium text-gray-700">
+        Checklist
+        {checklist.length > 0 && (
+          <span className="ml-2 text-gray-500">
+            {checklist.filter((item) => item.done).length}/{checklist.length}
+          </span>
+        )}
+      </p>
+
+      <DndContext collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
+        <SortableContext items={checklist.map((item) => item._id)} strategy={verticalListSortingStrategy}>
+          <ul>
+            {checklist.map((item) => (
+              <ChecklistRow
+                key={item._id}
+                item={item}
+                members={members}
+                onToggle={() => run(updateChecklistItem(task.id, item._id, { done: !item.done }))}
+                onAssign={(assignee) => run(updateChecklistItem(task.id, item._id, { assignee }))}
+                onDelete={() => run(deleteChecklistItem(task.id, item._id))}
+              />
+            ))}
+          </ul>
+        </SortableContext>
+      </DndContext>
+
+      <form onSubmit={handleAdd} className="mt-2 flex gap-2">
+        <input
+          type="text"
+          placeholder="Add an item"
+          className="flex-1 p-1 text-sm border rounded focus:ring-2 focus:ring-blue-400 focus:outline-none"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+        />
+        <button type="submit" className="px-2 text-blue-600 hover:text-blue-800" aria-label="Add checklist item">
+          <FaPlus />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TaskChecklist;
@@ -0,0 +1,266 @@
+import React, { useEffect, useState } from "react";
+import { FaReply, FaEdit, FaTrash } from "react-icons/fa";
+import { fetchComments, addComment, updateComment, deleteComment, fetchUserDirectory } from "../../api";
+import { useAuth } from "../../contexts/AuthContext";
+
+// Same shape the server resolves: @ followed by an email address
+const MENTION_SPLIT = /(@[^\s@]+@[^\s@]+\.[^\s@]+)/;
+
+const displayName = (user) => (user ? user.fullName || user.email : "Deleted user");
+
+/**
+ * Renders a comment body with resolved @mentions highlighted
+ */
+const CommentBody = ({ comment }) => {
+  const mentioned = comment.mentions.map((user) => user.email.toLowerCase());
+
+  return (
+    <p className="text-gray-800 whitespace-pre-wrap break-words">
+      {comment.body.split(MENTION_SPLIT).map((part, index) => {
+        const email = part.slice(1).replace(/[.,;:!?)]+$/, "").toLowerCase();
+        return part.startsWith("@") && mentioned.includes(email) ? (
+          <span key={index} className="text-blue-600 font-medium">{part}</span>
+        ) : (
+          <React.Fragment key={index}>{part}</React.Fragment>
+        );
+      })}
+    </p>
+  );
+};
+
+/**
+ * Textarea that suggests registered users while typing an @mention and
+ * inserts the chosen user's email.
+ */
+const CommentComposer = ({ users, value, onChange, onSubmit, onCancel, submitLabel, placeholder }) => {
+  const query = (value.match(/@([^\s@]*)$/) || [])[1];
+  const suggestions = query === undefined
+    ? []
+    : users
+        .filter((user) => `${user.fullName} ${user.email}`.toLowerCase().includes(query.toLowerCase()))
+        .slice(0, 5);
+
+  const insertMention = (user) => {
+    onChange(value.replace(/@([^\s@]*)$/, `@${user.email} `));
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        className="w-full p-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-400 focus:outline-none"
+        rows="3"
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 left-0 right-0 bg-white border rounded-lg shadow-lg">
+          {suggestions.map((user) => (
+            <li key={user._id}>
+              <button
+                type="button"
+                className="w-full text-left px-3 py-2 text-sm hover:bg-blue-50"
+                onClick={() => insertMention(user)}
+              >
+                {user.fullName} <span className="text-gray-500">{user.email}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="mt-2 flex justify-end gap-2">
+        {onCancel && (
+          <button type="button" className="px-3 py-1 text-sm text-gray-600 hover:text-gray-900" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button
+          type="button"
+          className="px-4 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          onClick={onSubmit}
+          disabled={!value.trim()}
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Comment thread for a task: top-level comments with one level of replies.
+ * Authors can edit and delete their own comments.
+ *
+ * @param {string} taskId - Task to show comments for
+ * @param {Function} [onCountChange] - Called with the new comment total after changes
+ */
+const TaskComments = ({ taskId, onCountChange }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [reply, setReply] = useState({ parent: null, body: "" });
+  const [editing, setEditing] = useState({ id: null, body: "" });
+
+  useEffect(() => {
+    fetchComments(taskId)
+      .then(setComments)
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+    fetchUserDirectory()
+      .then(setUsers)
+      .catch((err) => console.error("Error fetching users:", err));
+  }, [taskId]);
+
+  const applyComments = (updated) => {
+    setComments(updated);
+    if (onCountChange) onCountChange(updated.length);
+  };
+
+  const runAction = async (action) => {
+    try {
+      setError(null);
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const submitComment = () =>
+    runAction(async () => {
+      const created = await addComment(taskId, draft);
+      applyComments([...comments, created]);
+      setDraft("");
+    });
+
+  const submitReply = () =>
+    runAction(async () => {
+      const created = await addComment(taskId, reply.body, reply.parent);
+      applyComments([...comments, created]);
+      setReply({ parent: null, body: "" });
+    });
+
+  const saveEdit = () =>
+    runAction(async () => {
+      const updated = await updateComment(taskId, editing.id, editing.body);
+      setComments(comments.map((comment) => (comment.id === updated.id ? updated : comment)));
+      setEditing({ id: null, body: "" });
+    });
+
+  const removeComment = (comment) => {
+    if (!window.confirm("Delete this comment and its replies?")) return;
+
+    runAction(async () => {
+      await deleteComment(taskId, comment.id);
+      applyComments(comments.filter((c) => c.id !== comment.id && c.parent !== comment.id));
+    });
+  };
+
+  const renderComment = (comment) => (
+    <div className="py-2">
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        <span>
+          <span className="font-semibold text-gray-700">{displayName(comment.author)}</span>
+          {" · "}
+          {new Date(comment.createdAt).toLocaleString()}
+          {comment.editedAt && " (edited)"}
+        </span>
+        <span className="flex gap-3">
+          {!comment.parent && (
+            <button
+              className="hover:text-blue-600"
+              onClick={() => setReply({ parent: comment.id, body: "" })}
+              aria-label="Reply"
+            >
+              <FaReply />
+            </button>
+          )}
+          {comment.author?._id === user?.id && (
+            <>
+              <button
+                className="hover:text-blue-600"
+                onClick={() => setEditing({ id: comment.id, body: comment.body })}
+                aria-label="Edit comment"
+              >
+                <FaEdit />
+              </button>
+              <button className="hover:text-red-600" onClick={() => removeComment(comment)} aria-label="Delete comment">
+                <FaTrash />
+              </button>
+            </>
+          )}
+        </span>
+      </div>
+
+      {editing.id === comment.id ? (
+        <CommentComposer
+          users={users}
+          value={editing.body}
+          onChange={(body) => setEditing({ ...editing, body })}
+          onSubmit={saveEdit}
+          onCancel={() => setEditing({ id: null, body: "" })}
+          submitLabel="Save"
+        />
+      ) : (
+        <CommentBody comment={comment} />
+      )}
+    </div>
+  );
+
+  if (loading) {
+    return <p className="text-gray-500">Loading comments...</p>;
+  }
+
+  const threads = comments.filter((comment) => !comment.parent);
+
+  return (
+    <div>
+      {error && <p className="mb-2 text-sm text-red-600" role="alert">{error}</p>}
+
+      {threads.length === 0 ? (
+        <p className="text-gray-500 mb-4">No comments yet. Start the discussion!</p>
+      ) : (
+        <ul className="divide-y mb-4">
+          {threads.map((thread) => (
+            <li key={thread.id}>
+              {renderComment(thread)}
+
+              <div className="ml-6 border-l-2 border-gray-200 pl-4">
+                {comments
+                  .filter((comment) => comment.parent === thread.id)
+                  .map((replyComment) => (
+                    <div key={replyComment.id}>{renderComment(replyComment)}</div>
+                  ))}
+
+                {reply.parent === thread.id && (
+                  <CommentComposer
+                    users={users}
+                    value={reply.body}
+                    onChange={(body) => setReply({ ...reply, body })}
+                    onSubmit={submitReply}
+                    onCancel={() => setReply({ parent: null, body: "" })}
+                    submitLabel="Reply"
+                    placeholder="Write a reply..."
+                  />
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <CommentComposer
+        users={users}
+        value={draft}
+        onChange={setDraft}
+        onSubmit={submitComment}
+        submitLabel="Comment"
+        placeholder="Add a comment... Type @ to mention someone"
+      />
+    </div>
+  );
+};
+
+export default TaskComments;
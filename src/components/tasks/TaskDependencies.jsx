@@ -0,0 +1,79 @@
+import React from "react";
+import { FaTimes, FaLink } from "react-icons/fa";
+import { addDependency, removeDependency } from "../../api";
+import { useWorkflow } from "../../hooks/useWorkflow";
+
+/**
+ * "Blocked by" and "Blocks" links for a task. Blockers can be added from the
+ * other visible tasks and removed again; the server rejects links that would
+ * form a cycle.
+ *
+ * @param {Object} task - Task with `id` and populated `blockedBy`
+ * @param {Array} tasks - Other tasks the user can see, used as candidates and to list what this task blocks
+ * @param {Function} onChange - Called with the updated `blockedBy` list
+ * @param {Function} onError - Called with an Error when a request fails
+ */
+const TaskDependencies = ({ task, tasks, onChange, onError }) => {
+  const { isDone } = useWorkflow();
+  const blockerIds = task.blockedBy.map((blocker) => blocker._id);
+  const candidates = tasks.filter((other) => other.id !== task.id && !blockerIds.includes(other.id));
+  const blocks = tasks.filter((other) => other.blockedBy.some((blocker) => blocker._id === task.id));
+
+  const run = (requestPromise) =>
+    requestPromise.then(({ blockedBy }) => onChange(blockedBy)).catch(onError);
+
+  return (
+    <div className="mt-4 space-y-2">
+      <p className="text-sm font-medium text-gray-700">Blocked by</p>
+      <div className="flex flex-wrap gap-2">
+        {task.blockedBy.length === 0 && <span className="text-sm text-gray-500">Nothing</span>}
+        {task.blockedBy.map((blocker) => (
+          <span
+            key={blocker._id}
+            className={`inline-flex items-center px-2 py-1 rounded-full text-sm ${
+              isDone(blocker) ? "bg-green-100 text-green-800 line-through" : "bg-red-100 text-red-800"
+            }`}
+            title={blocker.status}
+          >
+            {blocker.title}
+            <button
+              type="button"
+              className="ml-1 hover:opacity-70"
+              onClick={() => run(removeDependency(task.id, blocker._id))}
+              aria-label={`Remove dependency on ${blocker.title}`}
+            >
+              <FaTimes />
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {candidates.length > 0 && (
+        <div className="relative">
+          <FaLink className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" aria-hidden="true" />
+          <select
+            className="w-full pl-9 p-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-400 focus:outline-none"
+            value=""
+            onChange={(e) => e.target.value && run(addDependency(task.id, e.target.value))}
+            aria-label="Add blocking task"
+          >
+            <option value="">Add blocking task...</option>
+            {candidates.map((other) => (
+              <option key={other.id} value={other.id}>
+                {other.title}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {blocks.length > 0 && (
+        <p className="text-sm text-gray-700">
+          <span className="font-semibold">Blocks:</span> {blocks.map((other) => other.title).join(", ")}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TaskDependencies;
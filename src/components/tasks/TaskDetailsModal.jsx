@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from "react";
+import { FaLock } from "react-icons/fa";
+import Modal from "../common/Modal";
+import LabelBadge from "./LabelBadge";
+import TaskChecklist from "./TaskChecklist";
+import TaskComments from "./TaskComments";
+import { fetchTask } from "../../api";
+import { formatDate } from "../../utils/dateFormatter";
+import { useWorkflow } from "../../hooks/useWorkflow";
+
+const displayName = (user) => user.fullName || user.email;
+
+/**
+ * A task's details, checklist and comments in a modal, loaded fresh from the
+ * server so it can be opened from anywhere that only knows the task's id.
+ *
+ * @param {string|null} taskId - Task to show; the modal is closed while null
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const TaskDetailsModal = ({ taskId, onClose }) => {
+  const { isBlocked } = useWorkflow();
+  const [task, setTask] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setTask(null);
+    setError(null);
+    if (!taskId) return;
+
+    fetchTask(taskId)
+      .then(setTask)
+      .catch((err) => setError(err.message));
+  }, [taskId]);
+
+  return (
+    <Modal isOpen={Boolean(taskId)} onClose={onClose} title={task ? task.title : "Task"}>
+      {error && <p className="text-red-600">Failed to load task: {error}</p>}
+      {!task && !error && <p className="text-gray-500">Loading task...</p>}
+      {task && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-800">{task.status}</span>
+            <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-800">{task.priority} priority</span>
+            {task.deadline && <span className="text-gray-600">Due {formatDate(task.deadline)}</span>}
+            {isBlocked(task) && (
+              <span className="text-red-600">
+                <FaLock className="inline mr-1" />
+                Blocked by open tasks
+              </span>
+            )}
+          </div>
+
+          {task.labels?.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {task.labels.map((label) => (
+                <LabelBadge key={label._id} label={label} />
+              ))}
+            </div>
+          )}
+
+          {task.description && <p className="text-gray-700 whitespace-pre-wrap">{task.description}</p>}
+
+          <p className="text-sm text-gray-600">
+            <span className="font-semibold">Owner:</span> {displayName(task.owner)} ·{" "}
+            <span className="font-semibold">Assigned to:</span>{" "}
+            {task.assignees.length > 0 ? task.assignees.map(displayName).join(", ") : "Unassigned"}
+          </p>
+
+          <div>
+            <h3 className="font-semibold text-gray-800 mb-1">Checklist</h3>
+            <TaskChecklist
+              task={task}
+              onChange={(result) => setTask((current) => ({ ...current, ...result }))}
+              onError={(err) => setError(err.message)}
+            />
+          </div>
+
+          <div>
+            <h3 className="font-semibold text-gray-800 mb-1">Comments</h3>
+            <TaskComments taskId={task.id} />
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default TaskDetailsModal;
@@ -2,24 +2,37 @@
  * TaskFilter Component
  * 
  * A comprehensive task filtering component that allows users to filter tasks
- * by completion status and search by title. Implements real-time filtering
- * with localStorage integration for persistent data access.
+ * by workflow state and labels, and search by title. Implements real-time filtering
+ * over the tasks loaded from the server, kept current by the server's task event stream.
  * 
  * Features:
- * - Filter tasks by completion status (All/Complete/Incomplete)
+ * - Filter tasks by any of the admin-defined workflow states
+ * - Filter tasks by any combination of labels
  * - Search tasks by title with real-time results
  * - Responsive design with mobile optimization
  * - Accessibility support with ARIA attributes
- * - Integration with localStorage for data persistence
+ * - Loads the tasks of the project picked in the sidebar switcher
+ * - Reflects tasks created, changed or deleted by other users without a reload
  * 
  * @author Senior Full-Stack Engineer
- * @version 1.0.0
+ * @version 1.2.0
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { FaSearch, FaFilter, FaSpinner, FaExclamationTriangle, FaTasks } from 'react-icons/fa';
+import { fetchTasks } from '../../api';
+import { useWorkflow } from '../../hooks/useWorkflow';
+import { useLabels, filterByLabels } from '../../hooks/useLabels';
+import { useProjects } from '../../hooks/useProjects';
+import { useTaskEvents, applyTaskEvent } from '../../hooks/useTaskEvents';
+import LabelFilter from './LabelFilter';
+import LabelBadge from './LabelBadge';
 
 const TaskFilter = () => {
+  const { states, isDone: isComplete } = useWorkflow();
+  const { labels } = useLabels();
+  const { currentProjectId } = useProjects();
+
   // State management with proper initialization
   const [tasks, setTasks] = useState([]);
   const [filteredTasks, setFilteredTasks] = useState([]);
@@ -27,41 +40,21 @@ const TaskFilter = () => {
   const [error, setError] = useState(null);
   const [filters, setFilters] = useState({
     status: 'all',
-    search: ''
-  });
-  const [counts, setCounts] = useState({
-    all: 0,
-    complete: 0,
-    incomplete: 0
+    search: '',
+    labels: []
   });
 
   /**
-   * Load tasks from localStorage
-   * Uses localStorage for cross-component data sharing
+   * Load tasks from the server
    */
   useEffect(() => {
     const loadTasks = async () => {
       try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Get tasks from localStorage
-        const storedTasks = localStorage.getItem('tasks');
+        const storedTasks = await fetchTasks({ project: currentProjectId });
+        setTasks(storedTasks);
         
-        if (storedTasks) {
-          const parsedTasks = JSON.parse(storedTasks);
-          setTasks(parsedTasks);
-          
-          // Apply initial filtering
-          applyFilters(parsedTasks, filters);
-          
-          // Calculate counts
-          updateCounts(parsedTasks);
-        } else {
-          // Initialize with empty array if no tasks exist
-          setTasks([]);
-          setFilteredTasks([]);
-        }
+        // Apply initial filtering
+        applyFilters(storedTasks, filters);
         
         setError(null);
       } catch (err) {
@@ -73,45 +66,25 @@ const TaskFilter = () => {
     };
 
     loadTasks();
-    
-    // Set up event listener for storage changes from other components
-    const handleStorageChange = (e) => {
-      if (e.key === 'tasks') {
-        try {
-          const updatedTasks = JSON.parse(e.newValue || '[]');
-          setTasks(updatedTasks);
-          applyFilters(updatedTasks, filters);
-          updateCounts(updatedTasks);
-        } catch (err) {
-          console.error('Error parsing tasks from storage:', err);
-        }
-      }
-    };
-    
-    // Add event listener for storage changes
-    window.addEventListener('storage', handleStorageChange);
-    
-    // Clean up event listener on component unmount
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-    };
-  }, []);
+  }, [currentProjectId]);
 
   /**
-   * Update task counts by status
+   * Keep the list in step with task changes pushed by the server,
+   * dropping tasks that moved out of the selected project
+   */
+  useTaskEvents((event) => {
+    const updatedTasks = applyTaskEvent(tasks, event, currentProjectId);
+    setTasks(updatedTasks);
+    applyFilters(updatedTasks, filters);
+  });
+
+  /**
+   * Count tasks in a workflow state
    * 
-   * @param {Array} taskList - List of tasks to count
+   * @param {string} status - Workflow state name
+   * @returns {number} Number of tasks in that state
    */
-  const updateCounts = (taskList) => {
-    const completeTasks = taskList.filter(task => task.status === 'complete').length;
-    const incompleteTasks = taskList.filter(task => task.status === 'incomplete').length;
-    
-    setCounts({
-      all: taskList.length,
-      complete: completeTasks,
-      incomplete: incompleteTasks
-    });
-  };
+  const countInState = (status) => tasks.filter(task => task.status === status).length;
 
   /**
    * Apply filters to tasks based on current filter settings
@@ -128,6 +101,9 @@ const TaskFilter = () => {
       result = result.filter(task => task.status === filterSettings.status);
     }
     
+    // Apply label filter; a task must carry every selected label
+    result = filterByLabels(result, filterSettings.labels);
+    
     // Apply search filter
     if (filterSettings.search.trim()) {
       const searchTerm = filterSettings.search.toLowerCase().trim();
@@ -144,7 +120,7 @@ const TaskFilter = () => {
    * Handle filter changes
    * 
    * @param {string} filterType - Type of filter to change
-   * @param {string} value - New filter value
+   * @param {string|Array} value - New filter value
    */
   const handleFilterChange = (filterType, value) => {
     const newFilters = {
@@ -221,12 +197,27 @@ const TaskFilter = () => {
               onChange={(e) => handleFilterChange('status', e.target.value)}
               aria-label="Filter tasks by status"
             >
-              <option value="all">All Tasks ({counts.all})</option>
-              <option value="complete">Complete ({counts.complete})</option>
-              <option value="incomplete">Incomplete ({counts.incomplete})</option>
+              <option value="all">All Tasks ({tasks.length})</option>
+              {states.map(state => (
+                <option key={state.name} value={state.name}>
+                  {state.name} ({countInState(state.name)})
+                </option>
+              ))}
             </select>
           </div>
         </div>
+
+        {/* Label filter */}
+        {labels.length > 0 && (
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Filter by Labels</span>
+            <LabelFilter
+              labels={labels}
+              value={filters.labels}
+              onChange={(labelIds) => handleFilterChange('labels', labelIds)}
+            />
+          </div>
+        )}
       </div>
       
       {/* Results count */}
@@ -241,7 +232,7 @@ const TaskFilter = () => {
           <button
             className="mt-2 px-4 py-2 text-sm text-blue-600 hover:text-blue-800"
             onClick={() => {
-              const resetFilters = { status: 'all', search: '' };
+              const resetFilters = { status: 'all', search: '', labels: [] };
               setFilters(resetFilters);
               applyFilters(tasks, resetFilters);
             }}
@@ -255,29 +246,29 @@ const TaskFilter = () => {
             <li key={task._id} className="py-4">
               <div className="flex items-start justify-between">
                 <div className="flex-1 min-w-0">
-                  <h3 className={`text-lg font-medium ${task.status === 'complete' ? 'line-through text-gray-500' : 'text-gray-900'}`}>
+                  <h3 className={`text-lg font-medium ${isComplete(task) ? 'line-through text-gray-500' : 'text-gray-900'}`}>
                     {task.title}
                   </h3>
-                  <p className={`mt-1 text-sm ${task.status === 'complete' ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <p className={`mt-1 text-sm ${isComplete(task) ? 'text-gray-400' : 'text-gray-600'}`}>
                     {task.description}
                   </p>
                   <div className="mt-2 flex flex-wrap gap-2">
                     <span 
                       className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                        task.status === 'complete' 
+                        isComplete(task) 
                           ? 'bg-green-100 text-green-800' 
                           : 'bg-yellow-100 text-yellow-800'
                       }`}
                     >
-                      {task.status === 'complete' ? 'Complete' : 'Incomplete'}
+                      {task.status}
                     </span>
                     
                     {task.priority && (
                       <span 
                         className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                          task.priority === 'high' 
+                          task.priority === 'High' 
                             ? 'bg-red-100 text-red-800' 
-                            : task.priority === 'medium'
+                            : task.priority === 'Medium'
                               ? 'bg-yellow-100 text-yellow-800'
                               : 'bg-green-100 text-green-800'
                         }`}
@@ -285,12 +276,16 @@ const TaskFilter = () => {
                         {task.priority}
                       </span>
                     )}
+
+                    {task.labels?.map(label => (
+                      <LabelBadge key={label._id} label={label} />
+                    ))}
                   </div>
                 </div>
                 
-                {task.dueDate && (
+                {task.deadline && (
                   <div className="ml-4 flex-shrink-0 text-sm text-gray-500">
-                    Due: {new Date(task.dueDate).toLocaleDateString()}
+                    Due: {new Date(task.deadline).toLocaleDateString()}
                   </div>
                 )}
               </div>
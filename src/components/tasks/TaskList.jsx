@@ -2,30 +2,42 @@
  * TaskList Component
  * 
  * A comprehensive task management component that displays tasks in a dropdown from the navbar.
- * Implements full CRUD functionality with localStorage persistence for data sharing between components.
+ * Implements full CRUD functionality against the tasks API and stays in sync with changes made elsewhere.
  * 
  * Features:
  * - Displays task title, description, status, priority, and due date
  * - Allows marking tasks as complete/incomplete
+ * - Flags tasks that are blocked by open dependencies and refuses to complete them
  * - Provides task editing capability with validation
- * - Implements localStorage for persistent storage and cross-component data sharing
+ * - Edits to recurring tasks apply to this occurrence or all future ones
+ * - Persists changes through the tasks API
+ * - Picks up changes made by other users and tabs from the server's task event stream
  * - Includes loading, error, and empty states with appropriate UI feedback
  * 
  * @author Senior Full-Stack Engineer
- * @version 1.1.0
+ * @version 1.3.0
  */
 
 import React, { useState, useEffect } from 'react';
-import { FaCheck, FaEdit, FaSpinner, FaExclamationTriangle, FaCalendarAlt, FaFlag, FaSearch, FaFilter } from 'react-icons/fa';
+import { FaCheck, FaLock, FaEdit, FaSpinner, FaExclamationTriangle, FaCalendarAlt, FaFlag, FaSearch, FaFilter } from 'react-icons/fa';
+import { fetchTasks, updateTask, submitTaskForReview, reviewTask } from '../../api';
+import { useWorkflow } from '../../hooks/useWorkflow';
+import { useAuth } from '../../contexts/AuthContext';
+import { useTaskEvents, applyTaskEvent } from '../../hooks/useTaskEvents';
+import OccurrenceScopeDialog from './OccurrenceScopeDialog';
 
 const TaskList = () => {
+  const { user } = useAuth();
+  // A task is complete when it sits in a workflow state marked as done
+  const { states, isDone: isComplete, isBlocked } = useWorkflow();
+
   // State management with proper initialization
   const [tasks, setTasks] = useState([]);
-  const [filteredTasks, setFilteredTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [editingTask, setEditingTask] = useState(null);
   const [editForm, setEditForm] = useState({ title: '', description: '' });
+  const [scopePrompt, setScopePrompt] = useState(null); // id of a recurring task waiting for an edit scope
   
   // Filter state
   const [filters, setFilters] = useState({
@@ -38,13 +50,14 @@ const TaskList = () => {
    * 
    * @param {Array} taskList - List of tasks to filter
    * @param {Object} filterSettings - Current filter settings
+   * @returns {Array} The tasks to show
    */
-  const applyFilters = (taskList, filterSettings) => {
+  const filterTasks = (taskList, filterSettings) => {
     let result = [...taskList];
     
     // Apply status filter
     if (filterSettings.status !== 'all') {
-      result = result.filter(task => task.status === filterSettings.status);
+      result = result.filter(task => isComplete(task) === (filterSettings.status === 'complete'));
     }
     
     // Apply search filter
@@ -56,9 +69,11 @@ const TaskList = () => {
       );
     }
     
-    setFilteredTasks(result);
+    return result;
   };
 
+  const filteredTasks = filterTasks(tasks, filters);
+
   /**
    * Handle filter changes
    * 
@@ -72,75 +87,16 @@ const TaskList = () => {
     };
     
     setFilters(newFilters);
-    applyFilters(tasks, newFilters);
   };
 
   /**
-   * Load tasks from localStorage or initialize with mock data
-   * Uses localStorage for cross-component data sharing
+   * Load the user's tasks from the server
    */
   useEffect(() => {
     const loadTasks = async () => {
       try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Check for existing tasks in localStorage
-        const storedTasks = localStorage.getItem('tasks');
-        
-        if (storedTasks) {
-          // Parse and use stored tasks
-          const parsedTasks = JSON.parse(storedTasks);
-          setTasks(parsedTasks);
-          applyFilters(parsedTasks, filters);
-        } else {
-          // Initialize with mock data if no stored tasks exist
-          const mockTasks = [
-            {
-              _id: '1',
-              title: 'Complete project documentation',
-              description: 'Write comprehensive documentation for the TaskFlow project',
-              status: 'incomplete',
-              priority: 'high',
-              dueDate: new Date().toISOString(),
-              createdAt: new Date().toISOString()
-            },
-            {
-              _id: '2',
-              title: 'Fix navigation bug',
-              description: 'Address the issue with sidebar navigation on mobile devices',
-              status: 'complete',
-              priority: 'medium',
-              dueDate: new Date().toISOString(),
-              createdAt: new Date(Date.now() - 86400000).toISOString()
-            },
-            {
-              _id: '3',
-              title: 'Implement user feedback',
-              description: 'Add the user feedback form to the dashboard',
-              status: 'incomplete',
-              priority: 'low',
-              dueDate: new Date(Date.now() + 86400000).toISOString(),
-              createdAt: new Date(Date.now() - 172800000).toISOString()
-            },
-            {
-              _id: '4',
-              title: 'Update dependencies',
-              description: 'Update all npm packages to their latest versions',
-              status: 'incomplete',
-              priority: 'medium',
-              dueDate: new Date(Date.now() + 172800000).toISOString(),
-              createdAt: new Date(Date.now() - 259200000).toISOString()
-            }
-          ];
-          
-          // Store mock tasks in localStorage for persistence
-          localStorage.setItem('tasks', JSON.stringify(mockTasks));
-          
-          setTasks(mockTasks);
-          applyFilters(mockTasks, filters);
-        }
-        
+        const storedTasks = await fetchTasks();
+        setTasks(storedTasks);
         setError(null);
       } catch (err) {
         console.error('Error loading tasks:', err);
@@ -151,58 +107,52 @@ const TaskList = () => {
     };
 
     loadTasks();
-    
-    // Set up event listener for storage changes from other components
-    const handleStorageChange = (e) => {
-      if (e.key === 'tasks') {
-        try {
-          const updatedTasks = JSON.parse(e.newValue || '[]');
-          setTasks(updatedTasks);
-          applyFilters(updatedTasks, filters);
-        } catch (err) {
-          console.error('Error parsing tasks from storage:', err);
-        }
-      }
-    };
-    
-    // Add event listener for storage changes
-    window.addEventListener('storage', handleStorageChange);
-    
-    // Clean up event listener on component unmount
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-    };
   }, []);
 
   /**
-   * Toggle task completion status
-   * Updates both component state and localStorage
+   * Keep the list in step with task changes pushed by the server
+   */
+  useTaskEvents((event) => setTasks((current) => applyTaskEvent(current, event)));
+
+  /**
+   * Replace a task with its saved version
+   * 
+   * @param {Object} savedTask - Task as returned by the server
+   */
+  const applySavedTask = (savedTask) => {
+    setTasks((current) => current.map(task => task._id === savedTask._id ? savedTask : task));
+  };
+
+  /**
+   * Toggle task completion status. Completing goes through admin review:
+   * users submit the task, admins approve it directly.
    * 
    * @param {string} taskId - ID of the task to update
    */
-  const handleStatusChange = (taskId) => {
-    const updatedTasks = tasks.map(task => 
-      task._id === taskId 
-        ? { 
-            ...task, 
-            status: task.status === 'complete' ? 'incomplete' : 'complete',
-            updatedAt: new Date().toISOString()
-          } 
-        : task
-    );
-    
-    // Update local state
-    setTasks(updatedTasks);
-    applyFilters(updatedTasks, filters);
-    
-    // Persist to localStorage for cross-component sharing
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
+  const handleStatusChange = async (taskId) => {
+    const task = tasks.find(t => t._id === taskId);
+
+    // Completing is refused while blockers are open; say why instead of making the request
+    if (!isComplete(task) && isBlocked(task)) {
+      const open = task.blockedBy.filter(blocker => !isComplete(blocker)).map(blocker => `"${blocker.title}"`);
+      alert(`This task is still blocked by ${open.join(', ')}`);
+      return;
+    }
     
-    // Dispatch storage event for other components
-    window.dispatchEvent(new StorageEvent('storage', {
-      key: 'tasks',
-      newValue: JSON.stringify(updatedTasks)
-    }));
+    try {
+      let savedTask;
+      if (isComplete(task)) {
+        savedTask = await updateTask(taskId, { status: states[0].name });
+      } else if (user?.role === 'admin') {
+        savedTask = await reviewTask(taskId, 'approve');
+      } else {
+        savedTask = await submitTaskForReview(taskId);
+      }
+      applySavedTask(savedTask);
+    } catch (err) {
+      console.error('Error updating task:', err);
+      alert(`Failed to update task: ${err.message}`);
+    }
   };
 
   /**
@@ -233,42 +183,37 @@ const TaskList = () => {
 
   /**
    * Save edited task
-   * Updates both component state and localStorage
    * 
    * @param {string} taskId - ID of the task being edited
+   * @param {string} [scope] - "occurrence" or "future" for a recurring task
    */
-  const saveTask = (taskId) => {
+  const saveTask = async (taskId, scope) => {
     // Form validation
     if (!editForm.title.trim()) {
       alert('Task title cannot be empty');
       return;
     }
+
+    // Recurring tasks ask whether the edit is for this occurrence or all future ones
+    const task = tasks.find(t => t._id === taskId);
+    if (task.series?.active && !scope) {
+      setScopePrompt(taskId);
+      return;
+    }
+    setScopePrompt(null);
     
-    // Update task with edited values
-    const updatedTasks = tasks.map(task => 
-      task._id === taskId 
-        ? { 
-            ...task, 
-            title: editForm.title, 
-            description: editForm.description,
-            updatedAt: new Date().toISOString()
-          } 
-        : task
-    );
-    
-    // Update local state
-    setTasks(updatedTasks);
-    applyFilters(updatedTasks, filters);
-    setEditingTask(null);
-    
-    // Persist to localStorage for cross-component sharing
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    
-    // Dispatch storage event for other components
-    window.dispatchEvent(new StorageEvent('storage', {
-      key: 'tasks',
-      newValue: JSON.stringify(updatedTasks)
-    }));
+    try {
+      const savedTask = await updateTask(taskId, {
+        title: editForm.title,
+        description: editForm.description,
+        scope
+      });
+      applySavedTask(savedTask);
+      setEditingTask(null);
+    } catch (err) {
+      console.error('Error saving task:', err);
+      alert(`Failed to save task: ${err.message}`);
+    }
   };
 
   /**
@@ -415,7 +360,6 @@ const TaskList = () => {
                   className="block mx-auto mt-2 px-3 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
                   onClick={() => {
                     setFilters({ status: 'all', search: '' });
-                    applyFilters(tasks, { status: 'all', search: '' });
                   }}
                 >
                   Clear Filters
@@ -471,19 +415,20 @@ const TaskList = () => {
                   // Task display
                   <div>
                     <div className="flex justify-between items-start">
-                      <h4 className={`font-medium ${task.status === 'complete' ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                      <h4 className={`font-medium ${isComplete(task) ? 'line-through text-gray-500' : 'text-gray-800'}`}>
                         {task.title}
                       </h4>
                       <div className="flex space-x-2">
                         <button
                           onClick={() => handleStatusChange(task._id)}
-                          className={`p-1 rounded ${
-                            task.status === 'complete' 
+                          disabled={task.reviewStatus === 'pending'}
+                          className={`p-1 rounded disabled:opacity-50 ${
+                            isComplete(task) 
                               ? 'bg-green-100 text-green-600' 
                               : 'bg-gray-100 text-gray-600'
                           } hover:opacity-80 transition-opacity`}
-                          title={task.status === 'complete' ? 'Mark as incomplete' : 'Mark as complete'}
-                          aria-label={task.status === 'complete' ? 'Mark as incomplete' : 'Mark as complete'}
+                          title={task.reviewStatus === 'pending' ? 'Awaiting review' : isComplete(task) ? 'Mark as incomplete' : 'Mark as complete'}
+                          aria-label={isComplete(task) ? 'Mark as incomplete' : 'Mark as complete'}
                         >
                           <FaCheck aria-hidden="true" />
                         </button>
@@ -498,7 +443,7 @@ const TaskList = () => {
                       </div>
                     </div>
                     
-                    <p className={`text-sm mt-1 ${task.status === 'complete' ? 'text-gray-400' : 'text-gray-600'}`}>
+                    <p className={`text-sm mt-1 ${isComplete(task) ? 'text-gray-400' : 'text-gray-600'}`}>
                       {task.description}
                     </p>
                     
@@ -506,16 +451,26 @@ const TaskList = () => {
                       <div className="flex flex-wrap gap-2">
                         <span 
                           className={`text-xs px-2 py-1 rounded flex items-center ${
-                            task.status === 'complete' 
+                            isComplete(task) 
                               ? 'bg-green-100 text-green-800' 
                               : 'bg-yellow-100 text-yellow-800'
                           }`}
                           aria-label={`Status: ${task.status}`}
                         >
                           <FaCheck className="mr-1" aria-hidden="true" />
-                          {task.status === 'complete' ? 'Complete' : 'Incomplete'}
+                          {isComplete(task) ? 'Complete' : task.reviewStatus === 'pending' ? 'In review' : 'Incomplete'}
                         </span>
                         
+                        {!isComplete(task) && isBlocked(task) && (
+                          <span
+                            className="text-xs px-2 py-1 rounded flex items-center bg-red-100 text-red-800"
+                            title={`Blocked by ${task.blockedBy.map(blocker => blocker.title).join(', ')}`}
+                          >
+                            <FaLock className="mr-1" aria-hidden="true" />
+                            Blocked
+                          </span>
+                        )}
+
                         {task.priority && (
                           <span 
                             className={`text-xs px-2 py-1 rounded flex items-center ${getPriorityClasses(task.priority)}`}
@@ -527,13 +482,13 @@ const TaskList = () => {
                         )}
                       </div>
                       
-                      {task.dueDate && (
+                      {task.deadline && (
                         <span 
                           className="text-xs text-gray-500 flex items-center"
-                          title={`Due date: ${new Date(task.dueDate).toLocaleString()}`}
+                          title={`Due date: ${new Date(task.deadline).toLocaleString()}`}
                         >
                           <FaCalendarAlt className="mr-1" aria-hidden="true" />
-                          {formatDate(task.dueDate)}
+                          {formatDate(task.deadline)}
                         </span>
                       )}
                     </div>
@@ -544,6 +499,13 @@ const TaskList = () => {
           )}
         </ul>
       </div>
+
+      <OccurrenceScopeDialog
+        isOpen={Boolean(scopePrompt)}
+        action="Edit"
+        onChoose={(scope) => saveTask(scopePrompt, scope)}
+        onClose={() => setScopePrompt(null)}
+      />
     </div>
   );
 };
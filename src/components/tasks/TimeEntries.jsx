@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from "react";
+import { FaTrash } from "react-icons/fa";
+import { fetchTimeEntries, addTimeEntry, deleteTimeEntry } from "../../api";
+import { useAuth } from "../../contexts/AuthContext";
+import { formatDuration, toDateInputValue } from "../../utils/dateFormatter";
+
+/**
+ * Time logged on a task, with a form for adding time by hand.
+ *
+ * @param {Object} task - Task with `id`
+ * @param {Function} onChange - Called with the change in tracked seconds
+ */
+const TimeEntries = ({ task, onChange }) => {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState({ minutes: "", date: toDateInputValue(new Date()), note: "" });
+
+  useEffect(() => {
+    fetchTimeEntries(task.id)
+      .then(setEntries)
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [task.id]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      const entry = await addTimeEntry(task.id, { ...form, minutes: Number(form.minutes) });
+      setEntries([entry, ...entries]);
+      setForm({ ...form, minutes: "", note: "" });
+      onChange(entry.seconds);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm("Delete this time entry?")) return;
+
+    try {
+      await deleteTimeEntry(task.id, entry._id);
+      setEntries(entries.filter((other) => other._id !== entry._id));
+      onChange(-entry.seconds);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      {error && <p className="mb-2 text-sm text-red-600" role="alert">{error}</p>}
+
+      <form onSubmit={handleAdd} className="flex flex-wrap gap-2 items-end mb-4">
+        <label className="text-sm text-gray-700">
+          Minutes
+          <input
+            type="number"
+            min="1"
+            max="1440"
+            className="block w-24 p-2 border rounded-lg"
+            value={form.minutes}
+            onChange={(e) => setForm({ ...form, minutes: e.target.value })}
+            required
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          Date
+          <input
+            type="date"
+            className="block p-2 border rounded-lg"
+            value={form.date}
+            onChange={(e) => setForm({ ...form, date: e.target.value })}
+          />
+        </label>
+        <label className="text-sm text-gray-700 flex-1 min-w-[10rem]">
+          Note
+          <input
+            type="text"
+            maxLength="500"
+            placeholder="What did you work on?"
+            className="block w-full p-2 border rounded-lg"
+            value={form.note}
+            onChange={(e) => setForm({ ...form, note: e.target.value })}
+          />
+        </label>
+        <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+          Log time
+        </button>
+      </form>
+
+      {loading ? (
+        <p className="text-gray-500">Loading time entries...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-gray-500">No time logged yet.</p>
+      ) : (
+        <ul className="divide-y">
+          {entries.map((entry) => (
+            <li key={entry._id} className="py-2 flex items-center gap-3 text-sm">
+              <span className="w-20 font-medium text-gray-800">
+                {entry.endedAt ? formatDuration(entry.seconds) : "Running"}
+              </span>
+              <div className="flex-1 min-w-0">
+                <p className="text-gray-800 truncate">{entry.note || (entry.manual ? "Logged by hand" : "Timer")}</p>
+                <p className="text-xs text-gray-500">
+                  {entry.user?.fullName || "Unknown"} · {new Date(entry.startedAt).toLocaleString()}
+                </p>
+              </div>
+              {entry.endedAt && (user?.role === "admin" || entry.user?._id === user?.id) && (
+                <button
+                  className="text-red-500 hover:text-red-700"
+                  onClick={() => handleDelete(entry)}
+                  aria-label="Delete time entry"
+                >
+                  <FaTrash />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TimeEntries;
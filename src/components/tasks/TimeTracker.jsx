@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from "react";
+import { FaPlay, FaStop, FaClock } from "react-icons/fa";
+import Modal from "../common/Modal";
+import TimeEntries from "./TimeEntries";
+import { useRunningTimer, useElapsedSeconds } from "../../hooks/useRunningTimer";
+import { formatDuration } from "../../utils/dateFormatter";
+
+// Keeps a card's click from starting a drag on the draggable board
+const stopPropagation = (e) => e.stopPropagation();
+
+/**
+ * Start/stop timer and tracked time total for a task card; the total opens
+ * the task's time entries.
+ *
+ * @param {Object} task - Task with `id`, `title` and `trackedSeconds`
+ * @param {Function} [onError] - Called with an Error when starting or stopping fails
+ */
+const TimeTracker = ({ task, onError = (err) => alert(err.message), className = "" }) => {
+  const [added, setAdded] = useState(0); // seconds tracked since the task was loaded
+  const [isOpen, setIsOpen] = useState(false);
+  const { timer, start, stop } = useRunningTimer((stopped) => {
+    if (stopped.task?._id === task.id) setAdded((seconds) => seconds + stopped.seconds);
+  });
+
+  // A reloaded task already includes what was added locally
+  useEffect(() => setAdded(0), [task.trackedSeconds]);
+
+  const isRunning = timer?.task?._id === task.id;
+  const elapsed = useElapsedSeconds(isRunning ? timer : null);
+  const total = task.trackedSeconds + added + elapsed;
+
+  const handleToggle = () => (isRunning ? stop() : start(task.id)).catch(onError);
+
+  return (
+    <>
+      <span className={`inline-flex items-center gap-1 text-sm ${className}`}>
+        <button
+          type="button"
+          onClick={handleToggle}
+          onPointerDown={stopPropagation}
+          onKeyDown={stopPropagation}
+          className={isRunning ? "text-red-600 hover:text-red-800" : "text-green-600 hover:text-green-800"}
+          title={isRunning ? "Stop timer" : "Start timer"}
+          aria-label={isRunning ? "Stop timer" : "Start timer"}
+        >
+          {isRunning ? <FaStop /> : <FaPlay />}
+        </button>
+        <button
+          type="button"
+          onClick={() => setIsOpen(true)}
+          onPointerDown={stopPropagation}
+          onKeyDown={stopPropagation}
+          className="inline-flex items-center gap-1 text-gray-600 hover:text-blue-600"
+          title="Time entries"
+        >
+          <FaClock aria-hidden="true" />
+          <span>{formatDuration(total)}</span>
+        </button>
+      </span>
+
+      <Modal isOpen={isOpen} onClose={() => setIsOpen(false)} title={`Time · ${task.title}`}>
+        <TimeEntries task={task} onChange={(seconds) => setAdded((current) => current + seconds)} />
+      </Modal>
+    </>
+  );
+};
+
+export default TimeTracker;
@@ -7,14 +7,26 @@
  * Features:
  * - User authentication state management
  * - Login/logout functionality
- * - Token persistence
+ * - Token persistence with server-side session validation
+ * - Silent access token refresh before expiry
  * - Role-based access control support
  * 
  * @author Senior Full-Stack Engineer
- * @version 1.0.0
+ * @version 1.1.0
  */
 
 import React, { createContext, useState, useContext, useEffect } from "react";
+import {
+  loginUser,
+  registerUser,
+  refreshAccessToken,
+  fetchCurrentUser,
+  logoutUser,
+  logoutAllDevices,
+} from "../api";
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
 
 // Create the authentication context
 const AuthContext = createContext();
@@ -27,6 +39,71 @@ export const useAuth = () => {
   return useContext(AuthContext);
 };
 
+/**
+ * Reads the persisted session back out of localStorage
+ * @returns {Object|null} Stored user or null when no session exists
+ */
+const readStoredUser = () => {
+  const token = localStorage.getItem("token");
+  const email = localStorage.getItem("email");
+
+  return token && email
+    ? { id: localStorage.getItem("userId"), email, role: localStorage.getItem("userRole") }
+    : null;
+};
+
+/**
+ * Reads the expiry of a JWT without verifying it (the server does that)
+ * @param {string|null} token - Encoded JWT
+ * @returns {number} Expiry as a millisecond timestamp, or 0 when unreadable
+ */
+const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload)).exp * 1000;
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * Writes a session returned by the auth API to localStorage
+ * @param {Object} session - Response from login, register or refresh
+ * @returns {Object} Authenticated user
+ */
+const persistSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem("token", token);
+  localStorage.setItem("refreshToken", refreshToken);
+  localStorage.setItem("userRole", user.role);
+  localStorage.setItem("teamLead", String(Boolean(user.teamLead)));
+  localStorage.setItem("userId", user.id);
+  localStorage.setItem("email", user.email);
+
+  return user;
+};
+
+// In-flight refresh shared by concurrent callers, since each refresh token is single-use
+let pendingRefresh = null;
+
+/**
+ * Exchanges the stored refresh token for a new session
+ * @returns {Promise<Object>} Refreshed user data
+ * @throws {Error} When there is no refresh token or the server rejects it
+ */
+const refreshStoredSession = () => {
+  if (!pendingRefresh) {
+    const refreshToken = localStorage.getItem("refreshToken");
+
+    pendingRefresh = (refreshToken
+      ? refreshAccessToken(refreshToken).then(persistSession)
+      : Promise.reject(new Error("No refresh token stored"))
+    ).finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+};
+
 /**
  * Authentication Provider Component
  * Manages authentication state and provides methods to login, logout, etc.
@@ -39,18 +116,13 @@ const AuthProvider = ({ children }) => {
    * Initialize user state from localStorage if available
    * This ensures authentication persists across page refreshes
    */
-  const [user, setUser] = useState(() => {
-    const token = localStorage.getItem("token");
-    const email = localStorage.getItem("email");
-    
-    return token && email ? { email } : null;
-  });
+  const [user, setUser] = useState(readStoredUser);
   
   const [loading, setLoading] = useState(true);
 
   /**
    * Effect to check token validity on mount
-   * In a production app, this would verify the token with the backend
+   * Refreshes an expired access token, then confirms the session with the server
    */
   useEffect(() => {
     const checkAuth = async () => {
@@ -58,21 +130,18 @@ const AuthProvider = ({ children }) => {
         const token = localStorage.getItem("token");
         
         if (token) {
-          // In a real app, we would validate the token with the server
-          // For this demo, we'll just check if it exists
-          const email = localStorage.getItem("email");
-          
-          if (email) {
-            setUser({ email });
-          } else {
-            // If email is missing but token exists, something is wrong
-            // Clear authentication data
-            handleLogout();
+          if (getTokenExpiry(token) - Date.now() <= REFRESH_MARGIN_MS) {
+            await refreshStoredSession();
           }
+
+          const { user: currentUser } = await fetchCurrentUser();
+          localStorage.setItem("userRole", currentUser.role);
+          localStorage.setItem("teamLead", String(Boolean(currentUser.teamLead)));
+          setUser(currentUser);
         }
       } catch (error) {
         console.error("Authentication check failed:", error);
-        handleLogout();
+        clearSession();
       } finally {
         setLoading(false);
       }
@@ -81,74 +150,117 @@ const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  /**
+   * Effect to keep the access token fresh while signed in
+   * Refreshes shortly before expiry, and re-checks when the tab becomes visible
+   * since timers do not fire while a laptop is asleep
+   */
+  useEffect(() => {
+    if (!user) return undefined;
+
+    const refreshIfDue = () => {
+      if (getTokenExpiry(localStorage.getItem("token")) - Date.now() > REFRESH_MARGIN_MS) return;
+
+      refreshStoredSession().then(setUser).catch((error) => {
+        // Another tab may already have rotated the session
+        if (getTokenExpiry(localStorage.getItem("token")) - Date.now() > REFRESH_MARGIN_MS) return;
+
+        console.error("Session refresh failed:", error);
+        clearSession();
+      });
+    };
+
+    const delay = getTokenExpiry(localStorage.getItem("token")) - Date.now() - REFRESH_MARGIN_MS;
+    const timer = setTimeout(refreshIfDue, Math.max(delay, 0));
+    document.addEventListener("visibilitychange", refreshIfDue);
+
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", refreshIfDue);
+    };
+  }, [user]);
+
+  /**
+   * Persists the session returned by the auth API and updates state
+   * @param {Object} session - Response from /api/auth/login or /api/auth/register
+   * @returns {Object} Authenticated user
+   */
+  const storeSession = (session) => {
+    const sessionUser = persistSession(session);
+    setUser(sessionUser);
+    return sessionUser;
+  };
+
   /**
    * Handles user login
    * @param {string} email - User's email
-   * @param {string} password - User's password (not used in mock implementation)
+   * @param {string} password - User's password
+   * @param {string} [role] - Portal the user is logging into; the server rejects a mismatch
    * @returns {Promise<Object>} User data
+   * @throws {Error} When the credentials are rejected
    */
-  const login = async (email, password) => {
-    // In a real app, this would make an API call
-    // For this demo, we just update the state
-    setUser({ email });
-    return { email };
+  const login = async (email, password, role) => {
+    const session = await loginUser({ email, password, role });
+    return storeSession(session);
   };
 
   /**
    * Handles user signup
-   * @param {string} email - User's email
-   * @param {string} password - User's password
+   * @param {Object} details - Registration details
+   * @param {string} details.fullName - User's full name
+   * @param {string} details.email - User's email
+   * @param {string} details.password - User's password
    * @returns {Promise<Object>} User data
+   * @throws {Error} When registration fails, e.g. the email is already taken
    */
-  const signup = async (email, password) => {
-    // In a real app, this would make an API call
-    // For this demo, we just update the state
-    setUser({ email });
-    return { email };
+  const signup = async ({ fullName, email, password }) => {
+    const session = await registerUser({ fullName, email, password });
+    return storeSession(session);
   };
 
   /**
-   * Handles user logout
    * Clears authentication data and resets state
    */
-  const handleLogout = () => {
-    // Log logout event before clearing data
-    const email = localStorage.getItem("email");
-    const userRole = localStorage.getItem("userRole");
-    const userId = localStorage.getItem("userId");
-    
-    if (email && userId) {
-      // Find the most recent login log for this user and update it with logout time
-      const existingLogs = JSON.parse(localStorage.getItem('userLogs') || '[]');
-      const userLogs = existingLogs.filter(log => log.userId === userId);
-      
-      if (userLogs.length > 0) {
-        // Update the most recent login log with logout time
-        const mostRecentLog = userLogs[userLogs.length - 1];
-        const updatedLogs = existingLogs.map(log => 
-          log.id === mostRecentLog.id 
-            ? { ...log, logoutTime: new Date().toISOString() }
-            : log
-        );
-        
-        localStorage.setItem('userLogs', JSON.stringify(updatedLogs));
-        console.log("User logout logged:", { userId, username: email, role: userRole });
-      }
-    }
-    
+  const clearSession = () => {
     // Clear all auth-related data from localStorage
     localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
     localStorage.removeItem("userRole");
+    localStorage.removeItem("teamLead");
     localStorage.removeItem("userId");
     localStorage.removeItem("email");
     
     // Reset user state
     setUser(null);
     
-    // In a real app, we might also invalidate the token on the server
     console.log("User logged out");
   };
 
+  /**
+   * Handles user logout
+   * Revokes the token on the server, then clears local authentication data.
+   * The local session is cleared even if the server cannot be reached.
+   */
+  const handleLogout = async () => {
+    if (localStorage.getItem("token")) {
+      try {
+        await logoutUser();
+      } catch (error) {
+        console.error("Server logout failed:", error);
+      }
+    }
+    clearSession();
+  };
+
+  /**
+   * Logs the user out on every device by revoking all of their sessions
+   * @throws {Error} When the server rejects the request; the local session is kept
+   */
+  const handleLogoutAllDevices = async () => {
+    await logoutAllDevices();
+    clearSession();
+  };
+
   /**
    * Handles password reset request
    * @param {string} email - User's email
@@ -170,6 +282,12 @@ const AuthProvider = ({ children }) => {
     return userRole === requiredRole;
   };
 
+  /**
+   * Checks if the current user leads a team, which opens the team management pages
+   * @returns {boolean} Whether the user is a team lead
+   */
+  const isTeamLead = () => localStorage.getItem("teamLead") === "true";
+
   /**
    * Context value with authentication state and methods
    */
@@ -179,9 +297,11 @@ const AuthProvider = ({ children }) => {
     login,
     signup,
     logout: handleLogout,
+    logoutAllDevices: handleLogoutAllDevices,
     resetPassword,
     hasRole,
     isAdmin: () => hasRole("admin"),
+    isTeamLead,
     isAuthenticated: !!user,
   };
 
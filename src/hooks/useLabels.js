@@ -0,0 +1,42 @@
+import { useEffect, useState } from "react";
+import { fetchLabels } from "../api";
+
+// Components mounting together (form, board filter) share one in-flight request
+let pendingLabels = null;
+
+/**
+ * Loads every label. `addLabel` puts a label created from this component
+ * into the local list so it can be picked straight away.
+ */
+export const useLabels = () => {
+  const [labels, setLabels] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    if (!pendingLabels) {
+      pendingLabels = fetchLabels().finally(() => {
+        pendingLabels = null;
+      });
+    }
+
+    pendingLabels
+      .then((loaded) => active && setLabels(loaded))
+      .catch((err) => console.error("Error loading labels:", err));
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return {
+    labels,
+    addLabel: (label) =>
+      setLabels((current) => [...current, label].sort((a, b) => a.name.localeCompare(b.name))),
+  };
+};
+
+// Tasks carrying every one of the selected label ids; no selection keeps them all
+export const filterByLabels = (tasks, labelIds) =>
+  labelIds.length === 0
+    ? tasks
+    : tasks.filter((task) => labelIds.every((id) => (task.labels || []).some((label) => label._id === id)));
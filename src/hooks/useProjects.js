@@ -0,0 +1,76 @@
+import { useEffect, useState } from "react";
+import { fetchProjects } from "../api";
+
+const STORAGE_KEY = "currentProject";
+
+// The project list and the switcher's selection are shared by the sidebars and every scoped view
+let projects; // undefined until loaded
+let loadedFor = null; // user the cached list belongs to
+let pendingLoad = null;
+const listeners = new Set();
+
+const publish = () => listeners.forEach((listener) => listener());
+
+const loadProjects = () => {
+  if (!pendingLoad) {
+    pendingLoad = fetchProjects()
+      .then((loaded) => {
+        projects = loaded;
+        publish();
+      })
+      .catch((err) => console.error("Error loading projects:", err))
+      .finally(() => {
+        pendingLoad = null;
+      });
+  }
+  return pendingLoad;
+};
+
+/**
+ * Projects the user can see and the one picked in the sidebar switcher.
+ * `currentProjectId` is null for "All projects"; views pass it to fetchTasks
+ * so they only show the selected project. `saveProject` puts a created or
+ * edited project into the shared list.
+ */
+export const useProjects = () => {
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    const listener = () => setVersion((version) => version + 1);
+    listeners.add(listener);
+
+    // A different user signed in on this tab: forget the previous user's projects
+    const userId = localStorage.getItem("userId");
+    if (loadedFor !== userId) {
+      loadedFor = userId;
+      projects = undefined;
+    }
+    if (projects === undefined) loadProjects();
+
+    return () => {
+      listeners.delete(listener);
+    };
+  }, []);
+
+  const stored = localStorage.getItem(STORAGE_KEY);
+  const currentProject = (projects || []).find((project) => project._id === stored) || null;
+
+  return {
+    projects: projects || [],
+    currentProject,
+    // Until the list arrives trust the stored choice, so views don't load every project first
+    currentProjectId: projects === undefined ? stored : currentProject && currentProject._id,
+    selectProject: (id) => {
+      if (id) localStorage.setItem(STORAGE_KEY, id);
+      else localStorage.removeItem(STORAGE_KEY);
+      publish();
+    },
+    saveProject: (saved) => {
+      const others = (projects || []).filter((project) => project._id !== saved._id);
+      projects = [...others, saved].sort(
+        (a, b) => Number(b.isDefault) - Number(a.isDefault) || a.name.localeCompare(b.name)
+      );
+      publish();
+    },
+  };
+};
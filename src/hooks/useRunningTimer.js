@@ -0,0 +1,79 @@
+import { useEffect, useRef, useState } from "react";
+import { fetchRunningTimer, startTimer, stopTimer } from "../api";
+
+// The running timer is shared by the Navbar indicator and every task card
+let running; // undefined until loaded, then the entry or null
+let runningFor = null; // user the cached timer belongs to
+let pendingLoad = null;
+const listeners = new Set();
+
+const publish = (timer, stopped = null) => {
+  running = timer;
+  listeners.forEach((listener) => listener(timer, stopped));
+};
+
+/**
+ * The current user's running timer and actions to start or stop it.
+ * `onStopped(entry)` is called whenever any timer is stopped, so task cards
+ * can add the finished time to their totals.
+ */
+export const useRunningTimer = (onStopped) => {
+  const [timer, setTimer] = useState(running || null);
+  const onStoppedRef = useRef(onStopped);
+  onStoppedRef.current = onStopped;
+
+  useEffect(() => {
+    const listener = (next, stopped) => {
+      setTimer(next);
+      if (stopped && onStoppedRef.current) onStoppedRef.current(stopped);
+    };
+    listeners.add(listener);
+
+    // A different user signed in on this tab: forget the previous user's timer
+    const userId = localStorage.getItem("userId");
+    if (runningFor !== userId) {
+      runningFor = userId;
+      running = undefined;
+    }
+
+    if (running === undefined && !pendingLoad) {
+      pendingLoad = fetchRunningTimer()
+        .then((entry) => publish(entry))
+        .catch((err) => console.error("Error loading running timer:", err))
+        .finally(() => {
+          pendingLoad = null;
+        });
+    } else if (running !== undefined) {
+      setTimer(running);
+    }
+
+    return () => {
+      listeners.delete(listener);
+    };
+  }, []);
+
+  return {
+    timer,
+    start: async (taskId) => {
+      const { timer: started, stopped } = await startTimer(taskId);
+      publish(started, stopped);
+    },
+    stop: async () => {
+      const stopped = await stopTimer();
+      publish(null, stopped);
+    },
+  };
+};
+
+// Seconds elapsed on a running timer, updated every second
+export const useElapsedSeconds = (timer) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!timer) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timer]);
+
+  return timer ? Math.max(0, Math.floor((now - new Date(timer.startedAt)) / 1000)) : 0;
+};
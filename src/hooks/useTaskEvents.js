@@ -0,0 +1,93 @@
+import { useEffect, useRef } from "react";
+import { taskEventsUrl } from "../api";
+
+const RECONNECT_MS = 5000;
+const TASK_EVENTS = ["created", "updated", "deleted"];
+const NOTIFICATION_EVENTS = ["notification"];
+const EVENT_TYPES = [...TASK_EVENTS, ...NOTIFICATION_EVENTS];
+
+// One stream per tab, shared by every component that listens for server events
+let source = null;
+let reconnectTimer = null;
+const listeners = new Set(); // { types, callback }
+
+const connect = () => {
+  if (source || !localStorage.getItem("token")) return;
+
+  source = new EventSource(taskEventsUrl());
+  EVENT_TYPES.forEach((type) =>
+    source.addEventListener(type, (message) => {
+      const data = JSON.parse(message.data);
+      listeners.forEach((listener) => {
+        if (listener.types.includes(type)) listener.callback(type, data);
+      });
+    })
+  );
+
+  // The server ends the stream when the access token expires; reconnect with the refreshed one
+  source.onerror = () => {
+    source.close();
+    source = null;
+    if (listeners.size > 0 && !reconnectTimer) {
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        if (listeners.size > 0) connect();
+      }, RECONNECT_MS);
+    }
+  };
+};
+
+const disconnect = () => {
+  if (source) source.close();
+  source = null;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+};
+
+/**
+ * Calls `callback(type, data)` for each server event of the given types,
+ * opening the stream if needed. Returns a function that stops listening.
+ * For stores that live outside components; components use the hooks below.
+ */
+export const onServerEvent = (types, callback) => {
+  const listener = { types, callback };
+  listeners.add(listener);
+  connect();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) disconnect();
+  };
+};
+
+const useServerEvents = (types, onEvent) => {
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  useEffect(() => onServerEvent(types, (type, data) => onEventRef.current(type, data)), [types]);
+};
+
+/**
+ * Calls `onEvent({ type, id, task })` for every task change the server pushes,
+ * whoever made it: "created" and "updated" carry the task, "deleted" only its id.
+ */
+export const useTaskEvents = (onEvent) =>
+  useServerEvents(TASK_EVENTS, (type, data) => onEvent({ type, id: data.id, task: type === "deleted" ? null : data }));
+
+// Calls `onNotification(notification)` for each new notification of the signed-in user
+export const useNotificationEvents = (onNotification) =>
+  useServerEvents(NOTIFICATION_EVENTS, (type, notification) => onNotification(notification));
+
+/**
+ * Applies a pushed change to a task list. Deleted tasks, and with a
+ * `projectId` tasks outside that project, are dropped; others are replaced
+ * in place or appended.
+ */
+export const applyTaskEvent = (tasks, { type, id, task }, projectId = null) => {
+  if (type === "deleted" || (projectId && task.project !== projectId)) {
+    return tasks.filter((other) => other.id !== id);
+  }
+  return tasks.some((other) => other.id === id)
+    ? tasks.map((other) => (other.id === id ? task : other))
+    : [...tasks, task];
+};
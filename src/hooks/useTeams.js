@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+import { fetchTeams } from "../api";
+import { useAuth } from "../contexts/AuthContext";
+
+/**
+ * Loads the teams visible to the user. `managedTeams` are the ones whose
+ * members the viewer manages: every team for admins, the led ones for team
+ * leads. `managesUser(teamId, userId)` tells whether a user belongs to the
+ * selected managed team ("" for all of them); leads don't manage themselves.
+ */
+export const useTeams = () => {
+  const { user, isAdmin } = useAuth();
+  const [teams, setTeams] = useState([]);
+
+  useEffect(() => {
+    fetchTeams()
+      .then(setTeams)
+      .catch((err) => console.error("Error fetching teams:", err));
+  }, []);
+
+  const admin = isAdmin();
+  const managedTeams = admin ? teams : teams.filter((team) => team.leads.some((lead) => lead._id === user?.id));
+
+  return {
+    teams,
+    setTeams,
+    managedTeams,
+    managesUser: (teamId, userId) => {
+      // With no team picked an admin manages everyone
+      if (admin && !teamId) return true;
+      if (!admin && userId === user?.id) return false;
+      return managedTeams.some(
+        (team) => (!teamId || team._id === teamId) && team.members.some((member) => member._id === userId)
+      );
+    },
+  };
+};
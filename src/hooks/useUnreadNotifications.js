@@ -0,0 +1,53 @@
+import { useEffect, useState } from "react";
+import { fetchUnreadNotificationCount } from "../api";
+import { onServerEvent } from "./useTaskEvents";
+
+// The unread count is shared by the sidebar badge and the notifications page
+let unread; // undefined until loaded
+let pendingLoad = null;
+let stopListening = null;
+const listeners = new Set();
+
+// Updates the count everywhere it is shown, e.g. after marking notifications read
+export const setUnreadCount = (count) => {
+  unread = count;
+  listeners.forEach((listener) => listener(count));
+};
+
+/**
+ * Number of unread notifications for the signed-in user. Loaded once, then
+ * kept current by notifications pushed from the server.
+ */
+export const useUnreadNotifications = () => {
+  const [count, setCount] = useState(unread || 0);
+
+  useEffect(() => {
+    listeners.add(setCount);
+    if (!stopListening) {
+      stopListening = onServerEvent(["notification"], () => setUnreadCount((unread || 0) + 1));
+    }
+
+    if (unread === undefined && !pendingLoad) {
+      pendingLoad = fetchUnreadNotificationCount()
+        .then((data) => setUnreadCount(data.unread))
+        .catch((err) => console.error("Error loading unread notifications:", err))
+        .finally(() => {
+          pendingLoad = null;
+        });
+    } else if (unread !== undefined) {
+      setCount(unread);
+    }
+
+    return () => {
+      listeners.delete(setCount);
+      // Nothing shows the count any more; reload it next time rather than trust a stale value
+      if (listeners.size === 0) {
+        stopListening();
+        stopListening = null;
+        unread = undefined;
+      }
+    };
+  }, []);
+
+  return count;
+};
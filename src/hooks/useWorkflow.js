@@ -0,0 +1,46 @@
+import { useEffect, useState } from "react";
+import { fetchWorkflow } from "../api";
+
+// Components mounting together (board, chart, filter) share one in-flight request
+let pendingWorkflow = null;
+
+/**
+ * Loads the admin-defined workflow states (board columns, in order).
+ * `isDone(task)` tells whether a task sits in a state marked as done, and
+ * `doneState` is the state tasks move to when they are completed.
+ * `isBlocked(task)` tells whether any task it is blocked by is still open.
+ */
+export const useWorkflow = () => {
+  const [states, setStates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    if (!pendingWorkflow) {
+      pendingWorkflow = fetchWorkflow().finally(() => {
+        pendingWorkflow = null;
+      });
+    }
+
+    pendingWorkflow
+      .then((workflow) => active && setStates(workflow.states))
+      .catch((err) => active && setError(err))
+      .finally(() => active && setLoading(false));
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const doneNames = states.filter((state) => state.done).map((state) => state.name);
+
+  return {
+    states,
+    loading,
+    error,
+    doneState: states.find((state) => state.done) || null,
+    isDone: (task) => doneNames.includes(task.status),
+    isBlocked: (task) => (task.blockedBy || []).some((blocker) => !doneNames.includes(blocker.status)),
+  };
+};
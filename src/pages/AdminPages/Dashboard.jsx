@@ -4,6 +4,7 @@ import AdminStats from "../../components/admin/AdminStats";
 import RecentUsers from "../../components/admin/RecentUsers";
 import PendingTasks from "../../components/admin/PendingTasks";
 import TaskChart from "../../components/admin/TaskAnalytics"; 
+import TimeReport from "../../components/admin/TimeReport";
 
 const Dashboard = () => {
   return (
@@ -32,6 +33,11 @@ const Dashboard = () => {
           <div className="col-span-1 md:col-span-1 lg:col-span-1">
             <TaskChart />
           </div>
+
+          {/* Time Tracked per User and Task - Full Width */}
+          <div className="col-span-1 md:col-span-2 lg:col-span-3">
+            <TimeReport />
+          </div>
         </div>
 
         
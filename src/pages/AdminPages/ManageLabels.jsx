@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from "react";
+import { FaTrash, FaSave, FaPlus } from "react-icons/fa";
+import Sidebar from "../../components/admin/Sidebar";
+import LabelBadge from "../../components/tasks/LabelBadge";
+import { fetchLabels, createLabel, updateLabel, deleteLabel } from "../../api";
+
+const emptyLabel = { name: "", color: "#3b82f6" };
+
+// Admin screen to add, rename, recolor and delete task labels
+const ManageLabels = () => {
+  const [labels, setLabels] = useState([]);
+  const [drafts, setDrafts] = useState({}); // unsaved edits keyed by label id
+  const [newLabel, setNewLabel] = useState(emptyLabel);
+
+  useEffect(() => {
+    fetchLabels()
+      .then(setLabels)
+      .catch((err) => console.error("Error fetching labels:", err));
+  }, []);
+
+  const sortByName = (list) => [...list].sort((a, b) => a.name.localeCompare(b.name));
+
+  const editLabel = (label, changes) => {
+    setDrafts({ ...drafts, [label._id]: { ...(drafts[label._id] || label), ...changes } });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newLabel.name.trim()) return;
+
+    try {
+      const label = await createLabel({ ...newLabel, name: newLabel.name.trim() });
+      setLabels(sortByName([...labels, label]));
+      setNewLabel(emptyLabel);
+    } catch (err) {
+      alert(`Failed to add label: ${err.message}`);
+    }
+  };
+
+  const handleSave = async (id) => {
+    const { name, color } = drafts[id];
+    try {
+      const updated = await updateLabel(id, { name: name.trim(), color });
+      setLabels(sortByName(labels.map((label) => (label._id === id ? updated : label))));
+      const { [id]: _saved, ...rest } = drafts;
+      setDrafts(rest);
+    } catch (err) {
+      alert(`Failed to update label: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (label) => {
+    if (!window.confirm(`Delete the label "${label.name}"? It will be removed from every task.`)) return;
+
+    try {
+      await deleteLabel(label._id);
+      setLabels(labels.filter((other) => other._id !== label._id));
+    } catch (err) {
+      alert(`Failed to delete label: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen bg-gray-100">
+      <Sidebar />
+
+      <div className="flex-1 p-6">
+        <h1 className="text-2xl font-bold text-gray-800 mb-4">Manage Labels</h1>
+
+        <form onSubmit={handleCreate} className="bg-white shadow-md rounded-lg p-4 mb-6 flex gap-3 items-center">
+          <input
+            type="text"
+            maxLength="40"
+            placeholder="New label name"
+            className="flex-1 p-2 border rounded-lg"
+            value={newLabel.name}
+            onChange={(e) => setNewLabel({ ...newLabel, name: e.target.value })}
+          />
+          <input
+            type="color"
+            className="w-10 h-10 p-1 border rounded-lg"
+            value={newLabel.color}
+            onChange={(e) => setNewLabel({ ...newLabel, color: e.target.value })}
+            aria-label="New label color"
+          />
+          <button type="submit" className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+            <FaPlus className="mr-2" /> Add Label
+          </button>
+        </form>
+
+        {labels.length === 0 ? (
+          <p className="text-gray-600">No labels yet.</p>
+        ) : (
+          <table className="w-full bg-white shadow-md rounded-lg border-collapse">
+            <thead>
+              <tr className="bg-gray-200 text-left text-sm">
+                <th className="p-3">Preview</th>
+                <th className="p-3">Name</th>
+                <th className="p-3">Color</th>
+                <th className="p-3"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {labels.map((label) => {
+                const draft = drafts[label._id] || label;
+                return (
+                  <tr key={label._id} className="border-b">
+                    <td className="p-3">
+                      <LabelBadge label={draft} />
+                    </td>
+                    <td className="p-3">
+                      <input
+                        type="text"
+                        maxLength="40"
+                        className="w-full p-2 border rounded-lg"
+                        value={draft.name}
+                        onChange={(e) => editLabel(label, { name: e.target.value })}
+                        aria-label={`Name of label ${label.name}`}
+                      />
+                    </td>
+                    <td className="p-3">
+                      <input
+                        type="color"
+                        className="w-10 h-10 p-1 border rounded-lg"
+                        value={draft.color}
+                        onChange={(e) => editLabel(label, { color: e.target.value })}
+                        aria-label={`Color of label ${label.name}`}
+                      />
+                    </td>
+                    <td className="p-3 whitespace-nowrap text-right">
+                      <button
+                        className="p-2 text-blue-600 hover:text-blue-800 disabled:opacity-30"
+                        onClick={() => handleSave(label._id)}
+                        disabled={!drafts[label._id] || !draft.name.trim()}
+                        title="Save changes"
+                      >
+                        <FaSave />
+                      </button>
+                      <button
+                        className="p-2 text-red-600 hover:text-red-800"
+                        onClick={() => handleDelete(label)}
+                        title="Delete label"
+                      >
+                        <FaTrash />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ManageLabels;
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from "react";
+import { FaSave, FaPlus, FaArchive, FaBoxOpen } from "react-icons/fa";
+import Sidebar from "../../components/admin/Sidebar";
+import AssigneePicker from "../../components/tasks/AssigneePicker";
+import { createProject, updateProject, fetchUsers } from "../../api";
+import { useProjects } from "../../hooks/useProjects";
+
+const emptyProject = { name: "", description: "", members: [] };
+
+const memberIds = (project) => project.members.map((member) => member._id);
+
+// Admin screen to add projects, edit their members and archive finished ones
+const ManageProjects = () => {
+  const { projects, saveProject } = useProjects();
+  const [users, setUsers] = useState([]);
+  const [drafts, setDrafts] = useState({}); // unsaved edits keyed by project id
+  const [newProject, setNewProject] = useState(emptyProject);
+
+  useEffect(() => {
+    fetchUsers()
+      .then(setUsers)
+      .catch((err) => console.error("Error fetching users:", err));
+  }, []);
+
+  const draftFor = (project) =>
+    drafts[project._id] || { name: project.name, description: project.description, members: memberIds(project) };
+
+  const editProject = (project, changes) => {
+    setDrafts({ ...drafts, [project._id]: { ...draftFor(project), ...changes } });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newProject.name.trim()) return;
+
+    try {
+      saveProject(await createProject({ ...newProject, name: newProject.name.trim() }));
+      setNewProject(emptyProject);
+    } catch (err) {
+      alert(`Failed to add project: ${err.message}`);
+    }
+  };
+
+  const handleSave = async (id, updates) => {
+    try {
+      saveProject(await updateProject(id, updates));
+      const { [id]: _saved, ...rest } = drafts;
+      setDrafts(rest);
+    } catch (err) {
+      alert(`Failed to update project: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen bg-gray-100">
+      <Sidebar />
+
+      <div className="flex-1 p-6">
+        <h1 className="text-2xl font-bold text-gray-800 mb-4">Manage Projects</h1>
+
+        <form onSubmit={handleCreate} className="bg-white shadow-md rounded-lg p-4 mb-6 space-y-3">
+          <input
+            type="text"
+            maxLength="80"
+            placeholder="New project name"
+            className="w-full p-2 border rounded-lg"
+            value={newProject.name}
+            onChange={(e) => setNewProject({ ...newProject, name: e.target.value })}
+          />
+          <textarea
+            placeholder="Description"
+            className="w-full p-2 border rounded-lg"
+            value={newProject.description}
+            onChange={(e) => setNewProject({ ...newProject, description: e.target.value })}
+          />
+          <AssigneePicker
+            users={users}
+            value={newProject.members}
+            onChange={(members) => setNewProject({ ...newProject, members })}
+          />
+          <button type="submit" className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+            <FaPlus className="mr-2" /> Add Project
+          </button>
+        </form>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {projects.map((project) => {
+            const draft = draftFor(project);
+            return (
+              <div
+                key={project._id}
+                className={`bg-white shadow-md rounded-lg p-4 space-y-3 ${project.archived ? "opacity-60" : ""}`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <input
+                    type="text"
+                    maxLength="80"
+                    className="flex-1 p-2 border rounded-lg font-semibold"
+                    value={draft.name}
+                    onChange={(e) => editProject(project, { name: e.target.value })}
+                    aria-label={`Name of project ${project.name}`}
+                  />
+                  {project.archived && <span className="text-sm text-gray-500">Archived</span>}
+                </div>
+                <textarea
+                  className="w-full p-2 border rounded-lg"
+                  placeholder="Description"
+                  value={draft.description}
+                  onChange={(e) => editProject(project, { description: e.target.value })}
+                />
+                {project.isDefault ? (
+                  <p className="text-sm text-gray-500">Every user can file tasks in the default project.</p>
+                ) : (
+                  <div>
+                    <span className="block text-sm font-medium text-gray-700 mb-1">Members</span>
+                    <AssigneePicker
+                      users={users}
+                      value={draft.members}
+                      onChange={(members) => editProject(project, { members })}
+                    />
+                  </div>
+                )}
+                <div className="flex justify-end gap-2">
+                  {!project.isDefault && (
+                    <button
+                      className="inline-flex items-center px-3 py-2 text-gray-700 border rounded-lg hover:bg-gray-100"
+                      onClick={() => handleSave(project._id, { archived: !project.archived })}
+                    >
+                      {project.archived ? <FaBoxOpen className="mr-2" /> : <FaArchive className="mr-2" />}
+                      {project.archived ? "Restore" : "Archive"}
+                    </button>
+                  )}
+                  <button
+                    className="inline-flex items-center px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-40"
+                    onClick={() => handleSave(project._id, { ...draft, name: draft.name.trim() })}
+                    disabled={!drafts[project._id] || !draft.name.trim()}
+                  >
+                    <FaSave className="mr-2" /> Save
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManageProjects;
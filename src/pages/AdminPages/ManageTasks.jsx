@@ -1,29 +1,78 @@
 import React, { useState, useEffect } from "react";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
 import Sidebar from "../../components/admin/Sidebar";
+import { fetchTasks, updateTask, reviewTask, deleteTask as removeTask, fetchUsers } from "../../api";
+import { toDateInputValue } from "../../utils/dateFormatter";
+import AssigneePicker from "../../components/tasks/AssigneePicker";
+import TaskVerification from "../../components/admin/TaskVerification";
+import CommentsButton from "../../components/tasks/CommentsButton";
+import AttachmentsButton from "../../components/tasks/AttachmentsButton";
+import { useWorkflow } from "../../hooks/useWorkflow";
+import { useProjects } from "../../hooks/useProjects";
+import { useTeams } from "../../hooks/useTeams";
+import { useTaskEvents, applyTaskEvent } from "../../hooks/useTaskEvents";
+import { useAuth } from "../../contexts/AuthContext";
+import TeamFilter from "../../components/admin/TeamFilter";
+
+const assigneeEmails = (task) => task.assignees.map((assignee) => assignee.email).join(", ");
 
 const ManageTasks = () => {
   const [tasks, setTasks] = useState([]);
+  const [users, setUsers] = useState([]);
+  const { isDone } = useWorkflow();
+  const { currentProjectId } = useProjects();
+  const { isAdmin } = useAuth();
+  const { managedTeams, managesUser } = useTeams();
+  const [teamId, setTeamId] = useState("");
+  // Team leads only see their team members' tasks, not their own
+  const teamTasks = tasks.filter((task) => managesUser(teamId, task.owner?._id));
+
+  // Load every user's tasks in the selected project
+  useEffect(() => {
+    fetchTasks({ project: currentProjectId })
+      .then(setTasks)
+      .catch((error) => toast.error(`Failed to load tasks: ${error.message}`));
+  }, [currentProjectId]);
+
+  // Reviews, board moves and edits made elsewhere update the table as they happen
+  useTaskEvents((event) => setTasks((current) => applyTaskEvent(current, event, currentProjectId)));
 
-  // Load tasks from localStorage (same as User Dashboard)
+  // Users the tasks can be assigned to
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    setTasks(storedTasks);
+    fetchUsers()
+      .then(setUsers)
+      .catch((error) => toast.error(`Failed to load users: ${error.message}`));
   }, []);
 
-  // ✅ Mark task as completed
-  const completeTask = (id) => {
-    const updatedTasks = tasks.map((task) =>
-      task.id === id ? { ...task, status: "Completed", progress: 100 } : task
-    );
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+  // 👥 Reassign a task
+  const reassignTask = async (id, assignees) => {
+    try {
+      replaceTask(await updateTask(id, { assignees }));
+    } catch (error) {
+      toast.error(`Failed to reassign task: ${error.message}`);
+    }
+  };
+
+  const replaceTask = (updated) => setTasks((current) => current.map((task) => (task.id === updated.id ? updated : task)));
+
+  // ✅ Mark task as completed; recorded as an approval in the task history
+  const completeTask = async (id) => {
+    try {
+      replaceTask(await reviewTask(id, "approve"));
+    } catch (error) {
+      toast.error(`Failed to complete task: ${error.message}`);
+    }
   };
 
   // ❌ Delete a task
-  const deleteTask = (id) => {
-    const updatedTasks = tasks.filter((task) => task.id !== id);
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+  const deleteTask = async (id) => {
+    try {
+      await removeTask(id);
+      setTasks((current) => current.filter((task) => task.id !== id));
+    } catch (error) {
+      toast.error(`Failed to delete task: ${error.message}`);
+    }
   };
 
   return (
@@ -33,7 +82,23 @@ const ManageTasks = () => {
 
       {/* Main Content */}
       <div className="flex-1 p-6">
-        <h1 className="text-2xl font-bold text-gray-800 mb-4">Manage Tasks</h1>
+        <h1 className="text-2xl font-bold text-gray-800 mb-4">{isAdmin() ? "Manage Tasks" : "Team Tasks"}</h1>
+
+        {managedTeams.length > 0 && (
+          <TeamFilter
+            teams={managedTeams}
+            value={teamId}
+            onChange={setTeamId}
+            allLabel={isAdmin() ? "All users" : "All my teams"}
+          />
+        )}
+
+        {/* Tasks submitted for review */}
+        <TaskVerification
+          projectId={currentProjectId}
+          includesOwner={(ownerId) => managesUser(teamId, ownerId)}
+          onReviewed={replaceTask}
+        />
 
         {/* Pending Tasks */}
         <div className="bg-white p-4 shadow rounded-lg mb-4">
@@ -42,21 +107,31 @@ const ManageTasks = () => {
             <thead>
               <tr className="bg-gray-200 text-left">
                 <th className="p-2">Title</th>
-                <th className="p-2">Email</th>
+                <th className="p-2">Assignees</th>
                 <th className="p-2">Priority</th>
                 <th className="p-2">Deadline</th>
                 <th className="p-2">Actions</th>
               </tr>
             </thead>
             <tbody>
-              {tasks
-                .filter((task) => task.progress < 100)
+              {teamTasks
+                .filter((task) => !isDone(task))
                 .map((task) => (
                   <tr key={task.id} className="border-b">
-                    <td className="p-2">{task.title}</td>
-                    <td className="p-2">{task.email}</td>
+                    <td className="p-2">
+                      {task.title}
+                      <AttachmentsButton task={task} className="ml-2" />
+                      <CommentsButton task={task} className="ml-2" />
+                    </td>
+                    <td className="p-2">
+                      <AssigneePicker
+                        users={users}
+                        value={task.assignees.map((assignee) => assignee._id)}
+                        onChange={(assignees) => reassignTask(task.id, assignees)}
+                      />
+                    </td>
                     <td className="p-2">{task.priority}</td>
-                    <td className="p-2">{task.deadline}</td>
+                    <td className="p-2">{toDateInputValue(task.deadline)}</td>
                     <td className="p-2">
                       <button
                         className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
@@ -84,26 +159,31 @@ const ManageTasks = () => {
             <thead>
               <tr className="bg-gray-200 text-left">
                 <th className="p-2">Title</th>
-                <th className="p-2">Email</th>
+                <th className="p-2">Assignees</th>
                 <th className="p-2">Priority</th>
                 <th className="p-2">Deadline</th>
               </tr>
             </thead>
             <tbody>
-              {tasks
-                .filter((task) => task.progress === 100)
+              {teamTasks
+                .filter(isDone)
                 .map((task) => (
                   <tr key={task.id} className="border-b">
-                    <td className="p-2">{task.title}</td>
-                    <td className="p-2">{task.email}</td>
+                    <td className="p-2">
+                      {task.title}
+                      <AttachmentsButton task={task} className="ml-2" />
+                      <CommentsButton task={task} className="ml-2" />
+                    </td>
+                    <td className="p-2">{assigneeEmails(task)}</td>
                     <td className="p-2">{task.priority}</td>
-                    <td className="p-2">{task.deadline}</td>
+                    <td className="p-2">{toDateInputValue(task.deadline)}</td>
                   </tr>
                 ))}
             </tbody>
           </table>
         </div>
       </div>
+      <ToastContainer position="top-right" autoClose={3000} hideProgressBar />
     </div>
   );
 };
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from "react";
+import { FaSave, FaPlus, FaTrash } from "react-icons/fa";
+import Sidebar from "../../components/admin/Sidebar";
+import AssigneePicker from "../../components/tasks/AssigneePicker";
+import { createTeam, updateTeam, deleteTeam, fetchUsers } from "../../api";
+import { useTeams } from "../../hooks/useTeams";
+
+const emptyTeam = { name: "", description: "", members: [], leads: [] };
+
+const ids = (users) => users.map((user) => user._id);
+
+// Admin screen to set up teams and pick the leads who manage each team's tasks
+const ManageTeams = () => {
+  const { teams, setTeams } = useTeams();
+  const [users, setUsers] = useState([]);
+  const [drafts, setDrafts] = useState({}); // unsaved edits keyed by team id
+  const [newTeam, setNewTeam] = useState(emptyTeam);
+
+  useEffect(() => {
+    fetchUsers()
+      .then(setUsers)
+      .catch((err) => console.error("Error fetching users:", err));
+  }, []);
+
+  const draftFor = (team) =>
+    drafts[team._id] || {
+      name: team.name,
+      description: team.description,
+      members: ids(team.members),
+      leads: ids(team.leads),
+    };
+
+  const editTeam = (team, changes) => {
+    setDrafts({ ...drafts, [team._id]: { ...draftFor(team), ...changes } });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newTeam.name.trim()) return;
+
+    try {
+      const team = await createTeam({ ...newTeam, name: newTeam.name.trim() });
+      setTeams([...teams, team].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewTeam(emptyTeam);
+    } catch (err) {
+      alert(`Failed to add team: ${err.message}`);
+    }
+  };
+
+  const handleSave = async (id) => {
+    const draft = drafts[id];
+    try {
+      const updated = await updateTeam(id, { ...draft, name: draft.name.trim() });
+      setTeams(teams.map((team) => (team._id === id ? updated : team)));
+      const { [id]: _saved, ...rest } = drafts;
+      setDrafts(rest);
+    } catch (err) {
+      alert(`Failed to update team: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (team) => {
+    if (!window.confirm(`Delete the team "${team.name}"? Its leads lose access to the team's tasks.`)) return;
+
+    try {
+      await deleteTeam(team._id);
+      setTeams(teams.filter((other) => other._id !== team._id));
+    } catch (err) {
+      alert(`Failed to delete team: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen bg-gray-100">
+      <Sidebar />
+
+      <div className="flex-1 p-6">
+        <h1 className="text-2xl font-bold text-gray-800 mb-4">Manage Teams</h1>
+
+        <form onSubmit={handleCreate} className="bg-white shadow-md rounded-lg p-4 mb-6 space-y-3">
+          <input
+            type="text"
+            maxLength="80"
+            placeholder="New team name"
+            className="w-full p-2 border rounded-lg"
+            value={newTeam.name}
+            onChange={(e) => setNewTeam({ ...newTeam, name: e.target.value })}
+          />
+          <textarea
+            placeholder="Description"
+            className="w-full p-2 border rounded-lg"
+            value={newTeam.description}
+            onChange={(e) => setNewTeam({ ...newTeam, description: e.target.value })}
+          />
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Members</span>
+            <AssigneePicker
+              users={users}
+              value={newTeam.members}
+              onChange={(members) => setNewTeam({ ...newTeam, members })}
+            />
+          </div>
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Team leads</span>
+            <AssigneePicker users={users} value={newTeam.leads} onChange={(leads) => setNewTeam({ ...newTeam, leads })} />
+          </div>
+          <button type="submit" className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+            <FaPlus className="mr-2" /> Add Team
+          </button>
+        </form>
+
+        {teams.length === 0 ? (
+          <p className="text-gray-600">No teams yet.</p>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {teams.map((team) => {
+              const draft = draftFor(team);
+              return (
+                <div key={team._id} className="bg-white shadow-md rounded-lg p-4 space-y-3">
+                  <input
+                    type="text"
+                    maxLength="80"
+                    className="w-full p-2 border rounded-lg font-semibold"
+                    value={draft.name}
+                    onChange={(e) => editTeam(team, { name: e.target.value })}
+                    aria-label={`Name of team ${team.name}`}
+                  />
+                  <textarea
+                    className="w-full p-2 border rounded-lg"
+                    placeholder="Description"
+                    value={draft.description}
+                    onChange={(e) => editTeam(team, { description: e.target.value })}
+                  />
+                  <div>
+                    <span className="block text-sm font-medium text-gray-700 mb-1">Members</span>
+                    <AssigneePicker
+                      users={users}
+                      value={draft.members}
+                      onChange={(members) => editTeam(team, { members })}
+                    />
+                  </div>
+                  <div>
+                    <span className="block text-sm font-medium text-gray-700 mb-1">Team leads</span>
+                    <AssigneePicker users={users} value={draft.leads} onChange={(leads) => editTeam(team, { leads })} />
+                  </div>
+                  <div className="flex justify-end gap-2">
+                    <button
+                      className="inline-flex items-center px-3 py-2 text-red-600 border rounded-lg hover:bg-red-50"
+                      onClick={() => handleDelete(team)}
+                    >
+                      <FaTrash className="mr-2" /> Delete
+                    </button>
+                    <button
+                      className="inline-flex items-center px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-40"
+                      onClick={() => handleSave(team._id)}
+                      disabled={!drafts[team._id] || !draft.name.trim()}
+                    >
+                      <FaSave className="mr-2" /> Save
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ManageTeams;
@@ -115,15 +115,24 @@
 // export default ManageUsers;
 import React, { useState, useEffect } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import { fetchUsers, updateUser, deleteUser as removeUser } from "../../api";
+import { useTeams } from "../../hooks/useTeams";
+import { useAuth } from "../../contexts/AuthContext";
+import TeamFilter from "../../components/admin/TeamFilter";
 
 const ManageUsers = () => {
   const [users, setUsers] = useState([]);
   const [editingUser, setEditingUser] = useState(null);
   const [editedData, setEditedData] = useState({ fullName: "", email: "", role: "" });
+  const { isAdmin } = useAuth();
+  const { managedTeams, managesUser } = useTeams();
+  const [teamId, setTeamId] = useState("");
+  // Team leads get a read-only list of their team members
+  const canEdit = isAdmin();
+  const teamUsers = users.filter((user) => managesUser(teamId, user._id));
 
   useEffect(() => {
-    fetch("https://zidio-task-management-backend.onrender.com/admin/users")
-      .then((res) => res.json())
+    fetchUsers()
       .then((data) => {
         const sortedUsers = data.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
         setUsers(sortedUsers);
@@ -142,13 +151,7 @@ const ManageUsers = () => {
 
   const saveUser = async (email) => {
     try {
-      const res = await fetch(`https://zidio-task-management-backend.onrender.com/admin/users/${email}`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(editedData),
-      });
-
-      if (!res.ok) throw new Error("Failed to update user");
+      await updateUser(email, editedData);
 
       setUsers(users.map((u) => (u.email === email ? { ...u, ...editedData } : u)));
       setEditingUser(null);
@@ -159,11 +162,7 @@ const ManageUsers = () => {
 
   const deleteUser = async (email) => {
     try {
-      const res = await fetch(`https://zidio-task-management-backend.onrender.com/admin/users/${email}`, {
-        method: "DELETE",
-      });
-
-      if (!res.ok) throw new Error("Failed to delete user");
+      await removeUser(email);
 
       setUsers(users.filter((u) => u.email !== email));
     } catch (error) {
@@ -175,7 +174,16 @@ const ManageUsers = () => {
     <div className="flex min-h-screen bg-gray-100">
       <Sidebar />
       <div className="flex-1 p-6">
-        <h1 className="text-2xl font-bold text-gray-800 mb-4">Manage Users</h1>
+        <h1 className="text-2xl font-bold text-gray-800 mb-4">{canEdit ? "Manage Users" : "Team Members"}</h1>
+
+        {managedTeams.length > 0 && (
+          <TeamFilter
+            teams={managedTeams}
+            value={teamId}
+            onChange={setTeamId}
+            allLabel={canEdit ? "All users" : "All my teams"}
+          />
+        )}
 
         <div className="bg-white p-4 shadow rounded-lg">
           <table className="w-full border-collapse">
@@ -185,11 +193,11 @@ const ManageUsers = () => {
                 <th className="p-2">Name</th>
                 <th className="p-2">Email</th>
                 <th className="p-2">Role</th>
-                <th className="p-2">Actions</th>
+                {canEdit && <th className="p-2">Actions</th>}
               </tr>
             </thead>
             <tbody>
-              {users.map((user, index) => (
+              {teamUsers.map((user, index) => (
                 <tr key={user.email} className="border-b">
                   <td className="p-2">{index + 1}</td>
                   <td className="p-2">
@@ -214,44 +222,46 @@ const ManageUsers = () => {
                         onChange={handleChange}
                         className="border p-1 rounded"
                       >
-                        <option value="Admin">Admin</option>
-                        <option value="User">User</option>
+                        <option value="admin">Admin</option>
+                        <option value="user">User</option>
                       </select>
                     ) : (
                       user.role.charAt(0).toUpperCase() + user.role.slice(1)
                     )}
                   </td>
-                  <td className="p-2">
-                    {editingUser === user.email ? (
-                      <button
-                        className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
-                        onClick={() => saveUser(user.email)}
-                      >
-                        Save
-                      </button>
-                    ) : (
-                      <>
-                        <button
-                          className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
-                          onClick={() => startEditing(user)}
-                        >
-                          Edit
-                        </button>
+                  {canEdit && (
+                    <td className="p-2">
+                      {editingUser === user.email ? (
                         <button
-                          className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
-                          onClick={() => deleteUser(user.email)}
+                          className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
+                          onClick={() => saveUser(user.email)}
                         >
-                          Delete
+                          Save
                         </button>
-                      </>
-                    )}
-                  </td>
+                      ) : (
+                        <>
+                          <button
+                            className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+                            onClick={() => startEditing(user)}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
+                            onClick={() => deleteUser(user.email)}
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
           </table>
 
-          {users.length === 0 && <p className="text-gray-500 text-center mt-4">No users found.</p>}
+          {teamUsers.length === 0 && <p className="text-gray-500 text-center mt-4">No users found.</p>}
         </div>
       </div>
     </div>
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import WorkflowSettings from "../../components/admin/WorkflowSettings";
 
 const Settings = () => {
   // Load stored admin profile data
@@ -163,6 +164,12 @@ const Settings = () => {
           </div>
         </div>
 
+        {/* Workflow */}
+        <div className="bg-white p-6 shadow-lg rounded-lg mt-6">
+          <h2 className="text-lg font-semibold mb-4">Workflow States</h2>
+          <WorkflowSettings />
+        </div>
+
         {/* Activity Log */}
         <div className="bg-white p-6 shadow-lg rounded-lg mt-6">
           <h2 className="text-lg font-semibold mb-4">Recent Activity</h2>
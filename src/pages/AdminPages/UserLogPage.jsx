@@ -2,111 +2,88 @@
  * UserLogPage Component
  * 
  * An administrative component that displays user activity logs with comprehensive
- * information and management capabilities. Implements localStorage-based log storage
- * and retrieval with delete functionality for administrators.
+ * information and management capabilities. Logs come from the server's audit
+ * trail (/admin/logs), which records every registration, login, logout and
+ * password reset with the client's real IP address and user agent.
  * 
  * Features:
- * - Displays user logs with login time, logout time, JWT token, username, role, IP address
- * - Provides delete functionality for individual log entries
- * - Implements sorting and filtering capabilities
+ * - Displays user logs with login time, logout time, token ID, username, role, IP address
+ * - Provides delete functionality for individual log entries (deletions are audited)
+ * - Server-side sorting, filtering and pagination
  * - Includes responsive design for all screen sizes
  * - Supports accessibility with proper ARIA attributes
  * 
  * @author Senior Full-Stack Engineer
- * @version 1.0.0
+ * @version 2.0.0
  */
 
-import React, { useState, useEffect } from 'react';
-import { FaTrash, FaSpinner, FaExclamationTriangle, FaUserShield, FaSort, FaFilter } from 'react-icons/fa';
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaTrash, FaSpinner, FaExclamationTriangle, FaUserShield, FaSort, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+import { fetchAuthLogs, deleteAuthLog } from '../../api';
+
+const PAGE_SIZE = 20;
+
+// Labels for the audit event types recorded by the server
+const EVENT_LABELS = {
+  register: 'Registered',
+  login: 'Login',
+  logout: 'Logout',
+  'logout-all': 'Logout (all devices)',
+  'password-reset': 'Password reset',
+  'log-deleted': 'Log entry deleted'
+};
 
 const UserLogPage = () => {
   // State management with proper initialization
   const [logs, setLogs] = useState([]);
-  const [filteredLogs, setFilteredLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [sortConfig, setSortConfig] = useState({
-    key: 'loginTime',
+    key: 'createdAt',
     direction: 'desc'
   });
   const [filters, setFilters] = useState({
+    type: 'all',
     role: 'all',
     search: ''
   });
   const [deleteConfirm, setDeleteConfirm] = useState(null);
 
   /**
-   * Load user logs from localStorage
+   * Load a page of logs from the server whenever the query changes.
+   * The search box is debounced so typing doesn't fire a request per keystroke.
    */
-  useEffect(() => {
-    const loadLogs = async () => {
-      try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 800));
-        
-        // Get logs from localStorage or initialize with mock data
-        const storedLogs = localStorage.getItem('userLogs');
-        
-        if (storedLogs) {
-          const parsedLogs = JSON.parse(storedLogs);
-          setLogs(parsedLogs);
-          setFilteredLogs(parsedLogs);
-        } else {
-          // Initialize with mock data if no logs exist
-          const mockLogs = [
-            {
-              id: '1',
-              userId: 'admin-123',
-              username: 'admin@example.com',
-              role: 'admin',
-              action: 'login',
-              loginTime: new Date(Date.now() - 3600000).toISOString(),
-              logoutTime: null,
-              ipAddress: '192.168.1.1',
-              tokenName: 'eyJhbGciOi...'
-            },
-            {
-              id: '2',
-              userId: 'user-456',
-              username: 'user@example.com',
-              role: 'user',
-              action: 'login',
-              loginTime: new Date(Date.now() - 7200000).toISOString(),
-              logoutTime: new Date(Date.now() - 3600000).toISOString(),
-              ipAddress: '192.168.1.2',
-              tokenName: 'eyJhbGciOi...'
-            },
-            {
-              id: '3',
-              userId: 'user-789',
-              username: 'test@example.com',
-              role: 'user',
-              action: 'login',
-              loginTime: new Date(Date.now() - 86400000).toISOString(),
-              logoutTime: new Date(Date.now() - 82800000).toISOString(),
-              ipAddress: '192.168.1.3',
-              tokenName: 'eyJhbGciOi...'
-            }
-          ];
-          
-          // Store mock logs in localStorage
-          localStorage.setItem('userLogs', JSON.stringify(mockLogs));
-          
-          setLogs(mockLogs);
-          setFilteredLogs(mockLogs);
-        }
-        
-        setError(null);
-      } catch (err) {
-        console.error('Error loading user logs:', err);
-        setError('Failed to load user logs. Please try again later.');
-      } finally {
-        setLoading(false);
-      }
-    };
+  const loadLogs = useCallback(async () => {
+    try {
+      const data = await fetchAuthLogs({
+        page,
+        limit: PAGE_SIZE,
+        type: filters.type,
+        role: filters.role,
+        search: filters.search.trim(),
+        sort: sortConfig.key,
+        order: sortConfig.direction
+      });
+      
+      setLogs(data.logs);
+      setTotal(data.total);
+      setPages(data.pages);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading user logs:', err);
+      setError('Failed to load user logs. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, filters, sortConfig]);
 
-    loadLogs();
-  }, []);
+  useEffect(() => {
+    const timer = setTimeout(loadLogs, 300);
+    return () => clearTimeout(timer);
+  }, [loadLogs]);
 
   /**
    * Apply sorting to logs
@@ -121,61 +98,7 @@ const UserLogPage = () => {
     }
     
     setSortConfig({ key, direction });
-    
-    const sortedLogs = [...filteredLogs].sort((a, b) => {
-      if (a[key] === null) return 1;
-      if (b[key] === null) return -1;
-      
-      if (a[key] < b[key]) {
-        return direction === 'asc' ? -1 : 1;
-      }
-      if (a[key] > b[key]) {
-        return direction === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
-    
-    setFilteredLogs(sortedLogs);
-  };
-
-  /**
-   * Apply filters to logs
-   * 
-   * @param {Object} newFilters - Updated filter settings
-   */
-  const applyFilters = (newFilters) => {
-    let result = [...logs];
-    
-    // Apply role filter
-    if (newFilters.role !== 'all') {
-      result = result.filter(log => log.role === newFilters.role);
-    }
-    
-    // Apply search filter
-    if (newFilters.search.trim()) {
-      const searchTerm = newFilters.search.toLowerCase().trim();
-      result = result.filter(log => 
-        log.username.toLowerCase().includes(searchTerm) || 
-        log.userId.toLowerCase().includes(searchTerm) ||
-        (log.ipAddress && log.ipAddress.includes(searchTerm))
-      );
-    }
-    
-    // Apply current sort
-    result.sort((a, b) => {
-      if (a[sortConfig.key] === null) return 1;
-      if (b[sortConfig.key] === null) return -1;
-      
-      if (a[sortConfig.key] < b[sortConfig.key]) {
-        return sortConfig.direction === 'asc' ? -1 : 1;
-      }
-      if (a[sortConfig.key] > b[sortConfig.key]) {
-        return sortConfig.direction === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
-    
-    setFilteredLogs(result);
+    setPage(1);
   };
 
   /**
@@ -185,13 +108,11 @@ const UserLogPage = () => {
    * @param {string} value - New filter value
    */
   const handleFilterChange = (filterType, value) => {
-    const newFilters = {
+    setFilters({
       ...filters,
       [filterType]: value
-    };
-    
-    setFilters(newFilters);
-    applyFilters(newFilters);
+    });
+    setPage(1);
   };
 
   /**
@@ -216,7 +137,7 @@ const UserLogPage = () => {
    * 
    * @param {string} logId - ID of the log to delete
    */
-  const handleDelete = (logId) => {
+  const handleDelete = async (logId) => {
     // If not confirming, show confirmation first
     if (deleteConfirm !== logId) {
       setDeleteConfirm(logId);
@@ -224,14 +145,13 @@ const UserLogPage = () => {
     }
     
     // User confirmed deletion
-    const updatedLogs = logs.filter(log => log.id !== logId);
-    
-    // Update state
-    setLogs(updatedLogs);
-    setFilteredLogs(filteredLogs.filter(log => log.id !== logId));
-    
-    // Update localStorage
-    localStorage.setItem('userLogs', JSON.stringify(updatedLogs));
+    try {
+      await deleteAuthLog(logId);
+      await loadLogs();
+    } catch (err) {
+      console.error('Error deleting log entry:', err);
+      setError('Failed to delete the log entry. Please try again later.');
+    }
     
     // Reset confirmation state
     setDeleteConfirm(null);
@@ -281,13 +201,32 @@ const UserLogPage = () => {
             id="log-search"
             type="text"
             className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
-            placeholder="Search by username, user ID, or IP"
+            placeholder="Search by username, IP, or token ID"
             value={filters.search}
             onChange={(e) => handleFilterChange('search', e.target.value)}
             aria-label="Search logs"
           />
         </div>
         
+        {/* Event filter */}
+        <div className="md:w-48">
+          <label htmlFor="type-filter" className="block text-sm font-medium text-gray-700 mb-1">
+            Filter by Event
+          </label>
+          <select
+            id="type-filter"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.type}
+            onChange={(e) => handleFilterChange('type', e.target.value)}
+            aria-label="Filter logs by event"
+          >
+            <option value="all">All Events</option>
+            {Object.entries(EVENT_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </div>
+        
         {/* Role filter */}
         <div className="md:w-48">
           <label htmlFor="role-filter" className="block text-sm font-medium text-gray-700 mb-1">
@@ -309,7 +248,7 @@ const UserLogPage = () => {
       
       {/* Results count */}
       <div className="mb-4 text-sm text-gray-500">
-        Showing {filteredLogs.length} of {logs.length} logs
+        Showing {logs.length} of {total} logs
       </div>
       
       {/* Log table */}
@@ -320,7 +259,7 @@ const UserLogPage = () => {
               <th 
                 scope="col" 
                 className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                onClick={() => handleSort('username')}
+                onClick={() => handleSort('email')}
               >
                 <div className="flex items-center">
                   Username
@@ -340,23 +279,29 @@ const UserLogPage = () => {
               <th 
                 scope="col" 
                 className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                onClick={() => handleSort('loginTime')}
+                onClick={() => handleSort('type')}
               >
                 <div className="flex items-center">
-                  Login Time
+                  Event
                   <FaSort className="ml-1" aria-hidden="true" />
                 </div>
               </th>
               <th 
                 scope="col" 
                 className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                onClick={() => handleSort('logoutTime')}
+                onClick={() => handleSort('createdAt')}
               >
                 <div className="flex items-center">
-                  Logout Time
+                  Time
                   <FaSort className="ml-1" aria-hidden="true" />
                 </div>
               </th>
+              <th 
+                scope="col" 
+                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+              >
+                Logout Time
+              </th>
               <th 
                 scope="col" 
                 className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
@@ -378,18 +323,18 @@ const UserLogPage = () => {
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {filteredLogs.length === 0 ? (
+            {logs.length === 0 ? (
               <tr>
-                <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                <td colSpan="8" className="px-6 py-4 text-center text-gray-500">
                   No logs match your filters
                 </td>
               </tr>
             ) : (
-              filteredLogs.map((log) => (
+              logs.map((log) => (
                 <tr key={log.id} className="hover:bg-gray-50">
                   <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm font-medium text-gray-900">{log.username}</div>
-                    <div className="text-xs text-gray-500">{log.userId}</div>
+                    <div className="text-sm font-medium text-gray-900">{log.email}</div>
+                    <div className="text-xs text-gray-500">{log.user}</div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
@@ -400,17 +345,22 @@ const UserLogPage = () => {
                       {log.role}
                     </span>
                   </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {formatDate(log.loginTime)}
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    {EVENT_LABELS[log.type] || log.type}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {formatDate(log.logoutTime)}
+                    {formatDate(log.createdAt)}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    <span className="font-mono">{log.tokenName}</span>
+                    {'logoutAt' in log ? formatDate(log.logoutAt) : '—'}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {log.ipAddress}
+                    <span className="font-mono" title={log.jti || ''}>
+                      {log.jti ? `${log.jti.slice(0, 8)}...` : 'N/A'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500" title={log.userAgent}>
+                    {log.ip || 'N/A'}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                     {deleteConfirm === log.id ? (
@@ -418,7 +368,7 @@ const UserLogPage = () => {
                         <button
                           onClick={() => handleDelete(log.id)}
                           className="text-red-600 hover:text-red-900"
-                          aria-label={`Confirm delete log for ${log.username}`}
+                          aria-label={`Confirm delete log for ${log.email}`}
                         >
                           Confirm
                         </button>
@@ -434,7 +384,7 @@ const UserLogPage = () => {
                       <button
                         onClick={() => handleDelete(log.id)}
                         className="text-red-600 hover:text-red-900"
-                        aria-label={`Delete log for ${log.username}`}
+                        aria-label={`Delete log for ${log.email}`}
                       >
                         <FaTrash aria-hidden="true" />
                       </button>
@@ -446,6 +396,31 @@ const UserLogPage = () => {
           </tbody>
         </table>
       </div>
+      
+      {/* Pagination */}
+      {pages > 1 && (
+        <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="flex items-center px-3 py-1 rounded border border-gray-300 disabled:opacity-50"
+            aria-label="Previous page"
+          >
+            <FaChevronLeft className="mr-1" aria-hidden="true" />
+            Previous
+          </button>
+          <span>Page {page} of {pages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pages}
+            className="flex items-center px-3 py-1 rounded border border-gray-300 disabled:opacity-50"
+            aria-label="Next page"
+          >
+            Next
+            <FaChevronRight className="ml-1" aria-hidden="true" />
+          </button>
+        </div>
+      )}
     </div>
   );
 };
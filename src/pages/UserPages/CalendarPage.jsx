@@ -7,6 +7,19 @@ import getDay from "date-fns/getDay";
 import enUS from "date-fns/locale/en-US";
 import "react-big-calendar/lib/css/react-big-calendar.css";
 import UserSidebar from "./UserSidebar";
+import CalendarEventModal from "../../components/calendar/CalendarEventModal";
+import TaskDetailsModal from "../../components/tasks/TaskDetailsModal";
+import {
+  fetchTasks,
+  fetchOccurrences,
+  fetchCalendarEvents,
+  createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+} from "../../api";
+import CalendarFeedLink from "../../components/calendar/CalendarFeedLink";
+import { useProjects } from "../../hooks/useProjects";
+import { toDateInputValue } from "../../utils/dateFormatter";
 
 const locales = { "en-US": enUS };
 
@@ -18,30 +31,122 @@ const localizer = dateFnsLocalizer({
   locales,
 });
 
+// Colors by event type: task deadlines, upcoming recurring occurrences, personal events
+const EVENT_COLORS = {
+  deadline: "rgb(239, 68, 68)",
+  occurrence: "rgb(147, 51, 234)",
+  event: "rgb(59, 130, 246)",
+};
+
+// Deadlines and all-day events are calendar dates stored as midnight UTC, so they
+// show as all-day events on that date wherever the user is
+const deadlineDay = (deadline) => new Date(`${toDateInputValue(deadline)}T00:00`);
+const toStoredDay = (date) => new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+
+const toCalendarEvent = (event) => ({
+  title: event.title,
+  start: event.allDay ? deadlineDay(event.start) : new Date(event.start),
+  end: event.allDay ? deadlineDay(event.end) : new Date(event.end),
+  allDay: event.allDay,
+  type: "event",
+  event,
+});
+
+// Occurrences and personal events are loaded for the month on screen plus a week either side
+const visibleRange = (year, month) => ({
+  start: new Date(year, month, -6),
+  end: new Date(year, month + 1, 7),
+});
+
 const CalendarPage = () => {
+  const [deadlines, setDeadlines] = useState([]);
+  const [occurrences, setOccurrences] = useState([]);
   const [events, setEvents] = useState([]);
+  const [editing, setEditing] = useState(null); // personal event open in the modal, or a new one's times
+  const [openTaskId, setOpenTaskId] = useState(null);
   const [currentDate, setCurrentDate] = useState(new Date());
+  const year = currentDate.getFullYear();
+  const month = currentDate.getMonth();
+  const { currentProjectId } = useProjects();
+
+  // Fetch task deadlines from the server
+  useEffect(() => {
+    fetchTasks({ project: currentProjectId })
+      .then((storedTasks) => {
+        const taskEvents = storedTasks
+          .filter((task) => task.deadline)
+          .map((task) => ({
+            title: task.title,
+            start: deadlineDay(task.deadline),
+            end: deadlineDay(task.deadline),
+            allDay: true,
+            type: "deadline",
+            taskId: task.id,
+          }));
+
+        setDeadlines(taskEvents);
+      })
+      .catch((err) => console.error("Error fetching tasks:", err));
+  }, [currentProjectId]);
 
-  // Fetch tasks from localStorage
+  // Future occurrences of recurring tasks that haven't been created yet
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    
-    const taskEvents = storedTasks.map((task) => ({
-      title: task.title,
-      start: new Date(task.deadline), 
-      end: new Date(task.deadline), 
-      type: "deadline",
-    }));
-
-    setEvents(taskEvents);
-  }, []);
+    const { start, end } = visibleRange(year, month);
+    fetchOccurrences(start, end, currentProjectId)
+      .then((upcoming) =>
+        setOccurrences(
+          upcoming.map((occurrence) => ({
+            title: `🔁 ${occurrence.title}`,
+            start: deadlineDay(occurrence.date),
+            end: deadlineDay(occurrence.date),
+            allDay: true,
+            type: "occurrence",
+            taskId: occurrence.task,
+          }))
+        )
+      )
+      .catch((err) => console.error("Error fetching recurring tasks:", err));
+  }, [year, month, currentProjectId]);
 
+  // The user's personal events
+  useEffect(() => {
+    const { start, end } = visibleRange(year, month);
+    fetchCalendarEvents(start, end)
+      .then((stored) => setEvents(stored.map(toCalendarEvent)))
+      .catch((err) => console.error("Error fetching calendar events:", err));
+  }, [year, month]);
+
+  // Selecting days in the month view gives midnight-to-midnight ranges, i.e. all-day events
   const handleSelectSlot = ({ start, end }) => {
-    const title = prompt("Enter event title:");
-    if (title) {
-      const isDeadline = window.confirm("Is this a deadline? Click OK for Yes, Cancel for No.");
-      setEvents([...events, { title, start, end, type: isDeadline ? "deadline" : "event" }]);
+    const allDay = start.getHours() === 0 && start.getMinutes() === 0 && end.getHours() === 0 && end.getMinutes() === 0;
+    setEditing({ start, end: end > start ? end : start, allDay });
+  };
+
+  // Deadlines open their task, upcoming occurrences the latest task of their series; personal events open for editing
+  const handleSelectEvent = (calendarEvent) => {
+    if (calendarEvent.type === "event") {
+      setEditing({ ...calendarEvent.event, start: calendarEvent.start, end: calendarEvent.end });
+    } else {
+      setOpenTaskId(calendarEvent.taskId);
+    }
+  };
+
+  const saveEvent = async (form) => {
+    const values = form.allDay ? { ...form, start: toStoredDay(form.start), end: toStoredDay(form.end) } : form;
+    if (editing.id) {
+      const saved = await updateCalendarEvent(editing.id, values);
+      setEvents(events.map((item) => (item.event.id === saved.id ? toCalendarEvent(saved) : item)));
+    } else {
+      const saved = await createCalendarEvent(values);
+      setEvents([...events, toCalendarEvent(saved)]);
     }
+    setEditing(null);
+  };
+
+  const removeEvent = async () => {
+    await deleteCalendarEvent(editing.id);
+    setEvents(events.filter((item) => item.event.id !== editing.id));
+    setEditing(null);
   };
 
   const handleNavigate = (newDate) => {
@@ -50,7 +155,7 @@ const CalendarPage = () => {
 
   const eventStyleGetter = (event) => {
     let style = {
-      backgroundColor: event.type === "deadline" ? "rgb(239, 68, 68)" : "rgb(59, 130, 246)",
+      backgroundColor: EVENT_COLORS[event.type] || EVENT_COLORS.event,
       borderRadius: "5px",
       opacity: 0.9,
       color: "white",
@@ -69,13 +174,15 @@ const CalendarPage = () => {
       <div className="flex-1 p-4 md:p-6">
         <div className="bg-white p-4 md:p-6 rounded-lg shadow-md w-full max-w-5xl mx-auto">
           <h2 className="text-2xl font-bold mb-4 text-center text-gray-800">📅 Task & Deadline Calendar</h2>
+          <CalendarFeedLink />
           <Calendar
             localizer={localizer}
-            events={events}
+            events={[...deadlines, ...occurrences, ...events]}
             startAccessor="start"
             endAccessor="end"
             selectable
             onSelectSlot={handleSelectSlot}
+            onSelectEvent={handleSelectEvent}
             style={{ height: 500 }}
             className="border rounded-lg shadow-sm"
             date={currentDate}
@@ -84,6 +191,14 @@ const CalendarPage = () => {
           />
         </div>
       </div>
+
+      <CalendarEventModal
+        event={editing}
+        onSave={saveEvent}
+        onDelete={removeEvent}
+        onClose={() => setEditing(null)}
+      />
+      <TaskDetailsModal taskId={openTaskId} onClose={() => setOpenTaskId(null)} />
     </div>
   );
 };
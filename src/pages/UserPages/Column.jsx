@@ -1,11 +1,27 @@
 import React from "react";
+import { useDroppable } from "@dnd-kit/core";
+
+// The column itself is a drop target so tasks can be dropped into an empty column
+const Column = ({ id, title, count, wipLimit, children }) => {
+  const { setNodeRef, isOver } = useDroppable({ id });
+  const overLimit = wipLimit && count > wipLimit;
 
-const Column = ({ title, children }) => {
   return (
     <div
-      className="bg-gray-200 p-4 rounded-lg min-h-[500px] flex flex-col transition-all duration-200 hover:bg-gray-300 hover:shadow-lg"
+      ref={setNodeRef}
+      className={`p-4 rounded-lg min-h-[500px] min-w-[260px] flex-1 flex flex-col transition-all duration-200 hover:bg-gray-300 hover:shadow-lg ${
+        isOver ? "bg-gray-300" : "bg-gray-200"
+      }`}
     >
-      <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
+        <span
+          className={`text-sm font-medium ${overLimit ? "text-red-600" : "text-gray-600"}`}
+          title={wipLimit ? `WIP limit: ${wipLimit}` : undefined}
+        >
+          {wipLimit ? `${count} / ${wipLimit}` : count}
+        </span>
+      </div>
       <div className="flex-1 space-y-2 mt-2">{children}</div>
     </div>
   );
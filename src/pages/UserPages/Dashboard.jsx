@@ -1,6 +1,6 @@
-import React, { useEffect, useState, useRef } from "react";
+import React, { useEffect, useState, useRef, useMemo } from "react";
 import { DndContext, closestCorners } from "@dnd-kit/core";
-import { SortableContext, verticalListSortingStrategy } from "@dnd-kit/sortable";
+import { SortableContext, verticalListSortingStrategy, arrayMove } from "@dnd-kit/sortable";
 import { Bar } from "react-chartjs-2";
 import "chart.js/auto";
 import { toast, ToastContainer } from "react-toastify";
@@ -9,13 +9,43 @@ import UserSidebar from "./UserSidebar";
 import Column from "./Column";
 import SortableItem from "./SortableItem";
 import notificationSound from "./notification.mp3";
+import { fetchTasks, saveBoard, fetchPreferences } from "../../api";
+import { toDateInputValue } from "../../utils/dateFormatter";
+import { useWorkflow } from "../../hooks/useWorkflow";
+import { stateColors } from "../../utils/workflowColors";
+import { useLabels, filterByLabels } from "../../hooks/useLabels";
+import { useProjects } from "../../hooks/useProjects";
+import { useTaskEvents, useNotificationEvents, applyTaskEvent } from "../../hooks/useTaskEvents";
+import { isQuietTime } from "../../utils/quietHours";
+import LabelFilter from "../../components/tasks/LabelFilter";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days from today until a task's deadline; both are compared as calendar dates
+const daysUntil = (deadline) =>
+  Math.round((new Date(toDateInputValue(deadline)) - new Date(toDateInputValue(new Date()))) / DAY_MS);
+
+// Groups tasks into board columns by status, each column ordered by position
+const buildColumns = (states, taskList) =>
+  states.reduce((columns, { name }) => {
+    columns[name] = taskList
+      .filter((task) => task.status === name)
+      .sort((a, b) => a.position - b.position);
+    return columns;
+  }, {});
 
 const UserDashboard = () => {
-  const [tasks, setTasks] = useState({
-    "To Do": [],
-    "In Progress": [],
-    Completed: [],
-  });
+  const [taskList, setTaskList] = useState([]);
+  const { states, isDone, isBlocked } = useWorkflow();
+  const tasks = useMemo(() => buildColumns(states, taskList), [states, taskList]);
+  const { labels } = useLabels();
+  const { currentProjectId } = useProjects();
+  const [labelFilter, setLabelFilter] = useState([]);
+  // Cards shown per column; drag handling keeps working on the full columns
+  const visibleTasks = useMemo(
+    () => buildColumns(states, filterByLabels(taskList, labelFilter)),
+    [states, taskList, labelFilter]
+  );
 
   const [notes, setNotes] = useState(localStorage.getItem("notes") || "");
   const audioRef = useRef(new Audio(notificationSound));
@@ -26,33 +56,57 @@ const UserDashboard = () => {
   }, []);
 
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    const categorizedTasks = {
-      "To Do": storedTasks.filter((task) => task.progress <= 40),
-      "In Progress": storedTasks.filter((task) => task.progress > 40 && task.progress <= 80),
-      Completed: storedTasks.filter((task) => task.progress > 80),
-    };
-    setTasks(categorizedTasks);
-    checkDeadlines(storedTasks);
-  }, []);
+    // Without saved settings the board still loads, just without deadline reminders
+    Promise.all([fetchTasks({ project: currentProjectId }), fetchPreferences().catch(() => null)])
+      .then(([storedTasks, preferences]) => {
+        setTaskList(storedTasks);
+        if (preferences) checkDeadlines(storedTasks, preferences.notifications);
+      })
+      .catch((error) => toast.error(`Failed to load tasks: ${error.message}`));
+  }, [currentProjectId]);
+
+  // Cards moved, approved or edited by anyone else show up without a reload
+  useTaskEvents((event) =>
+    setTaskList((current) => applyTaskEvent(current, event, currentProjectId))
+  );
+
+  // The server already applied the user's settings: it only pushes in-app notifications and flags the ones that chime
+  useNotificationEvents((notification) => {
+    showNotification(`🔔 ${notification.message}`, "bg-blue-500 text-white");
+    if (notification.sound) playSound();
+  });
 
   useEffect(() => {
     localStorage.setItem("notes", notes);
   }, [notes]);
 
-  const checkDeadlines = (tasks) => {
-    const today = new Date().toISOString().split("T")[0];
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowStr = tomorrow.toISOString().split("T")[0];
+  /**
+   * Toasts open tasks due within the user's reminder lead time, once per task
+   * per browser session, honoring their "due soon" settings and quiet hours.
+   */
+  const checkDeadlines = (tasks, preferences) => {
+    if (!preferences.dueSoon.inApp) return;
+
+    const reminded = JSON.parse(sessionStorage.getItem("remindedTasks") || "[]");
+    const due = tasks.filter((task) => {
+      if (!task.deadline || isDone(task) || reminded.includes(task.id)) return false;
+      const days = daysUntil(task.deadline);
+      return days >= 0 && days <= preferences.reminderLeadDays;
+    });
+    if (due.length === 0) return;
 
-    tasks.forEach((task) => {
-      if (task.deadline === today) {
+    due.forEach((task) => {
+      const days = daysUntil(task.deadline);
+      if (days === 0) {
         showNotification(`🚨 Task Due Today: "${task.title}"`, "bg-red-500 text-white");
-      } else if (task.deadline === tomorrowStr) {
+      } else if (days === 1) {
         showNotification(`⏳ Task Due Tomorrow: "${task.title}"`, "bg-yellow-500 text-black");
+      } else {
+        showNotification(`📅 Task Due in ${days} Days: "${task.title}"`, "bg-blue-100 text-black");
       }
     });
+    if (preferences.dueSoon.sound && !isQuietTime(preferences.quietHours)) playSound();
+    sessionStorage.setItem("remindedTasks", JSON.stringify([...reminded, ...due.map((task) => task.id)]));
   };
 
   const showNotification = (message, bgClass) => {
@@ -62,44 +116,73 @@ const UserDashboard = () => {
       </div>,
       { position: "top-right", autoClose: 5000, hideProgressBar: false }
     );
-    audioRef.current.play();
   };
 
-  const handleDragEnd = (event) => {
+  // Browsers refuse to play audio before the user has interacted with the page
+  const playSound = () => audioRef.current.play().catch(() => {});
+
+  const findColumn = (id) =>
+    states
+      .map((state) => state.name)
+      .find((column) => column === id || tasks[column].some((task) => task.id === id));
+
+  // Moves the task locally, then saves the order of every column it touched
+  const handleDragEnd = async (event) => {
     const { active, over } = event;
     if (!over || active.id === over.id) return;
 
-    const sourceColumn = Object.keys(tasks).find((column) =>
-      tasks[column].some((task) => task.id === active.id)
-    );
-    const targetColumn = Object.keys(tasks).find((column) => tasks[column].some((task) => task.id === over.id)) || over.id;
+    const sourceColumn = findColumn(active.id);
+    const targetColumn = findColumn(over.id);
+    if (!sourceColumn || !targetColumn) return;
 
-    if (!sourceColumn || !targetColumn || sourceColumn === targetColumn) return;
+    const movedTask = tasks[sourceColumn].find((task) => task.id === active.id);
+    const targetState = states.find((state) => state.name === targetColumn);
+    if (sourceColumn !== targetColumn && targetState.done && isBlocked(movedTask)) {
+      toast.warn(`"${movedTask.title}" is blocked by open tasks and can't be completed yet`);
+      return;
+    }
 
-    setTasks((prevTasks) => {
-      const updatedTasks = { ...prevTasks };
-      const movedTask = updatedTasks[sourceColumn].find((task) => task.id === active.id);
-      updatedTasks[sourceColumn] = updatedTasks[sourceColumn].filter((task) => task.id !== active.id);
-      updatedTasks[targetColumn] = [...(updatedTasks[targetColumn] || []), movedTask];
+    const previousTasks = taskList;
+    const updatedTasks = { ...tasks };
+    const overIndex = tasks[targetColumn].findIndex((task) => task.id === over.id);
 
-      return updatedTasks;
+    if (sourceColumn === targetColumn) {
+      const activeIndex = tasks[sourceColumn].findIndex((task) => task.id === active.id);
+      updatedTasks[sourceColumn] = arrayMove(tasks[sourceColumn], activeIndex, overIndex);
+    } else {
+      const insertAt = overIndex === -1 ? tasks[targetColumn].length : overIndex;
+      updatedTasks[sourceColumn] = tasks[sourceColumn].filter((task) => task.id !== active.id);
+      updatedTasks[targetColumn] = [
+        ...tasks[targetColumn].slice(0, insertAt),
+        { ...movedTask, status: targetColumn },
+        ...tasks[targetColumn].slice(insertAt),
+      ];
+    }
+
+    const changedColumns = [...new Set([sourceColumn, targetColumn])];
+    changedColumns.forEach((column) => {
+      updatedTasks[column] = updatedTasks[column].map((task, position) => ({ ...task, position }));
     });
+    setTaskList(states.flatMap((state) => updatedTasks[state.name]));
 
-    localStorage.setItem("tasks", JSON.stringify([...tasks["To Do"], ...tasks["In Progress"], ...tasks["Completed"]]));
+    try {
+      await saveBoard(
+        Object.fromEntries(changedColumns.map((column) => [column, updatedTasks[column].map((task) => task.id)]))
+      );
+    } catch (error) {
+      setTaskList(previousTasks);
+      toast.error(`Failed to save board: ${error.message}`);
+    }
   };
 
   // Task Analytics Chart Data (Bar Graph)
   const chartData = {
-    labels: ["To Do", "In Progress", "Completed"],
+    labels: states.map((state) => state.name),
     datasets: [
       {
         label: "Number of Tasks",
-        data: [
-          tasks["To Do"].length,
-          tasks["In Progress"].length,
-          tasks.Completed.length,
-        ],
-        backgroundColor: ["#FF6384", "#FFCE56", "#36A2EB"],
+        data: states.map((state) => tasks[state.name].length),
+        backgroundColor: stateColors(states),
       },
     ],
   };
@@ -116,13 +199,22 @@ const UserDashboard = () => {
 
         {/* Kanban Board */}
         <div className="glassmorphism p-4 rounded-xl shadow-lg bg-gradient-to-br from-white/30 to-white/10 backdrop-blur-lg border border-white/20">
+          <div className="mb-4">
+            <LabelFilter labels={labels} value={labelFilter} onChange={setLabelFilter} />
+          </div>
           <DndContext collisionDetection={closestCorners} onDragEnd={handleDragEnd}>
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-              {Object.keys(tasks).map((columnKey) => (
-                <Column key={columnKey} title={columnKey} id={columnKey} className="w-[280px]">
-                  <SortableContext items={tasks[columnKey].map((task) => task.id)} strategy={verticalListSortingStrategy}>
-                    {tasks[columnKey].map((task) => (
-                      <SortableItem key={task.id} id={task.id} task={task} />
+            <div className="flex gap-4 overflow-x-auto pb-2">
+              {states.map(({ name: columnKey, wipLimit }) => (
+                <Column
+                  key={columnKey}
+                  title={columnKey}
+                  id={columnKey}
+                  count={tasks[columnKey].length}
+                  wipLimit={wipLimit}
+                >
+                  <SortableContext items={visibleTasks[columnKey].map((task) => task.id)} strategy={verticalListSortingStrategy}>
+                    {visibleTasks[columnKey].map((task) => (
+                      <SortableItem key={task.id} id={task.id} task={task} blocked={isBlocked(task)} />
                     ))}
                   </SortableContext>
                 </Column>
@@ -1,35 +1,83 @@
 import React, { useEffect, useState } from "react";
-import UserSidebar from "./UserSidebar"; 
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import {
+  FaUserPlus,
+  FaComment,
+  FaAt,
+  FaCheckCircle,
+  FaTimesCircle,
+  FaClock,
+  FaChevronLeft,
+  FaChevronRight,
+} from "react-icons/fa";
+import UserSidebar from "./UserSidebar";
+import { fetchNotifications, markNotificationRead, markAllNotificationsRead } from "../../api";
+import { useNotificationEvents } from "../../hooks/useTaskEvents";
+import { setUnreadCount } from "../../hooks/useUnreadNotifications";
+
+const PAGE_SIZE = 20;
+
+const typeIcons = {
+  assigned: <FaUserPlus className="text-blue-500" />,
+  commented: <FaComment className="text-gray-500" />,
+  mentioned: <FaAt className="text-purple-500" />,
+  approved: <FaCheckCircle className="text-green-500" />,
+  rejected: <FaTimesCircle className="text-red-500" />,
+  due_soon: <FaClock className="text-yellow-500" />,
+};
 
 const NotificationsPage = () => {
   const [notifications, setNotifications] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [loading, setLoading] = useState(true);
 
+  // ✅ Load a page of the user's notification history, newest first
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    let newNotifications = [];
+    setLoading(true);
+    fetchNotifications({ page, limit: PAGE_SIZE, unread: unreadOnly })
+      .then((data) => {
+        setNotifications(data.notifications);
+        setPages(data.pages);
+        setUnreadCount(data.unread);
+      })
+      .catch((error) => toast.error(`Failed to load notifications: ${error.message}`))
+      .finally(() => setLoading(false));
+  }, [page, unreadOnly]);
 
-    storedTasks.forEach((task) => {
-      const taskDate = new Date(task.deadline);
-      taskDate.setHours(0, 0, 0, 0);
+  // New notifications show up at the top of the first page as they arrive
+  useNotificationEvents((notification) => {
+    if (page === 1) setNotifications((current) => [notification, ...current].slice(0, PAGE_SIZE));
+  });
 
-      // 🔴 Deadline is today
-      if (taskDate.getTime() === today.getTime()) {
-        newNotifications.push(`🚨 Task "${task.title}" is due today!`);
-      }
+  const toggleRead = async (notification) => {
+    try {
+      const data = await markNotificationRead(notification.id, !notification.read);
+      setNotifications((current) =>
+        current.map((item) => (item.id === notification.id ? { ...item, read: data.notification.read } : item))
+      );
+      setUnreadCount(data.unread);
+    } catch (error) {
+      toast.error(`Failed to update notification: ${error.message}`);
+    }
+  };
 
-      // ⏳ Deadline is tomorrow
-      const tomorrow = new Date(today);
-      tomorrow.setDate(today.getDate() + 1);
-      if (taskDate.getTime() === tomorrow.getTime()) {
-        newNotifications.push(`⏳ Task "${task.title}" is due tomorrow!`);
-      }
-    });
+  const markAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      setNotifications((current) => current.map((item) => ({ ...item, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      toast.error(`Failed to mark notifications as read: ${error.message}`);
+    }
+  };
 
-    setNotifications(newNotifications);
-  }, []);
+  const changeFilter = (value) => {
+    setUnreadOnly(value);
+    setPage(1);
+  };
 
   return (
     <div className="flex min-h-screen bg-gray-100">
@@ -37,24 +85,76 @@ const NotificationsPage = () => {
       <UserSidebar />
 
       {/* Main Content */}
-      <div className="flex-1 flex flex-col items-center justify-center p-6">
+      <div className="flex-1 flex flex-col items-center p-6">
+        <ToastContainer position="top-right" autoClose={5000} hideProgressBar />
         <div className="bg-white p-6 rounded-lg shadow-md w-full max-w-3xl">
           <h2 className="text-2xl font-bold mb-4 text-center">📢 Notifications</h2>
 
-          {notifications.length === 0 ? (
-            <p className="text-gray-500 text-center">No new notifications</p>
+          <div className="flex items-center justify-between mb-4">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={unreadOnly} onChange={(e) => changeFilter(e.target.checked)} />
+              Unread only
+            </label>
+            <button onClick={markAllRead} className="text-sm text-blue-600 hover:text-blue-800">
+              Mark all as read
+            </button>
+          </div>
+
+          {loading ? (
+            <p className="text-gray-500 text-center">Loading notifications...</p>
+          ) : notifications.length === 0 ? (
+            <p className="text-gray-500 text-center">{unreadOnly ? "No unread notifications" : "No notifications yet"}</p>
           ) : (
             <ul className="space-y-3">
-              {notifications.map((message, index) => (
+              {notifications.map((notification) => (
                 <li
-                  key={index}
-                  className="p-4 bg-blue-50 border-l-4 border-blue-500 rounded shadow-sm text-gray-800"
+                  key={notification.id}
+                  className={`p-4 border-l-4 rounded shadow-sm flex items-start gap-3 ${
+                    notification.read ? "bg-white border-gray-300 text-gray-500" : "bg-blue-50 border-blue-500 text-gray-800"
+                  }`}
                 >
-                  {message}
+                  <span className="text-xl mt-0.5">{typeIcons[notification.type]}</span>
+                  <div className="flex-1">
+                    <p className={notification.read ? "" : "font-semibold"}>{notification.message}</p>
+                    <p className="text-xs text-gray-500">{new Date(notification.createdAt).toLocaleString()}</p>
+                  </div>
+                  <button
+                    onClick={() => toggleRead(notification)}
+                    className="text-xs text-blue-600 hover:text-blue-800 whitespace-nowrap"
+                  >
+                    {notification.read ? "Mark unread" : "Mark read"}
+                  </button>
                 </li>
               ))}
             </ul>
           )}
+
+          {/* Pagination */}
+          {pages > 1 && (
+            <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="flex items-center px-3 py-1 rounded border border-gray-300 disabled:opacity-50"
+                aria-label="Previous page"
+              >
+                <FaChevronLeft className="mr-1" aria-hidden="true" />
+                Previous
+              </button>
+              <span>
+                Page {page} of {pages}
+              </span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pages}
+                className="flex items-center px-3 py-1 rounded border border-gray-300 disabled:opacity-50"
+                aria-label="Next page"
+              >
+                Next
+                <FaChevronRight className="ml-1" aria-hidden="true" />
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import UserSidebar from "./UserSidebar";
+import NotificationSettings from "../../components/common/NotificationSettings";
 
 const ProfilePage = () => {
   // Load stored profile data
@@ -184,6 +185,8 @@ const ProfilePage = () => {
               Save Profile
             </button>
           </div>
+
+          <NotificationSettings />
         </div>
       </div>
     </div>
@@ -1,6 +1,12 @@
 import React from "react";
 import { useSortable } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
+import { FaLock } from "react-icons/fa";
+import { toDateInputValue } from "../../utils/dateFormatter";
+import CommentsButton from "../../components/tasks/CommentsButton";
+import AttachmentsButton from "../../components/tasks/AttachmentsButton";
+import TimeTracker from "../../components/tasks/TimeTracker";
+import LabelBadge from "../../components/tasks/LabelBadge";
 
 const priorityColors = {
   High: "bg-red-100 hover:bg-red-300",
@@ -8,7 +14,7 @@ const priorityColors = {
   Low: "bg-green-100 hover:bg-green-300",
 };
 
-const SortableItem = ({ id, task }) => {
+const SortableItem = ({ id, task, blocked = false }) => {
   const { attributes, listeners, setNodeRef, transform, transition } = useSortable({ id });
 
   const style = {
@@ -24,11 +30,38 @@ const SortableItem = ({ id, task }) => {
       {...listeners}
       className={`p-4 rounded-lg shadow-md transition-all duration-200 cursor-pointer hover:scale-105 hover:shadow-xl ${
         priorityColors[task.priority] || "bg-gray-200"
-      }`}
+      } ${blocked ? "ring-2 ring-red-400" : ""}`}
     >
-      <p className="font-semibold">{task.title}</p>
+      <div className="flex items-start justify-between gap-2">
+        <p className="font-semibold">
+          {blocked && <FaLock className="inline mr-1 text-red-600" title="Blocked by open tasks" />}
+          {task.title}
+        </p>
+        <div className="flex items-center gap-2">
+          <AttachmentsButton task={task} />
+          <CommentsButton task={task} />
+        </div>
+      </div>
+      {task.labels?.length > 0 && (
+        <div className="flex flex-wrap gap-1 my-1">
+          {task.labels.map((label) => (
+            <LabelBadge key={label._id} label={label} />
+          ))}
+        </div>
+      )}
       <p className="text-sm text-gray-700">{task.description}</p> {/* Description instead of priority */}
-      <p className="text-xs text-gray-600">Deadline: {task.deadline}</p>
+      <p className="text-xs text-gray-600">Deadline: {toDateInputValue(task.deadline)}</p>
+      <TimeTracker task={task} className="mt-1" />
+      {task.checklist?.length > 0 && (
+        <p className="text-xs text-gray-600">
+          Checklist: {task.checklist.filter((item) => item.done).length}/{task.checklist.length}
+        </p>
+      )}
+      {task.assignees?.length > 0 && (
+        <p className="text-xs text-gray-600">
+          Assignees: {task.assignees.map((assignee) => assignee.fullName || assignee.email).join(", ")}
+        </p>
+      )}
     </div>
   );
 };
@@ -2,68 +2,164 @@ import React, { useState, useEffect } from "react";
 import UserSidebar from "./UserSidebar";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
+import { fetchTasks, createTask, deleteTask, updateTask, fetchUserDirectory, submitTaskForReview } from "../../api";
+import { toDateInputValue } from "../../utils/dateFormatter";
+import { useAuth } from "../../contexts/AuthContext";
+import AssigneePicker from "../../components/tasks/AssigneePicker";
+import CommentsButton from "../../components/tasks/CommentsButton";
+import AttachmentsButton from "../../components/tasks/AttachmentsButton";
+import TimeTracker from "../../components/tasks/TimeTracker";
+import TaskChecklist from "../../components/tasks/TaskChecklist";
+import TaskDependencies from "../../components/tasks/TaskDependencies";
+import LabelPicker from "../../components/tasks/LabelPicker";
+import LabelBadge from "../../components/tasks/LabelBadge";
+import RecurrenceFields from "../../components/tasks/RecurrenceFields";
+import OccurrenceScopeDialog from "../../components/tasks/OccurrenceScopeDialog";
+import Modal from "../../components/common/Modal";
+import { describeRecurrence } from "../../utils/recurrence";
+import { useWorkflow } from "../../hooks/useWorkflow";
+import { useLabels } from "../../hooks/useLabels";
+import { useProjects } from "../../hooks/useProjects";
+import { useTaskEvents, applyTaskEvent } from "../../hooks/useTaskEvents";
+
+const emptyTask = {
+  title: "",
+  description: "",
+  priority: "Medium",
+  deadline: "",
+  progress: 0,
+  assignees: [],
+  labels: [],
+  project: "", // empty files the task under the project picked in the sidebar
+  recurrence: null,
+};
+
+// Most recent approval or rejection, shown on the task card
+const lastDecision = (task) =>
+  [...task.history].reverse().find((entry) => entry.action === "approved" || entry.action === "rejected");
 
 const UserPage = () => {
+  const { user } = useAuth();
+  const { isDone, isBlocked } = useWorkflow();
+  const { labels, addLabel } = useLabels();
+  const { projects, currentProjectId } = useProjects();
   const [tasks, setTasks] = useState([]);
-  const [loggedInUser, setLoggedInUser] = useState(""); // ✅ Store logged-in user
-  const [newTask, setNewTask] = useState({
-    title: "",
-    description: "",
-    priority: "Medium",
-    deadline: "",
-    progress: 0,
-  });
+  const [users, setUsers] = useState([]);
+  const [newTask, setNewTask] = useState(emptyTask);
+  const [deletingTask, setDeletingTask] = useState(null); // recurring task waiting for a delete scope
+  const [repeatEditor, setRepeatEditor] = useState(null); // { taskId, rule } while editing a repeat rule
 
   useEffect(() => {
-    // ✅ Fetch logged-in user from localStorage
-    const storedUser = JSON.parse(localStorage.getItem("loggedInUser"));
-    setLoggedInUser(storedUser?.name || "Unknown User");
+    // ✅ Fetch the tasks the user owns or is assigned to in the selected project
+    fetchTasks({ project: currentProjectId })
+      .then(setTasks)
+      .catch((error) => toast.error(`Failed to load tasks: ${error.message}`));
+  }, [currentProjectId]);
+
+  // ✅ Changes made by teammates, reviewers or other tabs
+  useTaskEvents((event) => setTasks((current) => applyTaskEvent(current, event, currentProjectId)));
 
-    // ✅ Fetch stored tasks
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    setTasks(storedTasks);
+  useEffect(() => {
+    // ✅ Registered users for the assignee picker
+    fetchUserDirectory()
+      .then(setUsers)
+      .catch((error) => toast.error(`Failed to load users: ${error.message}`));
   }, []);
 
   // Handle Task Creation
-  const handleCreateTask = (e) => {
+  const handleCreateTask = async (e) => {
     e.preventDefault();
     if (!newTask.title.trim() || !newTask.description.trim()) return;
 
-    const taskId = Date.now().toString();
-    
-    // ✅ Assign task to logged-in user
-    const newTaskItem = { 
-      id: taskId, 
-      ...newTask, 
-      assignedTo: loggedInUser // ✅ Store assigned user
-    };
-
-    const updatedTasks = [...tasks, newTaskItem];
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+    try {
+      // ✅ The server records the logged-in user as the task owner
+      const createdTask = await createTask({ ...newTask, project: newTask.project || currentProjectId || undefined });
+      if (!currentProjectId || createdTask.project === currentProjectId) {
+        // The pushed "created" event may have added it already
+        setTasks((current) => [...current.filter((task) => task.id !== createdTask.id), createdTask]);
+      }
 
-    toast.success("Task added successfully!", { icon: "✅" });
+      toast.success("Task added successfully!", { icon: "✅" });
 
-    setNewTask({ title: "", description: "", priority: "Medium", deadline: "", progress: 0 });
+      setNewTask(emptyTask);
+    } catch (error) {
+      toast.error(`Failed to add task: ${error.message}`);
+    }
   };
 
-  // Handle Task Deletion
-  const handleDeleteTask = (taskId) => {
-    const updatedTasks = tasks.filter((task) => task.id !== taskId);
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+  // Handle Task Deletion; recurring tasks ask whether to end the series first
+  const handleDeleteTask = async (task, scope) => {
+    if (task.series?.active && !scope) {
+      setDeletingTask(task);
+      return;
+    }
+    setDeletingTask(null);
+
+    try {
+      await deleteTask(task.id, scope);
+      if (task.series) {
+        // Deleting one occurrence may have created the next one
+        setTasks(await fetchTasks({ project: currentProjectId }));
+      } else {
+        // The server also drops the deleted task from everything it was blocking
+        setTasks((current) =>
+          current
+            .filter((other) => other.id !== task.id)
+            .map((other) => ({ ...other, blockedBy: other.blockedBy.filter((blocker) => blocker._id !== task.id) }))
+        );
+      }
 
-    toast.error("Task removed successfully!", { icon: "🗑️" });
+      toast.error("Task removed successfully!", { icon: "🗑️" });
+    } catch (error) {
+      toast.error(`Failed to remove task: ${error.message}`);
+    }
   };
 
   // Handle Progress Update
   const updateProgress = (taskId, progress) => {
-    const updatedTasks = tasks.map((task) =>
-      task.id === taskId ? { ...task, progress: parseInt(progress) } : task
+    setTasks((current) =>
+      current.map((task) => (task.id === taskId ? { ...task, progress: parseInt(progress) } : task))
     );
+    updateTask(taskId, { progress: parseInt(progress) }).catch((error) =>
+      toast.error(`Failed to save progress: ${error.message}`)
+    );
+  };
+
+  // Checklist changes come back with the progress the server rolled up
+  const updateChecklist = (taskId, { checklist, progress }) => {
+    setTasks((current) => current.map((task) => (task.id === taskId ? { ...task, checklist, progress } : task)));
+  };
+
+  const updateDependencies = (taskId, blockedBy) => {
+    setTasks((current) => current.map((task) => (task.id === taskId ? { ...task, blockedBy } : task)));
+  };
+
+  // Repeat rules always apply to the whole series
+  const handleSaveRecurrence = async () => {
+    try {
+      const savedTask = await updateTask(repeatEditor.taskId, { recurrence: repeatEditor.rule });
+      setTasks((current) => current.map((task) => (task.id === savedTask.id ? savedTask : task)));
+      setRepeatEditor(null);
 
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+      toast.success("Repeat schedule saved!", { icon: "🔁" });
+    } catch (error) {
+      toast.error(`Failed to save repeat schedule: ${error.message}`);
+    }
+  };
+
+  // Handle Submit for Review
+  const handleSubmitForReview = async (taskId) => {
+    const comment = window.prompt("Add a note for the reviewer (optional):", "");
+    if (comment === null) return;
+
+    try {
+      const submittedTask = await submitTaskForReview(taskId, comment);
+      setTasks((current) => current.map((task) => (task.id === taskId ? submittedTask : task)));
+
+      toast.info("Task submitted for review!", { icon: "📤" });
+    } catch (error) {
+      toast.error(`Failed to submit task: ${error.message}`);
+    }
   };
 
   // Function to get priority color
@@ -140,6 +236,52 @@ const UserPage = () => {
               </div>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Project</label>
+              <select
+                className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+                value={newTask.project || currentProjectId || ""}
+                onChange={(e) => setNewTask({ ...newTask, project: e.target.value })}
+              >
+                {!currentProjectId && <option value="">Default project</option>}
+                {projects
+                  .filter((project) => !project.archived)
+                  .map((project) => (
+                    <option key={project._id} value={project._id}>
+                      {project.name}
+                    </option>
+                  ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Assign To</label>
+              <AssigneePicker
+                users={users}
+                value={newTask.assignees}
+                onChange={(assignees) => setNewTask({ ...newTask, assignees })}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Labels</label>
+              <LabelPicker
+                labels={labels}
+                value={newTask.labels}
+                onChange={(labelIds) => setNewTask({ ...newTask, labels: labelIds })}
+                onCreate={addLabel}
+                onError={(error) => toast.error(`Failed to create label: ${error.message}`)}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Repeat</label>
+              <RecurrenceFields
+                value={newTask.recurrence}
+                onChange={(recurrence) => setNewTask({ ...newTask, recurrence })}
+              />
+            </div>
+
             <button
               type="submit"
               className="w-full bg-blue-600 text-white p-3 rounded-lg font-semibold text-lg hover:bg-blue-700 transition-all"
@@ -156,46 +298,154 @@ const UserPage = () => {
           ) : (
             tasks.map((task) => (
               <div key={task.id} className="bg-white shadow-md p-4 rounded-md border-l-4 border-blue-400">
-                <h3 className="text-lg font-semibold">{task.title}</h3>
+                <div className="flex items-start justify-between gap-2">
+                  <h3 className="text-lg font-semibold">{task.title}</h3>
+                  <div className="flex items-center gap-3">
+                    <TimeTracker task={task} onError={(error) => toast.error(`Timer failed: ${error.message}`)} />
+                    <AttachmentsButton task={task} />
+                    <CommentsButton task={task} />
+                  </div>
+                </div>
                 <p className="text-gray-600">{task.description}</p>
 
+                {task.labels?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 my-2">
+                    {task.labels.map((label) => (
+                      <LabelBadge key={label._id} label={label} />
+                    ))}
+                  </div>
+                )}
+
                 <span className={`text-sm ${getPriorityColor(task.priority)}`}>
                   Priority: {task.priority}
                 </span>
 
                 <p className="text-sm text-gray-700 mt-1">
-                  <span className="font-semibold">Assigned To:</span> {task.assignedTo}
+                  <span className="font-semibold">Assigned To:</span>{" "}
+                  {task.assignees.length > 0
+                    ? task.assignees.map((assignee) => assignee.fullName || assignee.email).join(", ")
+                    : "Unassigned"}
+                </p>
+
+                <p className="text-sm text-gray-700 mt-1">
+                  <span className="font-semibold">Created By:</span> {task.owner?.fullName || "Unknown"}
                 </p>
 
                 <p className="text-sm text-gray-700 mt-1">
-                  <span className="font-semibold">Deadline:</span> {task.deadline}
+                  <span className="font-semibold">Deadline:</span> {toDateInputValue(task.deadline)}
                 </p>
 
-                {/* Task Progress */}
+                {task.series?.active && (
+                  <p className="text-sm text-purple-700 mt-1">
+                    🔁 {describeRecurrence(task.series)}
+                  </p>
+                )}
+                {task.owner?._id === user?.id && (
+                  <button
+                    className="text-sm text-blue-600 hover:underline mt-1"
+                    onClick={() => setRepeatEditor({ taskId: task.id, rule: task.series?.active ? task.series : null })}
+                  >
+                    {task.series?.active ? "Edit repeat" : "Make recurring"}
+                  </button>
+                )}
+
+                {/* Task Progress (computed from the checklist once it has items) */}
                 <div className="mt-4">
                   <label className="block text-sm font-medium text-gray-700">Progress:</label>
-                  <input
-                    type="range"
-                    min="0"
-                    max="100"
-                    value={task.progress}
-                    onChange={(e) => updateProgress(task.id, e.target.value)}
-                    className="w-full mt-2 accent-blue-600"
-                  />
+                  {task.checklist.length > 0 ? (
+                    <div className="w-full mt-2 h-2 bg-gray-200 rounded-full overflow-hidden">
+                      <div className="h-full bg-blue-600" style={{ width: `${task.progress}%` }} />
+                    </div>
+                  ) : (
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={task.progress}
+                      onChange={(e) => updateProgress(task.id, e.target.value)}
+                      className="w-full mt-2 accent-blue-600"
+                    />
+                  )}
                   <span className="text-sm font-medium text-gray-700">{task.progress}% Completed</span>
                 </div>
 
-                {/* Delete Button */}
+                <TaskChecklist
+                  task={task}
+                  onChange={(result) => updateChecklist(task.id, result)}
+                  onError={(error) => toast.error(`Failed to update checklist: ${error.message}`)}
+                />
+
+                <TaskDependencies
+                  task={task}
+                  tasks={tasks}
+                  onChange={(blockedBy) => updateDependencies(task.id, blockedBy)}
+                  onError={(error) => toast.error(`Failed to update dependencies: ${error.message}`)}
+                />
+
+                {/* Review status */}
+                {task.reviewStatus === "pending" && (
+                  <p className="text-sm text-yellow-700 mt-2 font-semibold">⏳ Awaiting admin review</p>
+                )}
+                {(task.reviewStatus === "approved" || task.reviewStatus === "rejected") && lastDecision(task) && (
+                  <p className={`text-sm mt-2 ${task.reviewStatus === "approved" ? "text-green-700" : "text-red-700"}`}>
+                    {task.reviewStatus === "approved" ? "✅ Approved" : "❌ Rejected"} by{" "}
+                    {lastDecision(task).by?.fullName || "an admin"}
+                    {lastDecision(task).comment && `: "${lastDecision(task).comment}"`}
+                  </p>
+                )}
+
+                {!isDone(task) && task.reviewStatus !== "pending" && isBlocked(task) && (
+                  <p className="mt-4 text-sm text-red-700 font-semibold">🔒 Blocked by open tasks</p>
+                )}
+                {!isDone(task) && task.reviewStatus !== "pending" && !isBlocked(task) && (
+                  <button
+                    onClick={() => handleSubmitForReview(task.id)}
+                    className="mt-4 w-full bg-green-600 text-white p-2 rounded-lg font-semibold hover:bg-green-700 transition-all"
+                  >
+                    📤 Submit for Review
+                  </button>
+                )}
+
+                {/* Delete Button (owners only; assignees can't delete someone else's task) */}
+                {task.owner?._id === user?.id && (
+                  <button
+                    onClick={() => handleDeleteTask(task)}
+                    className="mt-4 w-full bg-red-600 text-white p-2 rounded-lg font-semibold hover:bg-red-700 transition-all"
+                  >
+                    🗑️ Delete Task
+                  </button>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+
+        <OccurrenceScopeDialog
+          isOpen={Boolean(deletingTask)}
+          action="Delete"
+          onChoose={(scope) => handleDeleteTask(deletingTask, scope)}
+          onClose={() => setDeletingTask(null)}
+        />
+
+        <Modal isOpen={Boolean(repeatEditor)} onClose={() => setRepeatEditor(null)} title="Repeat" className="max-w-md">
+          {repeatEditor && (
+            <>
+              <RecurrenceFields
+                value={repeatEditor.rule}
+                onChange={(rule) => setRepeatEditor({ ...repeatEditor, rule })}
+              />
+              <p className="text-xs text-gray-500 mt-2">Changes apply to this and all future occurrences.</p>
+              <div className="flex justify-end mt-4">
                 <button
-                  onClick={() => handleDeleteTask(task.id)}
-                  className="mt-4 w-full bg-red-600 text-white p-2 rounded-lg font-semibold hover:bg-red-700 transition-all"
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                  onClick={handleSaveRecurrence}
                 >
-                  🗑️ Delete Task
+                  Save
                 </button>
               </div>
-            ))
+            </>
           )}
-        </div>
+        </Modal>
       </div>
     </div>
   );
@@ -1,25 +1,34 @@
 import React from "react";
 import { Link, useLocation } from "react-router-dom";
-import { FaChartBar, FaTasks, FaCalendarAlt, FaBell, FaUser } from "react-icons/fa";
+import { FaChartBar, FaTasks, FaCalendarAlt, FaBell, FaUser, FaUserFriends } from "react-icons/fa";
+import ProjectSwitcher from "../../components/common/ProjectSwitcher";
+import { useAuth } from "../../contexts/AuthContext";
+import { useUnreadNotifications } from "../../hooks/useUnreadNotifications";
 
 const UserSidebar = () => {
   const location = useLocation();
+  const { isTeamLead } = useAuth();
+  const unread = useUnreadNotifications();
 
   // Sidebar links with icons
   const menuItems = [
     { path: "/user/dashboard", label: "Dashboard", icon: <FaChartBar /> },
     { path: "/user/userpage", label: "Create Tasks", icon: <FaTasks /> },
     { path: "/user/calendar", label: "Calendar", icon: <FaCalendarAlt /> },
-    { path: "/user/notifications", label: "Notifications", icon: <FaBell /> },
+    { path: "/user/notifications", label: "Notifications", icon: <FaBell />, badge: unread },
     { path: "/user/profile", label: "Profile", icon: <FaUser /> },
+    // Team leads manage their team's tasks from the team panel
+    ...(isTeamLead() ? [{ path: "/admin/manage-tasks", label: "Team Tasks", icon: <FaUserFriends /> }] : []),
   ];
 
   return (
     <div className="w-64 min-h-screen p-6 bg-gray-900 text-white glassmorphism border-r border-gray-700">
       <h2 className="text-2xl font-extrabold text-center text-gray-100 tracking-wide mb-6">🚀 User Panel</h2>
 
+      <ProjectSwitcher />
+
       <ul className="space-y-3">
-        {menuItems.map(({ path, label, icon }) => (
+        {menuItems.map(({ path, label, icon, badge }) => (
           <li key={path}>
             <Link
               to={path}
@@ -31,6 +40,14 @@ const UserSidebar = () => {
             >
               <span className="text-xl">{icon}</span>
               {label}
+              {badge > 0 && (
+                <span
+                  className="ml-auto min-w-[1.5rem] px-2 py-0.5 rounded-full bg-red-500 text-white text-xs font-bold text-center"
+                  aria-label={`${badge} unread`}
+                >
+                  {badge > 99 ? "99+" : badge}
+                </span>
+              )}
             </Link>
           </li>
         ))}
@@ -1 +1,18 @@
 export const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// "YYYY-MM-DD" for <input type="date"> values and same-day comparisons
+export const toDateInputValue = (date) => (date ? new Date(date).toISOString().split("T")[0] : "");
+
+// "1h 05m" for tracked time; "12m" under an hour
+export const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, "0")}m` : `${minutes}m`;
+};
+
+// "1:05:09" for a running timer
+export const formatClock = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, "0");
+  return `${hours}:${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+};
@@ -0,0 +1,9 @@
+// Whether quiet hours ({ enabled, start, end } as "HH:MM") are on at `now`; a range like 22:00-07:00 runs past midnight
+export const isQuietTime = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled || quietHours.start === quietHours.end) return false;
+
+  const time = `${String(now.getHours()).padStart(2, "0")}:${String(now.getMinutes()).padStart(2, "0")}`;
+  return quietHours.start < quietHours.end
+    ? time >= quietHours.start && time < quietHours.end
+    : time >= quietHours.start || time < quietHours.end;
+};
@@ -0,0 +1,21 @@
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const UNITS = { daily: "day", weekly: "week", monthly: "month" };
+
+// "Every 2 weeks on Mon, Wed" for a task's `series` rule
+export const describeRecurrence = (rule) => {
+  if (!rule) return "";
+
+  const unit = UNITS[rule.frequency];
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+  if (rule.frequency === "weekly" && rule.weekdays.length > 0) {
+    text += ` on ${rule.weekdays.map((day) => WEEKDAYS[day]).join(", ")}`;
+  }
+  if (rule.frequency === "monthly" && rule.dayOfMonth) {
+    text += ` on day ${rule.dayOfMonth}`;
+  }
+  if (rule.until) {
+    text += ` until ${new Date(rule.until).toLocaleDateString()}`;
+  }
+  return text;
+};
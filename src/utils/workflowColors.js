@@ -0,0 +1,4 @@
+// Chart colours for workflow states; the palette repeats for long workflows
+const PALETTE = ["#FF6384", "#FFCE56", "#36A2EB", "#4BC0C0", "#9966FF", "#FF9F40", "#C9CBCF"];
+
+export const stateColors = (states) => states.map((_, index) => PALETTE[index % PALETTE.length]);